@@ -1,19 +1,50 @@
-import { useState, useRef, useEffect } from 'react';
-import { BrowserRouter as Router, Routes, Route, Link, useLocation } from 'react-router-dom';
-import { FiSend, FiUser, FiMessageSquare, FiLoader, FiSun, FiMoon, FiMic, FiMicOff, FiMap } from 'react-icons/fi';
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { BrowserRouter as Router, Routes, Route, Link, useLocation, useNavigate } from 'react-router-dom';
+import { FiSend, FiUser, FiMessageSquare, FiSun, FiMoon, FiMic, FiMicOff, FiMap, FiSquare, FiClock } from 'react-icons/fi';
 import ArgoFloatsMap from './components/ArgoFloatsMap';
+import ChatSidebar from './components/ChatSidebar';
+import MarkdownMessage from './components/MarkdownMessage';
+import StructuredResult from './components/results/StructuredResult';
+import MessageActions from './components/MessageActions';
+import MessageEditor from './components/MessageEditor';
+import ConversationExportMenu from './components/ConversationExportMenu';
+import ConversationPrintView from './components/ConversationPrintView';
+import { ask, describeApiError, isMockEnabled } from './api';
+import { buildContextWindow, createConversationId } from './utils/conversationContext';
+import {
+  applyMessageChanges,
+  addVersion,
+  resetActiveVersion,
+  selectVersion,
+  branchFromMessage,
+  selectBranch
+} from './utils/messageVersions';
+import {
+  conversationToMarkdown,
+  conversationToJson,
+  parseConversationJson
+} from './utils/conversationExport';
+import { downloadFile, exportFileName } from './utils/download';
+import {
+  listConversations,
+  getConversation,
+  saveConversation,
+  renameConversation,
+  setConversationPinned,
+  deleteConversation,
+  importConversation,
+  generateTitle
+} from './services/chatHistory';
 import './App.css';
 import './components/SuggestedQuestions.css';
 
-// API Configuration
-const API_BASE_URL = 'https://ocean-backend-1.onrender.com';
-
 // Sample initial bot message
 const initialBotMessage = {
   id: 1,
   text: 'Hello! I\'m your Ocean Data Assistant. Ask me anything about ocean temperature, salinity, and other parameters.',
   sender: 'bot',
   timestamp: new Date().toISOString(),
+  isGreeting: true,
 };
 
 const SUGGESTED_QUESTIONS = [
@@ -23,166 +54,6 @@ const SUGGESTED_QUESTIONS = [
   'Compare temperature data between different regions',
 ];
 
-// Clean and format text for display
-const cleanText = (text) => {
-  if (!text) return '';
-  
-  try {
-    const textStr = typeof text === 'string' ? text : JSON.stringify(text);
-    const temp = document.createElement('div');
-    temp.innerHTML = textStr;
-    
-    let clean = temp.textContent || temp.innerText || '';
-    
-    clean = clean
-      .replace(/<[^>]*>?/gm, '')
-      .replace(/\s*#+\s*/g, '')
-      .replace(/\s*\*\s*/g, '')
-      .replace(/\s*\-\s*/g, '')
-      .replace(/\s*\d+\.\s*/g, '')
-      .replace(/\s+/g, ' ')
-      .replace(/\s*[\-\*_]{2,}\s*/g, '')
-      .replace(/\s*`{3,}.*?`{3,}\s*/gs, '')
-      .replace(/\s*`([^`]+)`\s*/g, '$1')
-      .replace(/\s*\[([^\]]+)\]\([^)]+\)\s*/g, '$1')
-      .replace(/\s*!\[[^\]]*\]\([^)]+\)\s*/g, '')
-      .trim();
-    
-    return clean;
-  } catch (e) {
-    console.error('Error cleaning text:', e);
-    return typeof text === 'string' ? text : '';
-  }
-};
-
-// Format message text to improve readability with proper structure
-const formatMessageText = (text) => {
-  if (!text) return '';
-  
-  // Initial cleaning
-  let cleanText = text
-    .replace(/<[^>]*>/g, '') // Remove HTML tags
-    .replace(/\\"/g, '"')
-    .replace(/\\\\/g, '\\')
-    .replace(/\\n/g, '\n')
-    .replace(/\\t/g, '  ')
-    .replace(/\s{2,}/g, ' ')
-    .trim();
-
-  // Preserve code blocks first
-  const codeBlocks = [];
-  cleanText = cleanText.replace(/```([\s\S]*?)```/g, (match, code) => {
-    codeBlocks.push(code);
-    return `___CODE_BLOCK_${codeBlocks.length - 1}___`;
-  });
-
-  // Handle URLs
-  const urlRegex = /(https?:\/\/[^\s\n]+)/g;
-  cleanText = cleanText.replace(urlRegex, (url) => ` [${url}](${url}) `);
-  
-  // Split into paragraphs
-  let paragraphs = cleanText.split('\n\n');
-  
-  // Process each paragraph
-  let processedParagraphs = paragraphs.map((paragraph, index) => {
-    paragraph = paragraph.trim();
-    if (!paragraph) return '';
-    
-    // Check for list items
-    const isNumberedList = /^\s*\d+\.\s+/.test(paragraph);
-    const isBulletList = /^\s*[-•*]\s+/.test(paragraph);
-    
-    if (isNumberedList || isBulletList) {
-      const listType = isNumberedList ? 'ol' : 'ul';
-      const items = paragraph
-        .split('\n')
-        .filter(item => item.trim())
-        .map(item => {
-          // Remove list markers and trim
-          const content = item.replace(/^\s*[\d.\-•*]+\s*/, '').trim();
-          return `<li class="list-item">${content}</li>`;
-        })
-        .join('');
-      
-      return `<${listType} class="message-list">${items}</${listType}>`;
-    }
-    
-    // Handle section headers (lines ending with :)
-    if (paragraph.endsWith(':') && !paragraph.includes('http')) {
-      return `<h3 class="section-header">${paragraph}</h3>`;
-    }
-    
-    // Handle key-value pairs (Key: value)
-    const keyValueMatch = paragraph.match(/^([^:\n]+):\s*([\s\S]+)$/);
-    if (keyValueMatch) {
-      return `
-        <div class="key-value">
-          <span class="key">${keyValueMatch[1]}:</span>
-          <span class="value">${keyValueMatch[2].trim()}</span>
-        </div>`;
-    }
-    
-    // Regular paragraph with proper spacing
-    return `<p class="message-paragraph">${paragraph}</p>`;
-  });
-  
-  let formattedText = processedParagraphs.join('\n');
-
-  // Process markdown links [text](url)
-  formattedText = formattedText.replace(
-    /\[([^\]]+)\]\(([^)]+)\)/g, 
-    (match, text, url) => {
-      let cleanUrl = url.replace(/[\s<>"]+/g, '').trim();
-      if (!cleanUrl.match(/^https?:\/\//)) {
-        cleanUrl = 'https://' + cleanUrl;
-      }
-      return `<a href="${cleanUrl}" target="_blank" rel="noopener noreferrer" class="message-link">${text}</a>`;
-    }
-  );
-  
-  // Handle naked URLs
-  formattedText = formattedText.replace(
-    /(https?:\/\/[^\s\n<]+)/g, 
-    (url) => {
-      if (url.includes('<a ')) return url;
-      return `<a href="${url}" target="_blank" rel="noopener noreferrer" class="message-link">${url}</a>`;
-    }
-  );
-  
-  // Restore code blocks
-  codeBlocks.forEach((code, index) => {
-    formattedText = formattedText.replace(
-      `___CODE_BLOCK_${index}___`,
-      `<pre class="code-block"><code>${code}</code></pre>`
-    );
-  });
-
-  // Format markdown headers
-  formattedText = formattedText.replace(
-    /^#\s+(.+?)(\n|$)/gm,
-    '<h2 class="message-header">$1</h2>'
-  );
-  
-  formattedText = formattedText.replace(
-    /^##\s+(.+?)(\n|$)/gm,
-    '<h3 class="message-subheader">$1</h3>'
-  );
-
-  // Format bold and italic text
-  formattedText = formattedText.replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>');
-  formattedText = formattedText.replace(/\*([^*]+)\*/g, '<em>$1</em>');
-  formattedText = formattedText.replace(/`([^`]+)`/g, '<code class="inline-code">$1</code>');
-  
-  // Add proper spacing between elements
-  formattedText = formattedText
-    .replace(/<\/(p|h2|h3|div|pre|ul|ol)>\s*<(p|h2|h3|div|pre|ul|ol)/g, '</$1>\n<$2')
-    .replace(/<\/(li)>\s*<(li)/g, '</$1><$2')
-    .replace(/<\/(h2|h3)>/g, '</$1>\n')
-    .replace(/<pre[^>]*>([\s\S]*?)<\/pre>/g, (match) => match.replace(/\n/g, '<br>'));
-  
-  return formattedText;
-};
-
 // Main App component with routing
 function App() {
   return <AppContent />;
@@ -191,8 +62,13 @@ function App() {
 // Main content component that handles the actual UI
 function AppContent() {
   const location = useLocation();
+  const navigate = useNavigate();
   const isHomePage = location.pathname === '/' || location.pathname === '';
   const [messages, setMessages] = useState([initialBotMessage]);
+  const [conversationId, setConversationId] = useState(createConversationId);
+  const [conversations, setConversations] = useState([]);
+  const [isSidebarOpen, setIsSidebarOpen] = useState(false);
+  const [editingMessageId, setEditingMessageId] = useState(null);
   const [inputValue, setInputValue] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [darkMode, setDarkMode] = useState(true); // Set dark mode as default
@@ -202,6 +78,9 @@ function AppContent() {
   const messagesEndRef = useRef(null);
   const inputRef = useRef(null);
   const chatContainerRef = useRef(null);
+  const abortControllerRef = useRef(null);
+  const lastSavedMessagesRef = useRef(null);
+  const latestMessagesRef = useRef(messages);
 
   // Check if speech recognition is supported
   useEffect(() => {
@@ -316,14 +195,101 @@ function AppContent() {
     };
   }, []);
 
+  const refreshConversations = useCallback(async () => {
+    try {
+      setConversations(await listConversations());
+    } catch (error) {
+      console.error('Error loading chat history:', error);
+    }
+  }, []);
+
+  // Load the list of saved conversations
+  useEffect(() => {
+    refreshConversations();
+  }, [refreshConversations]);
+
+  useEffect(() => {
+    latestMessagesRef.current = messages;
+  }, [messages]);
+
+  // Persist the conversation once it has a question and no answer is streaming
+  useEffect(() => {
+    if (messages === lastSavedMessagesRef.current) return;
+    if (!messages.some(message => message.sender === 'user')) return;
+    if (messages.some(message => message.isStreaming)) return;
+
+    lastSavedMessagesRef.current = messages;
+    saveConversation({ id: conversationId, messages })
+      .then(refreshConversations)
+      .catch(error => console.error('Error saving conversation:', error));
+  }, [messages, conversationId, refreshConversations]);
+
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   };
 
+  // Stream the answer to `question` into the bot message `botMessageId`
+  const streamIntoMessage = async (question, history, botMessageId) => {
+    // Leaves the messages alone once another conversation is shown
+    const updateBotMessage = (changes) => {
+      setMessages(prev => (prev.some(message => message.id === botMessageId)
+        ? prev.map(message => (message.id === botMessageId ? applyMessageChanges(message, changes) : message))
+        : prev));
+    };
+
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    setIsLoading(true);
+
+    try {
+      const { answer, data, droppedTurns } = await ask(question, {
+        signal: controller.signal,
+        history,
+        conversationId,
+        onToken: (token, answerSoFar) => updateBotMessage({ text: answerSoFar })
+      });
+
+      updateBotMessage({
+        text: answer,
+        data, // Include any additional data from the backend
+        droppedTurns,
+        isStreaming: false
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        // Keep whatever arrived before the user stopped the answer
+        updateBotMessage({ isStreaming: false, isStopped: true });
+        return;
+      }
+
+      console.error('Error sending message:', error);
+      
+      // Replace the pending bot message with an error message
+      updateBotMessage({
+        text: `Sorry, I couldn't get an answer. ${describeApiError(error)} Please try again.`,
+        isStreaming: false,
+        isError: true
+      });
+    } finally {
+      if (abortControllerRef.current === controller) {
+        abortControllerRef.current = null;
+      }
+      setIsLoading(false);
+    }
+  };
+
+  const createPendingBotMessage = () => ({
+    id: Date.now() + 1,
+    text: '',
+    sender: 'bot',
+    timestamp: new Date().toISOString(),
+    isStreaming: true
+  });
+
   const handleSendMessage = async (e) => {
     e.preventDefault();
     const messageText = inputValue.trim();
-    if (!messageText) return;
+    if (!messageText || isLoading) return;
 
     // Add user message
     const userMessage = {
@@ -333,45 +299,209 @@ function AppContent() {
       timestamp: new Date().toISOString(),
     };
 
-    setMessages(prev => [...prev, userMessage]);
+    // Prior turns are captured before the new messages are appended
+    const history = buildContextWindow(messages);
+
+    // Create the bot message right away so the answer can grow in place
+    const botMessage = createPendingBotMessage();
+
+    setMessages(prev => [...prev, userMessage, botMessage]);
     setInputValue('');
-    setIsLoading(true);
 
-    try {
-      // Call the backend API with GET and query parameters
-      const response = await fetch(`${API_BASE_URL}/ask?question=${encodeURIComponent(messageText)}`);
+    await streamIntoMessage(messageText, history, botMessage.id);
+  };
+
+  // The question a bot message answers is the user message right before it
+  const findQuestionFor = (botMessageId) => {
+    const index = messages.findIndex(message => message.id === botMessageId);
+    const question = messages[index - 1];
+    if (index < 1 || question?.sender !== 'user') return null;
+    return { index, question, history: buildContextWindow(messages.slice(0, index - 1)) };
+  };
+
+  // Resend the original question of a failed answer
+  const handleRetry = async (botMessageId) => {
+    const target = findQuestionFor(botMessageId);
+    if (!target || isLoading) return;
+
+    setMessages(prev => prev.map(message => (
+      message.id === botMessageId ? resetActiveVersion(message) : message
+    )));
+    await streamIntoMessage(target.question.text, target.history, botMessageId);
+  };
+
+  // Ask for another answer, keeping the previous ones as versions
+  const handleRegenerate = async (botMessageId) => {
+    const target = findQuestionFor(botMessageId);
+    if (!target || isLoading) return;
+
+    setMessages(prev => prev.map(message => (
+      message.id === botMessageId ? addVersion(message) : message
+    )));
+    await streamIntoMessage(target.question.text, target.history, botMessageId);
+  };
+
+  const handleSelectVersion = (botMessageId, index) => {
+    setMessages(prev => prev.map(message => (
+      message.id === botMessageId ? selectVersion(message, index) : message
+    )));
+  };
+
+  // Replace a previous question and continue the conversation from there
+  const handleEditSubmit = async (userMessageId, text) => {
+    const index = messages.findIndex(message => message.id === userMessageId);
+    setEditingMessageId(null);
+    if (index === -1 || isLoading) return;
+
+    const history = buildContextWindow(messages.slice(0, index));
+    const botMessage = createPendingBotMessage();
+
+    setMessages(prev => [...branchFromMessage(prev, index, text), botMessage]);
+    await streamIntoMessage(text, history, botMessage.id);
+  };
+
+  const handleSelectBranch = (userMessageId, branchIndex) => {
+    setMessages(prev => selectBranch(
+      prev,
+      prev.findIndex(message => message.id === userMessageId),
+      branchIndex
+    ));
+  };
 
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+  // Abort the answer currently being streamed
+  const handleStopStreaming = () => {
+    abortControllerRef.current?.abort();
+  };
+
+  // Stop the answer being streamed and save the conversation being left. The
+  // save effect skips streaming messages, so without this the last question
+  // and its partial answer would be lost.
+  const leaveConversation = () => {
+    abortControllerRef.current?.abort();
+    const current = latestMessagesRef.current;
+    if (current === lastSavedMessagesRef.current) return;
+    if (!current.some(message => message.sender === 'user')) return;
+
+    lastSavedMessagesRef.current = current;
+    const stoppedMessages = current.map(message => (
+      message.isStreaming ? applyMessageChanges(message, { isStreaming: false, isStopped: true }) : message
+    ));
+    saveConversation({ id: conversationId, messages: stoppedMessages })
+      .then(refreshConversations)
+      .catch(error => console.error('Error saving conversation:', error));
+  };
+
+  // Start over with a fresh context without reloading the page
+  const handleNewConversation = () => {
+    leaveConversation();
+    setMessages([{ ...initialBotMessage, timestamp: new Date().toISOString() }]);
+    setConversationId(createConversationId());
+    setInputValue('');
+    setEditingMessageId(null);
+    setIsSidebarOpen(false);
+  };
+
+  // Show a stored conversation record so it can be continued
+  const openConversation = (conversation) => {
+    leaveConversation();
+    const restoredMessages = conversation.messages?.length ? conversation.messages : [initialBotMessage];
+    lastSavedMessagesRef.current = restoredMessages;
+    setMessages(restoredMessages);
+    setConversationId(conversation.id);
+    setInputValue('');
+    setEditingMessageId(null);
+    setIsSidebarOpen(false);
+  };
+
+  // Reopen a saved conversation so it can be continued
+  const handleSelectConversation = async (id) => {
+    if (id === conversationId) {
+      setIsSidebarOpen(false);
+      return;
+    }
+
+    try {
+      const conversation = await getConversation(id);
+      if (!conversation) {
+        refreshConversations();
+        return;
       }
+      openConversation(conversation);
+    } catch (error) {
+      console.error('Error opening conversation:', error);
+    }
+  };
 
-      const data = await response.json();
-      
-      // Add bot response
-      const botMessage = {
-        id: Date.now() + 1,
-        text: data.answer || 'I received your message but couldn\'t process it at the moment.',
-        sender: 'bot',
-        timestamp: new Date().toISOString(),
-        data: data.data // Include any additional data from the backend
-      };
-      
-      setMessages(prev => [...prev, botMessage]);
+  // Restore a conversation from a JSON export and open it
+  const handleImportConversation = async (file) => {
+    try {
+      const conversation = await importConversation(parseConversationJson(await file.text()));
+      openConversation(conversation);
+      refreshConversations();
     } catch (error) {
-      console.error('Error sending message:', error);
-      
-      // Add error message
-      const errorMessage = {
-        id: Date.now() + 1,
-        text: 'Sorry, I encountered an error processing your request. Please try again later.',
-        sender: 'bot',
-        timestamp: new Date().toISOString(),
-        isError: true
-      };
-      
-      setMessages(prev => [...prev, errorMessage]);
-    } finally {
-      setIsLoading(false);
+      console.error('Error importing conversation:', error);
+      alert(`Could not import conversation: ${error.message}`);
+    }
+  };
+
+  const conversationTitle = conversations.find(conversation => conversation.id === conversationId)?.title ||
+    generateTitle(messages);
+
+  const handleExportConversation = async (format) => {
+    if (format === 'print') {
+      navigate('/print');
+      return;
+    }
+
+    // The stored record carries the metadata (pinned, createdAt, ...) that
+    // a JSON re-import should restore; the messages come from the screen.
+    let stored = null;
+    try {
+      stored = await getConversation(conversationId);
+    } catch (error) {
+      console.error('Error reading conversation for export:', error);
+    }
+    const conversation = {
+      ...stored,
+      id: conversationId,
+      title: conversationTitle,
+      messages
+    };
+
+    if (format === 'markdown') {
+      downloadFile(exportFileName(conversation.title, 'md', 'conversation'), conversationToMarkdown(conversation), 'text/markdown');
+    } else {
+      downloadFile(exportFileName(conversation.title, 'json', 'conversation'), conversationToJson(conversation), 'application/json');
+    }
+  };
+
+  const handleRenameConversation = async (id, title) => {
+    try {
+      await renameConversation(id, title);
+      refreshConversations();
+    } catch (error) {
+      console.error('Error renaming conversation:', error);
+    }
+  };
+
+  const handleTogglePinConversation = async (id, pinned) => {
+    try {
+      await setConversationPinned(id, pinned);
+      refreshConversations();
+    } catch (error) {
+      console.error('Error pinning conversation:', error);
+    }
+  };
+
+  const handleDeleteConversation = async (id) => {
+    try {
+      await deleteConversation(id);
+      if (id === conversationId) {
+        handleNewConversation();
+      }
+      refreshConversations();
+    } catch (error) {
+      console.error('Error deleting conversation:', error);
     }
   };
 
@@ -401,9 +531,28 @@ function AppContent() {
                 </span>
               </span>
             </label>
+            {isHomePage && (
+              <button
+                type="button"
+                className="new-conversation-button"
+                onClick={() => setIsSidebarOpen(true)}
+                title="Show conversation history"
+              >
+                <FiClock /> History
+              </button>
+            )}
+            {isHomePage && (
+              <ConversationExportMenu
+                disabled={isLoading || !messages.some(message => message.sender === 'user')}
+                onExport={handleExportConversation}
+              />
+            )}
           </div>
           <div className="header-title">
             <h1>Ocean Data Assistant</h1>
+            {isMockEnabled() && (
+              <span className="mock-badge" title="Answers and floats come from offline fixtures">Mock data</span>
+            )}
           </div>
         </div>
 
@@ -428,9 +577,21 @@ function AppContent() {
           path="/" 
           element={
             <>
+              <ChatSidebar
+                isOpen={isSidebarOpen}
+                conversations={conversations}
+                activeId={conversationId}
+                onClose={() => setIsSidebarOpen(false)}
+                onNew={handleNewConversation}
+                onSelect={handleSelectConversation}
+                onRename={handleRenameConversation}
+                onTogglePin={handleTogglePinConversation}
+                onDelete={handleDeleteConversation}
+                onImport={handleImportConversation}
+              />
               <div className="chat-container" ref={chatContainerRef}>
                 <div className="messages" style={{ paddingBottom: '80px' }}>
-                  {messages.map((message) => (
+                  {messages.map((message, messageIndex) => (
                     <div
                       key={message.id}
                       className={`message ${message.sender} ${message.isError ? 'error' : ''}`}
@@ -446,104 +607,44 @@ function AppContent() {
                         <div className="message-text">
                           {(() => {
                             try {
-                              // Process message text with markdown-like formatting
-                              const processText = (text) => {
-                                if (!text) return [];
-                                
-                                // Split by double newlines first to handle paragraphs
-                                return text.split('\n\n').map((paragraph, pIndex) => {
-                                  // Then split by single newlines within each paragraph
-                                  const lines = paragraph.split('\n').map((line, lIndex) => {
-                                    // Simple markdown-style formatting
-                                    if (line.startsWith('### ')) {
-                                      return <h4 key={`h4-${lIndex}`} style={{ margin: '1em 0 0.5em 0', color: 'var(--primary-color)' }}>{line.substring(4)}</h4>;
-                                    } else if (line.startsWith('## ')) {
-                                      return <h3 key={`h3-${lIndex}`} style={{ margin: '1.2em 0 0.6em 0', color: 'var(--primary-dark)' }}>{line.substring(3)}</h3>;
-                                    } else if (line.startsWith('# ')) {
-                                      return <h2 key={`h2-${lIndex}`} style={{ margin: '1.5em 0 0.8em 0', color: 'var(--primary-darker)' }}>{line.substring(2)}</h2>;
-                                    } else if (line.startsWith('- ')) {
-                                      return <li key={`li-${lIndex}`} style={{ marginBottom: '0.3em' }}>{line.substring(2)}</li>;
-                                    } else if (line.trim() === '') {
-                                      return <br key={`br-${lIndex}`} />;
-                                    } else {
-                                      return <p key={`p-${lIndex}`} style={{ margin: '0.5em 0' }}>{line}</p>;
-                                    }
-                                  });
-                                  
-                                  return (
-                                    <div key={`para-${pIndex}`} style={{ marginBottom: '1em' }}>
-                                      {lines}
-                                    </div>
-                                  );
-                                });
-                              };
-                              
-                              // Only show structured data for relevant message types
-                              const showStructuredData = message.data?.trend_data && message.data.type !== 'greeting';
-                              
+                              if (message.id === editingMessageId) {
+                                return (
+                                  <MessageEditor
+                                    initialText={message.text}
+                                    onSubmit={(text) => handleEditSubmit(message.id, text)}
+                                    onCancel={() => setEditingMessageId(null)}
+                                  />
+                                );
+                              }
+
+                              if (message.isStreaming && !message.text) {
+                                return (
+                                  <div className="typing-indicator">
+                                    <span></span>
+                                    <span></span>
+                                    <span></span>
+                                  </div>
+                                );
+                              }
+
                               return (
                                 <div>
-                                  {processText(message.text)}
-                                  
-                                  {/* Show structured data if available and not a greeting */}
-                                  {showStructuredData && (
-                                    <div className="data-visualization" style={{ 
-                                      marginTop: '1.5em', 
-                                      padding: '1.25em',
-                                      backgroundColor: 'rgba(240, 245, 255, 0.8)',
-                                      borderRadius: '10px',
-                                      borderLeft: '4px solid var(--primary-color)',
-                                      boxShadow: '0 2px 8px rgba(0,0,0,0.05)'
-                                    }}>
-                                      <h4 style={{ 
-                                        margin: '0 0 0.8em 0', 
-                                        color: 'var(--primary-darker)',
-                                        display: 'flex',
-                                        alignItems: 'center',
-                                        gap: '0.5em'
-                                      }}>
-                                        <span style={{ fontSize: '1.2em' }}>📊</span>
-                                        Ocean Data Insights
-                                      </h4>
-                                      <ul style={{ 
-                                        margin: 0, 
-                                        paddingLeft: '1.2em',
-                                        listStyleType: 'none'
-                                      }}>
-                                        {message.data.trend_data.years.map((year, i) => (
-                                          <li key={i} style={{ 
-                                            marginBottom: '0.5em',
-                                            padding: '0.4em 0.6em',
-                                            backgroundColor: i % 2 === 0 ? 'rgba(255,255,255,0.7)' : 'transparent',
-                                            borderRadius: '4px',
-                                            display: 'flex',
-                                            justifyContent: 'space-between',
-                                            alignItems: 'center'
-                                          }}>
-                                            <span style={{ fontWeight: 500 }}>{year}:</span>
-                                            <span style={{ 
-                                              backgroundColor: 'var(--primary-light)',
-                                              color: 'var(--primary-darker)',
-                                              padding: '0.2em 0.6em',
-                                              borderRadius: '12px',
-                                              fontSize: '0.9em',
-                                              fontWeight: 500
-                                            }}>
-                                              {message.data.trend_data.salinity[i].toFixed(1)} {message.data.trend_data.unit}
-                                            </span>
-                                          </li>
-                                        ))}
-                                      </ul>
-                                      <div style={{
-                                        marginTop: '1em',
-                                        fontSize: '0.9em',
-                                        color: 'var(--text-secondary)',
-                                        fontStyle: 'italic'
-                                      }}>
-                                        Data source: Indian Ocean Argo Float Program
-                                      </div>
+                                  <MarkdownMessage text={message.text} />
+
+                                  {message.isStopped && (
+                                    <div className="message-stopped">Response stopped</div>
+                                  )}
+
+                                  {message.droppedTurns > 0 && (
+                                    <div className="message-stopped">
+                                      {message.droppedTurns === 1 ? 'An earlier message' : `${message.droppedTurns} earlier messages`} of
+                                      this conversation could not be sent to the server, so this answer may not take
+                                      them into account.
                                     </div>
                                   )}
+                                  
+                                  {/* Charts, tables and maps for structured answer data */}
+                                  {!message.isStreaming && <StructuredResult data={message.data} />}
                                 </div>
                               );
                             } catch (e) {
@@ -565,27 +666,24 @@ function AppContent() {
                             }
                           })()}
                         </div>
-                        {/* No raw data display in production */}
+                        {message.id !== editingMessageId && (
+                          <MessageActions
+                            message={message}
+                            isLatestAnswer={messageIndex === messages.length - 1}
+                            isBusy={isLoading}
+                            onEdit={setEditingMessageId}
+                            onRetry={handleRetry}
+                            onRegenerate={handleRegenerate}
+                            onSelectVersion={handleSelectVersion}
+                            onSelectBranch={handleSelectBranch}
+                          />
+                        )}
                         <span className="message-timestamp">
                           {new Date(message.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
                         </span>
                       </div>
                     </div>
                   ))}
-                  {isLoading && (
-                    <div className="message bot">
-                      <div className="message-avatar">
-                        <FiMessageSquare className="bot-avatar" />
-                      </div>
-                      <div className="message-content">
-                        <div className="typing-indicator">
-                          <span></span>
-                          <span></span>
-                          <span></span>
-                        </div>
-                      </div>
-                    </div>
-                  )}
                   <div ref={messagesEndRef} />
                 </div>
 
@@ -625,13 +723,25 @@ function AppContent() {
                           {isListening && <span className="pulse-ring"></span>}
                         </button>
                       )}
-                      <button
-                        type="submit"
-                        className="send-button"
-                        disabled={!inputValue.trim() || isLoading}
-                      >
-                        {isLoading ? <FiLoader className="loading" /> : <FiSend />}
-                      </button>
+                      {isLoading ? (
+                        <button
+                          type="button"
+                          className="send-button stop-button"
+                          onClick={handleStopStreaming}
+                          aria-label="Stop generating"
+                          title="Stop generating"
+                        >
+                          <FiSquare />
+                        </button>
+                      ) : (
+                        <button
+                          type="submit"
+                          className="send-button"
+                          disabled={!inputValue.trim()}
+                        >
+                          <FiSend />
+                        </button>
+                      )}
                     </div>
                   </div>
                 </form>
@@ -639,7 +749,11 @@ function AppContent() {
             </>
           } 
         />
-        <Route path="/argo-floats" element={<ArgoFloatsMap />} />
+        <Route path="/argo-floats" element={<ArgoFloatsMap darkMode={darkMode} />} />
+        <Route
+          path="/print"
+          element={<ConversationPrintView title={conversationTitle} messages={messages} />}
+        />
       </Routes>
     </div>
   );
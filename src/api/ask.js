@@ -0,0 +1,200 @@
+// Client for the assistant's /ask endpoint.
+// Asks the backend to stream its answer (Server-Sent Events or a chunked text
+// body) and falls back to the one-shot JSON response when it does not stream.
+
+import { request, ApiError, API_ERROR_TYPES } from './client';
+
+const FALLBACK_ANSWER = 'I received your message but couldn\'t process it at the moment.';
+
+// Apply a single SSE/JSON event to the answer being built
+const applyEvent = (payload, state, onToken) => {
+  if (typeof payload === 'string') {
+    state.answer += payload;
+    onToken?.(payload, state.answer);
+    return;
+  }
+
+  if (!payload || typeof payload !== 'object') return;
+
+  const token = payload.token ?? payload.delta ?? payload.content;
+  if (typeof token === 'string' && token) {
+    state.answer += token;
+    onToken?.(token, state.answer);
+  }
+
+  // Some servers send the complete answer in the final event
+  if (typeof payload.answer === 'string' && !state.answer) {
+    state.answer = payload.answer;
+    onToken?.(payload.answer, state.answer);
+  }
+
+  if (payload.data !== undefined) {
+    state.data = payload.data;
+  }
+};
+
+// Parse a Server-Sent Events body, calling onToken for every text fragment
+const readEventStream = async (body, state, onToken) => {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const dispatch = (rawEvent) => {
+    let eventName = 'message';
+    const dataLines = [];
+
+    rawEvent.split('\n').forEach(line => {
+      if (line.startsWith('event:')) {
+        eventName = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).replace(/^ /, ''));
+      }
+    });
+
+    const raw = dataLines.join('\n');
+    if (eventName === 'done' || raw === '[DONE]') {
+      state.done = true;
+      return;
+    }
+    if (eventName === 'error') {
+      throw new Error(raw || 'Stream error');
+    }
+    if (!raw) return;
+
+    try {
+      applyEvent(JSON.parse(raw), state, onToken);
+    } catch (error) {
+      if (!(error instanceof SyntaxError)) throw error;
+      applyEvent(raw, state, onToken);
+    }
+  };
+
+  while (!state.done) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true }).replace(/\r\n?/g, '\n');
+
+    let boundary = buffer.indexOf('\n\n');
+    while (boundary !== -1) {
+      dispatch(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+      boundary = buffer.indexOf('\n\n');
+    }
+  }
+
+  if (buffer.trim() && !state.done) {
+    dispatch(buffer);
+  }
+  reader.cancel().catch(() => {});
+};
+
+// Read a plain chunked text body as it arrives
+const readTextStream = async (body, state, onToken) => {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    const chunk = decoder.decode(value, { stream: true });
+    if (chunk) applyEvent(chunk, state, onToken);
+  }
+
+  const rest = decoder.decode();
+  if (rest) applyEvent(rest, state, onToken);
+};
+
+const STREAM_ACCEPT = 'text/event-stream, text/plain;q=0.9, application/json;q=0.8';
+
+// Longest question plus history sent in the query string of the GET fallback;
+// many servers and proxies reject URLs much longer than this
+const MAX_QUERY_LENGTH = 6000;
+
+// The newest turns of `history` that fit into a query string next to the
+// question, starting with a user turn like buildContextWindow's output
+const historyForQuery = (question, history) => {
+  const queryLength = (turns) => (
+    encodeURIComponent(question).length + (turns.length ? encodeURIComponent(JSON.stringify(turns)).length : 0)
+  );
+
+  let turns = history;
+  while (turns.length && queryLength(turns) > MAX_QUERY_LENGTH) {
+    turns = turns.slice(1);
+    while (turns.length && turns[0].role === 'assistant') turns = turns.slice(1);
+  }
+  return turns;
+};
+
+// Ask a question and stream the answer.
+// The question is POSTed together with the conversation id and a bounded
+// window of prior turns (see utils/conversationContext). onToken(fragment,
+// answerSoFar) is called as text arrives. Resolves with
+// { answer, data, streamed, droppedTurns }, where droppedTurns counts the
+// prior turns that could not be sent. If the request is aborted through
+// `signal`, the promise rejects with an AbortError and the partial answer is
+// whatever onToken has delivered so far.
+export const ask = async (question, { signal, onToken, history = [], conversationId } = {}) => {
+  let response;
+  let droppedTurns = 0;
+  try {
+    response = await request('/ask', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: STREAM_ACCEPT,
+      },
+      body: JSON.stringify({
+        question,
+        conversation_id: conversationId,
+        history,
+        stream: true,
+      }),
+      signal,
+    });
+  } catch (error) {
+    if (error.status !== 405) throw error;
+    // Older backends only accept GET: the context goes into the query string,
+    // as much of the history as fits
+    const sentHistory = historyForQuery(question, history);
+    droppedTurns = history.length - sentHistory.length;
+    response = await request('/ask', {
+      params: {
+        question,
+        conversation_id: conversationId,
+        history: sentHistory.length ? JSON.stringify(sentHistory) : undefined,
+        stream: 'true',
+      },
+      headers: { Accept: STREAM_ACCEPT },
+      signal,
+    });
+  }
+
+  const contentType = response.headers.get('content-type') || '';
+  const state = { answer: '', data: undefined, done: false };
+
+  if (contentType.includes('text/event-stream') && response.body) {
+    await readEventStream(response.body, state, onToken);
+    return { answer: state.answer || FALLBACK_ANSWER, data: state.data, streamed: true, droppedTurns };
+  }
+
+  if (contentType.includes('text/plain') && response.body) {
+    await readTextStream(response.body, state, onToken);
+    return { answer: state.answer || FALLBACK_ANSWER, data: state.data, streamed: true, droppedTurns };
+  }
+
+  // Server does not stream - use the one-shot JSON response
+  let data;
+  try {
+    data = await response.json();
+  } catch (error) {
+    throw new ApiError(API_ERROR_TYPES.PARSE, 'Response is not valid JSON', {
+      status: response.status,
+      url: response.url,
+      cause: error
+    });
+  }
+  const answer = data.answer || FALLBACK_ANSWER;
+  onToken?.(answer, answer);
+  return { answer, data: data.data, streamed: false, droppedTurns };
+};
@@ -0,0 +1,185 @@
+// Shared HTTP client for the ocean backend.
+//
+// The base URL comes from VITE_API_BASE_URL. Without it, development builds
+// go through the Vite dev server's /api proxy and production builds talk to
+// the hosted backend. Every request gets a timeout; idempotent GETs are
+// retried with exponential backoff. Failures are thrown as ApiError with a
+// `type` from API_ERROR_TYPES so callers can tell them apart.
+//
+// In mock mode (see ./mock/config) requests are answered in the browser from
+// fixtures instead of going over the network.
+
+import { isMockEnabled } from './mock/config';
+
+const DEFAULT_BASE_URL = import.meta.env.DEV ? '/api' : 'https://ocean-backend-1.onrender.com';
+
+export const API_BASE_URL = (import.meta.env.VITE_API_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+
+const DEFAULT_TIMEOUT_MS = Number(import.meta.env.VITE_API_TIMEOUT_MS) || 30000;
+const DEFAULT_RETRIES = 2;
+const RETRY_BASE_DELAY_MS = 500;
+
+// Statuses worth retrying: the request may succeed if sent again
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+export const API_ERROR_TYPES = {
+  NETWORK: 'network',
+  TIMEOUT: 'timeout',
+  HTTP: 'http',
+  PARSE: 'parse'
+};
+
+export class ApiError extends Error {
+  constructor(type, message, { status, url, details, cause } = {}) {
+    super(message, { cause });
+    this.name = 'ApiError';
+    this.type = type;
+    this.status = status;
+    this.url = url;
+    this.details = details;
+  }
+
+  get isRetryable() {
+    return this.type === API_ERROR_TYPES.NETWORK ||
+      this.type === API_ERROR_TYPES.TIMEOUT ||
+      (this.type === API_ERROR_TYPES.HTTP && RETRYABLE_STATUSES.includes(this.status));
+  }
+}
+
+// A short explanation of a failed request that can be shown to users
+export const describeApiError = (error) => {
+  switch (error?.type) {
+    case API_ERROR_TYPES.NETWORK:
+      return 'Could not reach the server. Please check your connection.';
+    case API_ERROR_TYPES.TIMEOUT:
+      return 'The server took too long to respond.';
+    case API_ERROR_TYPES.HTTP:
+      return error.status >= 500
+        ? `The server ran into a problem (HTTP ${error.status}).`
+        : `The request was rejected (HTTP ${error.status})${error.details ? `: ${error.details}` : ''}.`;
+    case API_ERROR_TYPES.PARSE:
+      return 'The server sent a response that could not be read.';
+    default:
+      return error?.message || 'Something went wrong.';
+  }
+};
+
+export const buildUrl = (path, params) => {
+  const url = `${API_BASE_URL}${path.startsWith('/') ? path : `/${path}`}`;
+  if (!params) return url;
+
+  const query = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      query.append(key, value);
+    }
+  });
+  const queryString = query.toString();
+  return queryString ? `${url}?${queryString}` : url;
+};
+
+// The mock server is only downloaded when mock mode is on
+let mockFetchPromise = null;
+const getFetch = () => {
+  if (!isMockEnabled()) return fetch;
+  mockFetchPromise ||= import('./mock/server').then(module => module.createMockFetch(API_BASE_URL));
+  return mockFetchPromise;
+};
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(signal.reason ?? new DOMException('Aborted', 'AbortError'));
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Backend errors usually carry a FastAPI-style `detail`
+const readErrorDetails = async (response) => {
+  const body = await response.text().catch(() => '');
+  try {
+    const parsed = JSON.parse(body);
+    return typeof parsed.detail === 'string' ? parsed.detail : JSON.stringify(parsed.detail ?? parsed);
+  } catch {
+    return body.slice(0, 200) || undefined;
+  }
+};
+
+// Send one request. The timeout covers the wait for the response headers;
+// callers that read the body themselves (streams) are not cut off mid-answer,
+// but the caller's signal keeps working until the body has been read.
+const sendOnce = async (url, { signal, timeout, ...init }) => {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout);
+  const abortFromCaller = () => controller.abort(signal.reason);
+  if (signal?.aborted) abortFromCaller();
+  signal?.addEventListener('abort', abortFromCaller, { once: true });
+
+  try {
+    const send = await getFetch();
+    const response = await send(url, { ...init, signal: controller.signal });
+    if (!response.ok) {
+      throw new ApiError(API_ERROR_TYPES.HTTP, `HTTP error! status: ${response.status}`, {
+        status: response.status,
+        url,
+        details: await readErrorDetails(response)
+      });
+    }
+    return response;
+  } catch (error) {
+    signal?.removeEventListener('abort', abortFromCaller);
+    if (error instanceof ApiError) throw error;
+    if (timedOut) {
+      throw new ApiError(API_ERROR_TYPES.TIMEOUT, `Request timed out after ${timeout} ms`, { url, cause: error });
+    }
+    // Cancelled by the caller - let AbortError through untouched
+    if (signal?.aborted) throw error;
+    throw new ApiError(API_ERROR_TYPES.NETWORK, 'Network request failed', { url, cause: error });
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// Send a request and resolve with the Response once its status is ok.
+// Options are fetch's plus `timeout` (ms) and `retries`; only GET requests
+// are retried unless `retries` is given explicitly.
+export const request = async (path, { params, method = 'GET', retries, timeout = DEFAULT_TIMEOUT_MS, ...init } = {}) => {
+  const url = buildUrl(path, params);
+  const maxRetries = retries ?? (method === 'GET' ? DEFAULT_RETRIES : 0);
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await sendOnce(url, { ...init, method, timeout });
+    } catch (error) {
+      if (!(error instanceof ApiError) || !error.isRetryable || attempt >= maxRetries) throw error;
+      // 0.5s, 1s, 2s, ... with jitter so clients do not retry in lockstep
+      const delay = RETRY_BASE_DELAY_MS * 2 ** attempt * (0.75 + Math.random() * 0.5);
+      await wait(delay, init.signal);
+    }
+  }
+};
+
+// Request a JSON endpoint and resolve with the parsed body
+export const requestJson = async (path, options = {}) => {
+  const response = await request(path, {
+    ...options,
+    headers: { Accept: 'application/json', ...options.headers }
+  });
+  try {
+    return await response.json();
+  } catch (error) {
+    throw new ApiError(API_ERROR_TYPES.PARSE, 'Response is not valid JSON', {
+      status: response.status,
+      url: response.url,
+      cause: error
+    });
+  }
+};
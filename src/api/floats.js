@@ -0,0 +1,99 @@
+// Argo float data from the backend's /api/floats endpoints
+
+import { requestJson } from './client';
+import { parseWktPolygon, pointInPolygon } from '../utils/geo';
+
+// Fetch the floats matching `filters` (lat_min, lat_max, lon_min, lon_max,
+// polygon, depth_max, start_date, end_date). Empty filters are left out of
+// the query. `polygon` is a WKT POLYGON; the result is also filtered by it
+// here, for backends that only honor the lat/lon range.
+export const getFloats = async (filters = {}, { signal } = {}) => {
+  const data = await requestJson('/api/floats', { params: filters, signal });
+  const floats = Array.isArray(data) ? data : [];
+
+  const ring = parseWktPolygon(filters.polygon);
+  if (!ring) return floats;
+  return floats.filter(float => pointInPolygon([parseFloat(float.lat), parseFloat(float.lng)], ring));
+};
+
+// Look up floats whose WMO number or name contains `query`, wherever they
+// are. Resolves with at most `limit` float records like getFloats.
+export const searchFloats = async (query, { limit = 10, signal } = {}) => {
+  const data = await requestJson('/api/floats', { params: { q: query.trim(), limit }, signal });
+  return Array.isArray(data) ? data.slice(0, limit) : [];
+};
+
+const toNumber = (value) => (value === null || value === undefined || value === '' ? null : Number(value));
+
+// Levels without a depth fall back to pressure (1 dbar is roughly 1 m)
+const normalizeLevel = (level) => ({
+  pressure: toNumber(level.pressure),
+  depth: toNumber(level.depth ?? level.pressure),
+  temperature: toNumber(level.temperature ?? level.temp),
+  salinity: toNumber(level.salinity ?? level.psal)
+});
+
+const normalizeProfile = (profile) => ({
+  cycle: toNumber(profile.cycle ?? profile.cycle_number),
+  date: profile.date ?? null,
+  lat: toNumber(profile.lat ?? profile.latitude),
+  lng: toNumber(profile.lng ?? profile.lon ?? profile.longitude),
+  levels: (profile.levels || [])
+    .map(normalizeLevel)
+    .filter(level => Number.isFinite(level.depth))
+    .sort((a, b) => a.depth - b.depth)
+});
+
+// Fetch every profile a float has reported, oldest cycle first. Each profile
+// is { cycle, date, lat, lng, levels: [{ pressure, depth, temperature, salinity }] }.
+export const getFloatProfiles = async (floatId, { signal } = {}) => {
+  const data = await requestJson(`/api/floats/${encodeURIComponent(floatId)}/profiles`, { signal });
+  const profiles = Array.isArray(data) ? data : data?.profiles;
+  return Array.isArray(profiles)
+    ? profiles.map(normalizeProfile).sort((a, b) => (a.cycle ?? 0) - (b.cycle ?? 0))
+    : [];
+};
+
+// Fetch the metadata of one float:
+//   { id, name, wmo, platformType, status, deployment: { date, lat, lng },
+//     sensors, cycleCount, lastTransmission }
+// Fields the backend does not report are null (sensors: []).
+export const getFloatDetails = async (floatId, { signal } = {}) => {
+  const data = await requestJson(`/api/floats/${encodeURIComponent(floatId)}`, { signal }) || {};
+  const deployment = data.deployment || {};
+  return {
+    id: data.id ?? floatId,
+    name: data.name ?? null,
+    wmo: data.wmo ?? data.platform_number ?? data.id ?? floatId,
+    platformType: data.platformType ?? data.platform_type ?? null,
+    status: data.status ?? null,
+    deployment: {
+      date: deployment.date ?? data.deployment_date ?? null,
+      lat: toNumber(deployment.lat ?? data.deployment_lat),
+      lng: toNumber(deployment.lng ?? deployment.lon ?? data.deployment_lon)
+    },
+    sensors: Array.isArray(data.sensors) ? data.sensors : [],
+    cycleCount: toNumber(data.cycleCount ?? data.cycle_count ?? data.cycle),
+    lastTransmission: data.lastTransmission ?? data.last_transmission ?? data.lastSeen ?? null
+  };
+};
+
+const normalizePosition = (position) => ({
+  cycle: toNumber(position.cycle ?? position.cycle_number),
+  date: position.date ?? null,
+  lat: toNumber(position.lat ?? position.latitude),
+  lng: toNumber(position.lng ?? position.lon ?? position.longitude)
+});
+
+// Fetch the positions a float surfaced at, one per cycle, oldest first:
+// [{ cycle, date, lat, lng }]. Positions without coordinates are dropped.
+export const getFloatTrajectory = async (floatId, { signal } = {}) => {
+  const data = await requestJson(`/api/floats/${encodeURIComponent(floatId)}/trajectory`, { signal });
+  const positions = Array.isArray(data) ? data : data?.positions;
+  return Array.isArray(positions)
+    ? positions
+      .map(normalizePosition)
+      .filter(position => Number.isFinite(position.lat) && Number.isFinite(position.lng))
+      .sort((a, b) => (Date.parse(a.date) || 0) - (Date.parse(b.date) || 0) || (a.cycle ?? 0) - (b.cycle ?? 0))
+    : [];
+};
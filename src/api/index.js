@@ -0,0 +1,4 @@
+export { API_BASE_URL, API_ERROR_TYPES, ApiError, describeApiError } from './client';
+export { ask } from './ask';
+export { getFloats, searchFloats, getFloatDetails, getFloatProfiles, getFloatTrajectory } from './floats';
+export { isMockEnabled } from './mock/config';
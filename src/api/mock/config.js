@@ -0,0 +1,69 @@
+// Switches for the offline mock backend.
+//
+// Enable with VITE_API_MOCK=true or by opening the app with ?mock=1 (kept for
+// the rest of the browser session; ?mock=0 turns it off again). Optional:
+//   VITE_API_MOCK_LATENCY / ?mockLatency=800   - base latency in ms
+//   VITE_API_MOCK_ERROR   / ?mockError=500     - inject an HTTP status, or
+//                                                 "timeout" / "network"
+//   VITE_API_MOCK_ERROR_RATE / ?mockErrorRate=0.3 - share of failing requests
+
+const STORAGE_KEY = 'ocean-data-assistant:mock-api';
+
+const DEFAULT_LATENCY_MS = 400;
+
+const toNumber = (value, fallback) => (
+  value === null || value === undefined || value === '' || !Number.isFinite(Number(value))
+    ? fallback
+    : Number(value)
+);
+
+const readUrlParams = () => {
+  if (typeof window === 'undefined') return null;
+  const params = new URLSearchParams(window.location.search);
+  if (!params.has('mock')) return null;
+  if (['0', 'false', 'off'].includes(params.get('mock'))) return { enabled: false };
+
+  return {
+    enabled: true,
+    latency: params.get('mockLatency'),
+    error: params.get('mockError'),
+    errorRate: params.get('mockErrorRate')
+  };
+};
+
+// URL settings win over the session, which wins over the build environment
+const resolveConfig = () => {
+  const env = import.meta.env;
+  let settings = {
+    enabled: env.VITE_API_MOCK === 'true',
+    latency: env.VITE_API_MOCK_LATENCY,
+    error: env.VITE_API_MOCK_ERROR,
+    errorRate: env.VITE_API_MOCK_ERROR_RATE
+  };
+
+  try {
+    const fromUrl = readUrlParams();
+    if (fromUrl) {
+      sessionStorage.setItem(STORAGE_KEY, JSON.stringify(fromUrl));
+    }
+    const stored = JSON.parse(sessionStorage.getItem(STORAGE_KEY) || 'null');
+    if (stored) {
+      // Settings missing from the URL keep their environment value
+      const given = Object.entries(stored).filter(([, value]) => value !== null);
+      settings = { ...settings, ...Object.fromEntries(given) };
+    }
+  } catch {
+    // sessionStorage may be unavailable (private mode, sandboxed frames)
+  }
+
+  return {
+    enabled: Boolean(settings.enabled),
+    latency: toNumber(settings.latency, DEFAULT_LATENCY_MS),
+    error: settings.error || null,
+    errorRate: settings.error ? toNumber(settings.errorRate, 1) : 0
+  };
+};
+
+export const mockConfig = resolveConfig();
+
+export const isMockEnabled = () => mockConfig.enabled;
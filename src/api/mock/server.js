@@ -0,0 +1,205 @@
+// In-browser stand-in for the ocean backend, used when mock mode is on (see
+// ./config). createMockFetch returns a function with fetch's signature that
+// answers from the versioned fixtures in ./fixtures, so the app runs the same
+// code paths as against the real server - including streaming, latency and
+// injected failures.
+
+import { mockConfig } from './config';
+import floatsFixture from './fixtures/floats.v1.json';
+import profilesFixture from './fixtures/profiles.v1.json';
+import answersFixture from './fixtures/answers.v1.json';
+
+// Delay between streamed answer fragments
+const TOKEN_INTERVAL_MS = 30;
+
+const abortError = () => new DOMException('The operation was aborted.', 'AbortError');
+
+const delay = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(abortError());
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(abortError());
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Base latency with ±25% jitter
+const latency = () => mockConfig.latency * (0.75 + Math.random() * 0.5);
+
+const jsonResponse = (body, status = 200) => new Response(JSON.stringify(body), {
+  status,
+  headers: { 'Content-Type': 'application/json' }
+});
+
+// Fail the way the configured error says: never answer, drop the connection,
+// or reply with an HTTP error status
+const injectError = (signal) => {
+  if (mockConfig.error === 'timeout') {
+    return new Promise((resolve, reject) => {
+      signal?.addEventListener('abort', () => reject(abortError()), { once: true });
+    });
+  }
+  if (mockConfig.error === 'network') {
+    return Promise.reject(new TypeError('Failed to fetch (mock network error)'));
+  }
+  const status = Number(mockConfig.error) || 500;
+  return Promise.resolve(jsonResponse({ detail: `Mock error ${status}` }, status));
+};
+
+const inRange = (value, min, max) => (
+  (min === null || value >= Number(min)) && (max === null || value <= Number(max))
+);
+
+const inDateRange = (date, start, end) => (!start || date >= start) && (!end || date <= end);
+
+// With a date range, a float is reported where it surfaced last within the
+// range (from its profiles), so stepping through time moves the floats
+const floatInDateRange = (float, start, end) => {
+  const profiles = profilesFixture.profiles[float.id];
+  if (!profiles) return inDateRange(float.lastSeen, start, end) ? float : null;
+
+  const latest = profiles.filter(profile => inDateRange(profile.date, start, end)).at(-1);
+  if (!latest) return null;
+  const surface = latest.levels[0];
+  return {
+    ...float,
+    lat: latest.lat,
+    lng: latest.lng,
+    lastSeen: latest.date,
+    cycle: latest.cycle,
+    temp: surface?.temperature ?? float.temp,
+    salinity: surface?.salinity ?? float.salinity
+  };
+};
+
+// `q` matches the WMO number or the name
+const matchesQuery = (float, query) => (
+  !query || [float.id, float.name].some(value => String(value ?? '').toLowerCase().includes(query.toLowerCase()))
+);
+
+const handleFloats = (params) => {
+  const start = params.get('start_date');
+  const end = params.get('end_date');
+  const floats = floatsFixture.floats
+    .map(float => (start || end ? floatInDateRange(float, start, end) : float))
+    .filter(float => float && (
+      matchesQuery(float, params.get('q')) &&
+      inRange(float.lat, params.get('lat_min'), params.get('lat_max')) &&
+      inRange(float.lng, params.get('lon_min'), params.get('lon_max')) &&
+      (!params.get('depth_max') || float.maxDepth <= Number(params.get('depth_max')))
+    ));
+  const limit = Number(params.get('limit'));
+  return jsonResponse(limit > 0 ? floats.slice(0, limit) : floats);
+};
+
+const handleFloat = (floatId) => {
+  const float = floatsFixture.floats.find(candidate => candidate.id === floatId);
+  if (!float) return jsonResponse({ detail: `Float ${floatId} not found` }, 404);
+  return jsonResponse({ ...float, wmo: float.id, cycleCount: float.cycle, lastTransmission: float.lastSeen });
+};
+
+const handleProfiles = (floatId) => {
+  const profiles = profilesFixture.profiles[floatId];
+  if (!profiles) return jsonResponse({ detail: `Float ${floatId} not found` }, 404);
+  return jsonResponse(profiles);
+};
+
+// The surfacing positions are the ones recorded with each profile
+const handleTrajectory = (floatId) => {
+  const profiles = profilesFixture.profiles[floatId];
+  if (!profiles) return jsonResponse({ detail: `Float ${floatId} not found` }, 404);
+  return jsonResponse(profiles.map(({ cycle, date, lat, lng }) => ({ cycle, date, lat, lng })));
+};
+
+// Pick the canned answer sharing the most keywords with the question
+const findAnswer = (question) => {
+  const words = new Set(question.toLowerCase().match(/[a-z]+/g) || []);
+  let best = answersFixture.fallback;
+  let bestScore = 0;
+  answersFixture.answers.forEach(answer => {
+    const score = answer.keywords.filter(keyword => words.has(keyword)).length;
+    if (score > bestScore) {
+      best = answer;
+      bestScore = score;
+    }
+  });
+  return best;
+};
+
+// Stream an answer as Server-Sent Events, a few words per event
+const streamAnswer = ({ answer, data }, signal) => {
+  const fragments = answer.match(/\S+\s*/g) || [];
+  const encoder = new TextEncoder();
+  const send = (controller, event) => controller.enqueue(encoder.encode(`${event}\n\n`));
+
+  const stream = new ReadableStream({
+    async start(controller) {
+      try {
+        for (const fragment of fragments) {
+          await delay(TOKEN_INTERVAL_MS, signal);
+          send(controller, `data: ${JSON.stringify({ token: fragment })}`);
+        }
+        if (data !== undefined) send(controller, `data: ${JSON.stringify({ data })}`);
+        send(controller, 'event: done\ndata: [DONE]');
+        controller.close();
+      } catch (error) {
+        controller.error(error);
+      }
+    }
+  });
+
+  return new Response(stream, { headers: { 'Content-Type': 'text/event-stream' } });
+};
+
+const handleAsk = async (url, init) => {
+  let question = url.searchParams.get('question') || '';
+  let stream = url.searchParams.get('stream') === 'true';
+  if (init.body) {
+    const body = JSON.parse(init.body);
+    question = body.question || question;
+    stream = Boolean(body.stream);
+  }
+
+  const answer = findAnswer(question);
+  if (stream) return streamAnswer(answer, init.signal);
+  return jsonResponse({ answer: answer.answer, data: answer.data });
+};
+
+const ROUTES = [
+  { pattern: /^\/ask$/, handle: (match, url, init) => handleAsk(url, init) },
+  { pattern: /^\/api\/floats$/, handle: (match, url) => handleFloats(url.searchParams) },
+  { pattern: /^\/api\/floats\/([^/]+)$/, handle: (match) => handleFloat(decodeURIComponent(match[1])) },
+  { pattern: /^\/api\/floats\/([^/]+)\/profiles$/, handle: (match) => handleProfiles(decodeURIComponent(match[1])) },
+  { pattern: /^\/api\/floats\/([^/]+)\/trajectory$/, handle: (match) => handleTrajectory(decodeURIComponent(match[1])) }
+];
+
+// Drop the configured base URL (absolute or a path like /api) so routes
+// match on the backend path alone
+const backendPath = (url, baseUrl) => {
+  const base = new URL(baseUrl, window.location.origin);
+  const basePath = base.pathname.replace(/\/+$/, '');
+  return url.pathname.startsWith(basePath) ? url.pathname.slice(basePath.length) || '/' : url.pathname;
+};
+
+export const createMockFetch = (baseUrl) => async (input, init = {}) => {
+  const url = new URL(input, window.location.origin);
+
+  await delay(latency(), init.signal);
+  if (mockConfig.error && Math.random() < mockConfig.errorRate) {
+    return injectError(init.signal);
+  }
+
+  const path = backendPath(url, baseUrl);
+  for (const route of ROUTES) {
+    const match = path.match(route.pattern);
+    if (match) return route.handle(match, url, init);
+  }
+  return jsonResponse({ detail: `No mock for ${path}` }, 404);
+};
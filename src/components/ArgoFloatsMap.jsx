@@ -1,35 +1,45 @@
-import React, { useEffect, useState, useCallback, useMemo } from 'react';
-import { MapContainer, TileLayer, Marker, Popup, useMap } from 'react-leaflet';
+import React, { useState, useCallback, useMemo, useEffect } from 'react';
+import { MapContainer, Marker, Popup, useMapEvents } from 'react-leaflet';
 import 'leaflet/dist/leaflet.css';
 import L from 'leaflet';
-import 'leaflet.heat';
-import HeatmapLayer from './HeatmapLayer';
-import DepthProfileChart from './DepthProfileChart';
+import BasemapLayers from './BasemapLayers';
+import ScalarFieldLayer from './ScalarFieldLayer';
+import ContourLayer from './ContourLayer';
+import RegionDrawControl from './RegionDrawControl';
+import LassoSelectControl from './LassoSelectControl';
+import FloatDetailPanel from './FloatDetailPanel';
+import FloatComparisonPanel from './FloatComparisonPanel';
+import MapExportMenu from './MapExportMenu';
+import MapSearch from './MapSearch';
+import OverlayLayers from './OverlayLayers';
+import OverlayManager from './OverlayManager';
 import FloatFilters from './FloatFilters';
-import { FiX, FiThermometer, FiDroplet, FiFilter } from 'react-icons/fi';
-
-// Add some styles for the heatmap container
-const heatmapStyles = `
-  .leaflet-heatmap-layer {
-    pointer-events: none;
-  }
-  .heatmap-container {
-    position: absolute;
-    top: 0;
-    left: 0;
-    right: 0;
-    bottom: 0;
-    pointer-events: none;
-    z-index: 500;
-  }
-`;
-
-// Add styles to the document
-const styleElement = document.createElement('style');
-styleElement.textContent = heatmapStyles;
-if (typeof document !== 'undefined') {
-  document.head.appendChild(styleElement);
-}
+import FloatClusterLayer from './FloatClusterLayer';
+import TrajectoryLayer from './TrajectoryLayer';
+import TrajectoryControls from './TrajectoryControls';
+import TimelineControl from './TimelineControl';
+import { useViewportFloats } from '../hooks/useViewportFloats';
+import { useFloatTrajectories } from '../hooks/useFloatTrajectories';
+import { useFloatComparison } from '../hooks/useFloatComparison';
+import { useFloatProfiles } from '../hooks/useFloatProfiles';
+import { useMapOverlays } from '../hooks/useMapOverlays';
+import { usePlayback } from '../hooks/usePlayback';
+import { useMapBounds } from '../hooks/useMapBounds';
+import { useMapUrlState } from '../hooks/useMapUrlState';
+import { useTimeline, defaultTimelineDomain } from '../hooks/useTimeline';
+import { describeApiError } from '../api';
+import { FLOAT_PARAMETERS, COLOR_RAMP, getFloatValue, hasValidPosition, valuePoints, createColorScale, formatPosition } from '../utils/floatData';
+import { tracksTimeRange } from '../utils/trajectory';
+import { preparePoints, interpolateAt, interpolateGrid } from '../utils/scalarField';
+import { computeContours, contoursToGeoJSON } from '../utils/contours';
+import { regionToFilters, pointInPolygon, ringBounds, thinRing } from '../utils/geo';
+import { parseMapUrlState } from '../utils/mapUrlState';
+import { downloadFile, exportFileName } from '../utils/download';
+import { FLOAT_EXPORT_FORMATS, exportMetadata, serializeFloats, profileToCsv } from '../utils/floatExport';
+import { profileIndexForCycle } from '../utils/profileStats';
+import { regionBounds } from '../utils/mapSearch';
+import { timeOverlayDate } from '../config/basemaps';
+import { FiThermometer, FiDroplet, FiFilter } from 'react-icons/fi';
 
 // Fix for default marker icons in React-Leaflet
 delete L.Icon.Default.prototype._getIconUrl;
@@ -39,638 +49,897 @@ L.Icon.Default.mergeOptions({
   shadowUrl: 'https://unpkg.com/leaflet@1.9.4/dist/images/marker-shadow.png',
 });
 
-// API base URL - point to the backend server
-const API_BASE_URL = 'https://ocean-backend-1.onrender.com';
+// Custom marker icon, shared by every float marker
+const argoIcon = new L.Icon({
+  iconUrl: 'https://cdn-icons-png.flaticon.com/512/4471/4471679.png',
+  iconSize: [32, 32],
+  iconAnchor: [16, 32],
+  popupAnchor: [0, -32],
+});
+
+// Floats in the comparison get a ring in their comparison color
+const comparedIcons = new Map();
+const comparedIcon = (color) => {
+  if (!comparedIcons.has(color)) {
+    comparedIcons.set(color, L.divIcon({
+      html: `<img src="${argoIcon.options.iconUrl}" width="32" height="32" alt="" style="border-radius: 50%; box-shadow: 0 0 0 3px ${color};" />`,
+      className: 'bg-transparent border-0',
+      iconSize: [32, 32],
+      iconAnchor: [16, 32],
+      popupAnchor: [0, -32]
+    }));
+  }
+  return comparedIcons.get(color);
+};
+
+// Filters replaced by a region drawn on the map
+const SPATIAL_FILTERS = ['lat_min', 'lat_max', 'lon_min', 'lon_max', 'polygon'];
 
-const ArgoFloatsMap = () => {
-  const [argoFloats, setArgoFloats] = useState([]);
-  const [isLoading, setIsLoading] = useState(true);
-  const [isFiltering, setIsFiltering] = useState(false);
-  const [error, setError] = useState(null);
+// Set initial map view to center on the Indian Ocean and Bay of Bengal
+const DEFAULT_CENTER = [5, 85];  // Centered between Indian Ocean and Bay of Bengal
+const DEFAULT_ZOOM = 4;          // Zoom level to show the entire region
+
+// Width of the docked float detail panel in px
+const DETAIL_PANEL_WIDTH = 380;
+// Height of the float comparison panel docked at the bottom, in px
+const COMPARISON_PANEL_HEIGHT = 340;
+
+// MapContainer does not take event props; clicks are registered from inside it
+const MapClickHandler = ({ onClick }) => {
+  useMapEvents({ click: onClick });
+  return null;
+};
+
+const ArgoFloatsMap = ({ darkMode = false }) => {
+  // A shared link opens the map in the state it describes
+  const [initialUrlState] = useState(() => parseMapUrlState(new URLSearchParams(window.location.search)));
   const [map, setMap] = useState(null);
-  const [filters, setFilters] = useState({});
-  const [selectedFloat, setSelectedFloat] = useState(null);
-  const [depthProfileData, setDepthProfileData] = useState([]);
-  const [isProfileDialogOpen, setIsProfileDialogOpen] = useState(false);
-  const [activeHeatmap, setActiveHeatmap] = useState('temperature');  // Show temperature by default
-  const [heatmapIntensity, setHeatmapIntensity] = useState(0.9);  // Increased default intensity for more vibrant colors
-  const [heatmapRadius, setHeatmapRadius] = useState(40);  // Increased default radius for better coverage
+  const [filters, setFilters] = useState(initialUrlState.filters);
+  const [selectedFloat, setSelectedFloat] = useState(() => (
+    initialUrlState.floatId ? { id: initialUrlState.floatId } : null
+  ));
+  const [selectedCycle, setSelectedCycle] = useState(initialUrlState.cycle);
+  const [isDetailPanelOpen, setIsDetailPanelOpen] = useState(Boolean(initialUrlState.floatId));
+  const [activeField, setActiveField] = useState(initialUrlState.field);
+  const [fieldOpacity, setFieldOpacity] = useState(initialUrlState.opacity);
+  const [idwSettings, setIdwSettings] = useState(initialUrlState.idw);
+  const [fieldRangeMode, setFieldRangeMode] = useState('auto');  // 'auto' fits the data, 'fixed' uses fixedRanges
+  const [fixedRanges, setFixedRanges] = useState(() => Object.fromEntries(
+    Object.entries(FLOAT_PARAMETERS).map(([parameter, { range }]) => [parameter, range])
+  ));
+  const [showContours, setShowContours] = useState(false);
+  const [contourParameter, setContourParameter] = useState('temperature');
+  const [contourInterval, setContourInterval] = useState(FLOAT_PARAMETERS.temperature.contourInterval);
   const [clickedPoint, setClickedPoint] = useState(null);  // Store clicked point data
+  const [isClustered, setIsClustered] = useState(true);
+  const [clusterColorBy, setClusterColorBy] = useState('temperature');
+  const [isTrajectoryMode, setIsTrajectoryMode] = useState(false);
+  const [isDraggingFiles, setIsDraggingFiles] = useState(false);
+  const timeline = useTimeline();
+  // While the time slider is on, its window replaces the date filters
+  const viewFilters = useMemo(() => (
+    timeline.window
+      ? { ...filters, start_date: timeline.window.startDate, end_date: timeline.window.endDate }
+      : filters
+  ), [filters, timeline.window]);
+  const { floats: argoFloats, isLoadingArea, error, reload, prefetch } = useViewportFloats(map, viewFilters);
+  const mapBounds = useMapBounds(map);
+  const {
+    overlays,
+    isImporting,
+    importErrors,
+    importFiles,
+    toggleOverlay,
+    removeOverlay,
+    dismissImportErrors
+  } = useMapOverlays();
+  // Profiles of the float open in the detail panel
+  const floatProfiles = useFloatProfiles(isDetailPanelOpen ? selectedFloat?.id : null);
+  const { tracks, toggleTrack, removeTrack, clearTracks, reloadTrack } = useFloatTrajectories();
+  const {
+    entries: comparedFloats,
+    addFloats: addComparedFloats,
+    removeFloat: removeComparedFloat,
+    toggleFloat: toggleComparedFloat,
+    clearFloats: clearComparedFloats,
+    reloadEntry: reloadComparedFloat
+  } = useFloatComparison();
+  const trackTimeRange = useMemo(() => tracksTimeRange(tracks), [tracks]);
+  const playback = usePlayback(trackTimeRange?.start, trackTimeRange?.end);
+
+  // Track positions are colored by date across all shown tracks
+  const trackDateScale = useMemo(
+    () => trackTimeRange && createColorScale([trackTimeRange.start, trackTimeRange.end]),
+    [trackTimeRange]
+  );
   
-  // Prepare heatmap data with validation and filtering for Indian Ocean region
-  const heatmapData = useMemo(() => {
-    if (!argoFloats || !Array.isArray(argoFloats) || !argoFloats.length) return [];
-    
-    // Define the Indian Ocean and Bay of Bengal region
-    const indianOceanBounds = {
-      latMin: -30, latMax: 30,
-      lngMin: 30, lngMax: 100
+  // Values of the active field parameter at the float positions
+  const fieldPoints = useMemo(
+    () => (activeField ? valuePoints(argoFloats, activeField) : []),
+    [argoFloats, activeField]
+  );
+
+  // Color scale of the field and the actual range of the data behind it
+  const fieldScale = useMemo(() => {
+    if (!activeField) return null;
+    const values = fieldPoints.map(point => point.value);
+    const dataRange = createColorScale(values);
+    const scale = fieldRangeMode === 'fixed' ? createColorScale(values, fixedRanges[activeField]) : dataRange;
+    return scale && { ...scale, dataMin: dataRange?.min, dataMax: dataRange?.max };
+  }, [activeField, fieldPoints, fieldRangeMode, fixedRanges]);
+
+  // Isolines of the contour parameter over the visible area (padded so lines
+  // do not end at the screen edge), independent of the color field
+  const contours = useMemo(() => {
+    const interval = Number(contourInterval);
+    if (!showContours || !mapBounds || !(interval > 0)) return [];
+    const points = preparePoints(valuePoints(argoFloats, contourParameter));
+    if (points.length < 2) return [];
+
+    const latPad = (mapBounds.north - mapBounds.south) * 0.1;
+    const lngPad = (mapBounds.east - mapBounds.west) * 0.1;
+    const bounds = {
+      south: Math.max(mapBounds.south - latPad, -85),
+      north: Math.min(mapBounds.north + latPad, 85),
+      west: Math.max(mapBounds.west - lngPad, -180),
+      east: Math.min(mapBounds.east + lngPad, 180)
     };
-    
-    return argoFloats
-      .filter(float => {
-        if (!float) return false;
-        
-        const lat = parseFloat(float.lat);
-        const lng = parseFloat(float.lng);
-        
-        // Basic validation
-        if (isNaN(lat) || isNaN(lng)) return false;
-        if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return false;
-        
-        // Filter for Indian Ocean region
-        const isInIndianOcean = 
-          lat >= indianOceanBounds.latMin && 
-          lat <= indianOceanBounds.latMax && 
-          lng >= indianOceanBounds.lngMin && 
-          lng <= indianOceanBounds.lngMax;
-          
-        return isInIndianOcean;
-      })
-      .map(float => {
-        // Safely extract numeric values from temperature and salinity
-        const tempValue = float.temp ? parseFloat(float.temp) : 0;
-        // Handle case where salinity might be a number, string, or undefined
-        const salinityStr = float.salinity ? String(float.salinity) : '0';
-        const salinityValue = parseFloat(salinityStr.split(' ')[0]) || 0;
-        
-        return {
-          lat: parseFloat(float.lat),
-          lng: parseFloat(float.lng),
-          temp: tempValue,
-          salinity: salinityValue,
-          value: activeHeatmap === 'temperature' ? tempValue : salinityValue
-        };
-      })
-      .filter(point => !isNaN(point.value) && !isNaN(point.lat) && !isNaN(point.lng)); // Filter out any invalid points
-  }, [argoFloats, activeHeatmap]);
-
-  // Fit bounds when heatmap data changes
+    const columns = 80;
+    const aspect = (bounds.north - bounds.south) / Math.max(bounds.east - bounds.west, 1e-6);
+    const rows = Math.min(Math.max(Math.round(columns * aspect), 20), 120);
+    return computeContours(interpolateGrid(points, bounds, { columns, rows }, idwSettings), interval);
+  }, [showContours, mapBounds, argoFloats, contourParameter, contourInterval, idwSettings]);
+
+  const handleContourParameterChange = (parameter) => {
+    setContourParameter(parameter);
+    setContourInterval(FLOAT_PARAMETERS[parameter].contourInterval);
+  };
+
+  const exportContours = () => {
+    const { label, unit } = FLOAT_PARAMETERS[contourParameter];
+    // Record what the lines were computed from, including the time window
+    const properties = Object.fromEntries(Object.entries({
+      parameter: contourParameter,
+      unit,
+      interval: Number(contourInterval),
+      start_date: viewFilters.start_date,
+      end_date: viewFilters.end_date
+    }).filter(([, value]) => value !== undefined));
+    const geojson = contoursToGeoJSON(contours, properties);
+    downloadFile(
+      exportFileName(`${label} contours`, 'geojson'),
+      JSON.stringify(geojson, null, 2),
+      'application/geo+json'
+    );
+  };
+
+  // The loaded floats inside the current view
+  const visibleFloats = useMemo(() => argoFloats.filter(float => {
+    if (!hasValidPosition(float)) return false;
+    if (!mapBounds) return true;
+    const lat = parseFloat(float.lat);
+    const lng = parseFloat(float.lng);
+    return lat >= mapBounds.south && lat <= mapBounds.north && lng >= mapBounds.west && lng <= mapBounds.east;
+  }), [argoFloats, mapBounds]);
+
+  // Exports record the filters in effect, including the time slider window
+  const exportFloats = (format, options) => {
+    const { extension, mimeType } = FLOAT_EXPORT_FORMATS[format];
+    const metadata = exportMetadata(viewFilters, {
+      float_count: visibleFloats.length,
+      view_bounds: mapBounds && [mapBounds.south, mapBounds.west, mapBounds.north, mapBounds.east]
+        .map(value => value.toFixed(4)).join(',')
+    });
+    downloadFile(exportFileName('argo floats', extension), serializeFloats(format, visibleFloats, metadata, options), mimeType);
+  };
+
+  const openProfile = floatProfiles.profiles[profileIndexForCycle(floatProfiles.profiles, selectedCycle)];
+
+  const exportProfile = (options) => {
+    if (!selectedFloat || !openProfile) return;
+    const csv = profileToCsv(selectedFloat, openProfile, exportMetadata(viewFilters), options);
+    downloadFile(
+      exportFileName(`float ${selectedFloat.id} cycle ${openProfile.cycle ?? ''}`, 'csv'),
+      csv,
+      FLOAT_EXPORT_FORMATS.csv.mimeType
+    );
+  };
+
+  const updateIdwSetting = (name, value) => setIdwSettings(current => ({ ...current, [name]: value }));
+
+  const updateFixedRange = (edge, value) => {
+    if (!Number.isFinite(value)) return;
+    setFixedRanges(current => ({ ...current, [activeField]: { ...current[activeField], [edge]: value } }));
+  };
+
+  // Load the next timeline frames in the background so playback does not
+  // stop to wait for them
+  const { upcomingWindows } = timeline;
   useEffect(() => {
-    if (map && activeHeatmap && heatmapData.length > 0) {
-      const bounds = L.latLngBounds(
-        heatmapData.map(point => [point.lat, point.lng])
-      );
-      if (bounds.isValid()) {
-        map.fitBounds(bounds, { padding: [50, 50] });
+    if (!upcomingWindows.length) return undefined;
+    const controller = new AbortController();
+    (async () => {
+      for (const upcoming of upcomingWindows) {
+        if (controller.signal.aborted) return;
+        await prefetch(
+          { ...filters, start_date: upcoming.startDate, end_date: upcoming.endDate },
+          { signal: controller.signal }
+        );
       }
+    })();
+    return () => controller.abort();
+  }, [upcomingWindows, filters, prefetch]);
+
+  const toggleTimeline = (enabled) => {
+    if (enabled) {
+      timeline.enable(defaultTimelineDomain(filters, argoFloats));
+    } else {
+      timeline.disable();
     }
-  }, [map, activeHeatmap, heatmapData]);
+  };
+
+  // Per-float values and color scale for tinting marker clusters
+  const clusterColoring = useMemo(() => {
+    if (!clusterColorBy) return null;
+    const values = new Map(argoFloats.map(float => [float.id, getFloatValue(float, clusterColorBy)]));
+    const scale = createColorScale([...values.values()]);
+    return scale && { values, ...scale };
+  }, [argoFloats, clusterColorBy]);
 
-  // Handle map click to show temperature/salinity at point
+  // Handle map click to show the interpolated temperature/salinity at a point
   const handleMapClick = useCallback((e) => {
-    if (!activeHeatmap || !map || !heatmapData || heatmapData.length === 0) return;
-    
-    // Find the nearest data point to the clicked location
+    if (!activeField || !map || fieldPoints.length === 0) return;
+
     const clickedLatLng = e.latlng;
-    let nearestPoint = null;
-    let minDistance = Infinity;
-    
-    heatmapData.forEach(point => {
-      const distance = Math.sqrt(
-        Math.pow(point.lat - clickedLatLng.lat, 2) + 
-        Math.pow(point.lng - clickedLatLng.lng, 2)
-      ) * 100; // Convert to km (approximate)
-      
-      if (distance < minDistance) {
-        minDistance = distance;
-        nearestPoint = point;
-      }
-    });
-    
-    // Show popup if click is within 5 degrees of a data point
-    if (nearestPoint && minDistance < 100) {  // Increased threshold to 100km
-      setClickedPoint({
-        lat: clickedLatLng.lat,
-        lng: clickedLatLng.lng,
-        value: nearestPoint.value,
-        type: activeHeatmap,
-        distance: minDistance < 1 ? 
-          `${Math.round(minDistance * 1000)} m away` : 
-          `${minDistance.toFixed(1)} km away`
-      });
-    } else {
+    const value = interpolateAt(preparePoints(fieldPoints), clickedLatLng, idwSettings);
+    if (value === null) {
       setClickedPoint(null);
+      return;
     }
-  }, [activeHeatmap, heatmapData, map]);
-  
-  // Toggle heatmap on/off
-  const toggleHeatmap = (type) => {
-    setActiveHeatmap(activeHeatmap === type ? null : type);
+
+    // Distance to the nearest float, for context
+    const minDistance = Math.min(...fieldPoints.map(point => clickedLatLng.distanceTo([point.lat, point.lng]) / 1000));
+    setClickedPoint({
+      lat: clickedLatLng.lat,
+      lng: clickedLatLng.lng,
+      value,
+      type: activeField,
+      distance: minDistance < 1 ?
+        `${Math.round(minDistance * 1000)} m away` :
+        `${minDistance.toFixed(1)} km away`
+    });
+  }, [activeField, fieldPoints, idwSettings, map]);
+
+  // Toggle the value field on/off
+  const toggleField = (type) => {
+    setActiveField(activeField === type ? null : type);
+    setClickedPoint(null);
   };
 
-  // Get color gradient based on active heatmap type
-  const getGradient = useCallback(() => {
-    if (activeHeatmap === 'temperature') {
-      // More vibrant temperature gradient with stronger reds and yellows
-      return {
-        0.0: '#0000FF', // Deep Blue (cold)
-        0.1: '#1E90FF', // Dodger Blue
-        0.2: '#00BFFF', // Deep Sky Blue
-        0.3: '#00FA9A', // Medium Spring Green
-        0.4: '#00FF00', // Lime
-        0.5: '#7CFC00', // Lawn Green
-        0.6: '#FFFF00', // Yellow
-        0.7: '#FFD700', // Gold
-        0.8: '#FF8C00', // Dark Orange
-        0.9: '#FF4500', // Orange Red
-        1.0: '#FF0000'  // Red (hot)
-      };
-    } else {
-      // Enhanced salinity gradient with more contrast
-      return {
-        0.0: '#0000FF', // Blue (low salinity)
-        0.2: '#4169E1', // Royal Blue
-        0.4: '#00BFFF', // Deep Sky Blue
-        0.5: '#00FF7F', // Spring Green
-        0.6: '#32CD32', // Lime Green
-        0.7: '#FFD700', // Gold
-        0.8: '#FFA500', // Orange
-        0.9: '#FF6347', // Tomato
-        1.0: '#FF0000'  // Red (high salinity)
-      };
-    }
-  }, [activeHeatmap]);
-
-
-  // Define fetchArgoFloats first
-  const fetchArgoFloats = useCallback(async (filterParams = {}) => {
-    try {
-      setIsLoading(true);
-      setError(null);
-      
-      // Build query string from filter parameters
-      const queryParams = new URLSearchParams();
-      Object.entries(filterParams).forEach(([key, value]) => {
-        if (value !== undefined && value !== '') {
-          queryParams.append(key, value);
-        }
-      });
-      
-      const apiUrl = `${API_BASE_URL}/api/floats?${queryParams.toString()}`;
-      console.log('Fetching data from:', apiUrl);
-      
-      const response = await fetch(apiUrl, {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-      });
-      
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        const errorMessage = `HTTP error! status: ${response.status}, message: ${errorData.detail || 'No details'}`;
-        console.error('API Error:', errorMessage);
-        throw new Error(errorMessage);
-      }
-      
-      const data = await response.json();
-      console.log('API Response data:', data);
-      
-      // Transform data to match expected format if needed
-      const formattedData = Array.isArray(data) ? data : [];
-      setArgoFloats(formattedData);
-      
-      // Update map bounds to show all markers
-      if (map && formattedData.length > 0) {
-        const bounds = L.latLngBounds(formattedData.map(f => [f.lat, f.lng]));
-        if (bounds.isValid()) {
-          map.fitBounds(bounds, { padding: [50, 50] });
-        }
-      }
-      
-      return formattedData;
-    } catch (err) {
-      console.error('Error in fetchArgoFloats:', err);
-      setError(`Failed to load Argo float data: ${err.message}. Please check your connection and try again.`);
-      throw err;
-    } finally {
-      setIsLoading(false);
-      setIsFiltering(false);
-    }
-  }, [map]);
+  // Apply the filter panel. A lat/lon range also moves the map there; the
+  // viewport loader then requests floats for the new area.
+  const handleFilterChange = useCallback((newFilters) => {
+    setFilters(newFilters);
 
-  // Handle filter changes
-  const handleFilterChange = useCallback(async (newFilters) => {
-    console.log('handleFilterChange called with:', newFilters);
-    try {
-      setIsFiltering(true);
-      setFilters(newFilters);
-      
-      console.log('Calling fetchArgoFloats with:', newFilters);
-      const data = await fetchArgoFloats(newFilters);
-      
-      console.log('Filtered data received in handleFilterChange:', data);
-      if (data && Array.isArray(data)) {
-        console.log(`Received ${data.length} data points after filtering`);
-        if (data.length > 0) {
-          console.log('First data point:', data[0]);
-        }
-      }
-    } catch (error) {
-      console.error('Error in handleFilterChange:', error);
-    } finally {
-      setIsFiltering(false);
+    const { lat_min: south, lat_max: north, lon_min: west, lon_max: east } = newFilters;
+    if (map && [south, north, west, east].every(value => value !== undefined)) {
+      map.fitBounds([[Number(south), Number(west)], [Number(north), Number(east)]]);
     }
-  }, [fetchArgoFloats]);
+  }, [map]);
 
-  // Initial data load with Indian Ocean and Bay of Bengal bounds
-  useEffect(() => {
-    // Define the bounding box for Indian Ocean and Bay of Bengal
-    const indianOceanBounds = {
-      lat_min: -30,   // Southern Indian Ocean
-      lat_max: 30,    // Northern Indian Ocean
-      lon_min: 30,    // Eastern Africa
-      lon_max: 100    // Western Australia
-    };
-    
-    // Use the fetchArgoFloats function we defined earlier
-    fetchArgoFloats(indianOceanBounds).catch(error => {
-      console.error('Error in initial data load:', error);
+  // A region drawn on the map replaces the spatial part of the filters
+  const handleRegionChange = useCallback((region) => {
+    setFilters(current => {
+      const rest = Object.fromEntries(Object.entries(current).filter(([key]) => !SPATIAL_FILTERS.includes(key)));
+      return region ? { ...rest, ...regionToFilters(region) } : rest;
     });
-  }, [fetchArgoFloats]);
-
-  // Generate sample depth profile data for a float
-  const generateDepthProfile = useCallback((floatId) => {
-    const profiles = [];
-    const baseTemp = 25 + (Math.random() * 5);
-    const baseSalinity = 34.5 + (Math.random() * 2);
-    
-    for (let depth = 0; depth <= 1000; depth += 10) {
-      const temperature = baseTemp - (depth * 0.02) + (Math.random() * 0.5 - 0.25);
-      const salinity = baseSalinity + (depth < 200 ? 0 : (depth - 200) * 0.005) + (Math.random() * 0.1 - 0.05);
-      
-      profiles.push({
-        depth: depth,
-        temperature: parseFloat(temperature.toFixed(2)),
-        salinity: parseFloat(salinity.toFixed(2))
-      });
-    }
-    
-    return profiles;
   }, []);
 
-  const handleFloatClick = useCallback((float) => {
-    setSelectedFloat(float);
-    const profileData = generateDepthProfile(float.id);
-    setDepthProfileData(profileData);
-    setIsProfileDialogOpen(true);
-  }, [generateDepthProfile]);
+  // A polygon of an imported overlay becomes the spatial filter. Detailed
+  // outlines are thinned so the filter still fits into a request.
+  const handleOverlayFilter = useCallback((ring) => {
+    const latlngs = thinRing(ring);
+    handleRegionChange({ type: 'polygon', latlngs });
+    const { south, west, north, east } = ringBounds(latlngs);
+    map?.fitBounds([[south, west], [north, east]]);
+  }, [map, handleRegionChange]);
+
+  // Overlay files dropped onto the map
+  const isFileDrag = (e) => [...(e.dataTransfer?.types || [])].includes('Files');
+
+  const handleDragOver = (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    setIsDraggingFiles(true);
+  };
 
-  const handleCloseDialog = () => {
-    setIsProfileDialogOpen(false);
-    setSelectedFloat(null);
+  const handleDragLeave = (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) setIsDraggingFiles(false);
   };
 
-  // Set initial map view to center on the Indian Ocean and Bay of Bengal
-  const mapCenter = [5, 85];  // Centered between Indian Ocean and Bay of Bengal
-  const zoomLevel = 4;        // Zoom level to show the entire region
+  const handleDrop = (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    setIsDraggingFiles(false);
+    importFiles([...e.dataTransfer.files]);
+  };
 
-  // Custom marker icon
-  const argoIcon = new L.Icon({
-    iconUrl: 'https://cdn-icons-png.flaticon.com/512/4471/4471679.png',
-    iconSize: [32, 32],
-    iconAnchor: [16, 32],
-    popupAnchor: [0, -32],
-  });
+  const handleFloatClick = useCallback((float, cycle = null) => {
+    setSelectedFloat(float);
+    setSelectedCycle(cycle);
+    setIsDetailPanelOpen(true);
+  }, []);
 
+  // Shift-click adds or removes the float from the comparison. Otherwise, in
+  // trajectory mode a marker click shows or hides the float's track.
+  const handleMarkerClick = useCallback((float, event) => {
+    if (event?.originalEvent?.shiftKey) {
+      toggleComparedFloat(float);
+    } else if (isTrajectoryMode) {
+      toggleTrack(float);
+    } else {
+      handleFloatClick(float);
+    }
+  }, [isTrajectoryMode, toggleTrack, toggleComparedFloat, handleFloatClick]);
+
+  // Compare the loaded floats inside a lasso drawn on the map
+  const handleLasso = useCallback((ring) => {
+    addComparedFloats(argoFloats.filter(float => (
+      hasValidPosition(float) && pointInPolygon([parseFloat(float.lat), parseFloat(float.lng)], ring)
+    )));
+  }, [argoFloats, addComparedFloats]);
+
+  // Overlays along the bottom edge move up while the comparison is open
+  const aboveComparison = (offset) => (
+    comparedFloats.length ? { bottom: COMPARISON_PANEL_HEIGHT + offset } : undefined
+  );
 
-  if (isLoading) {
-    return (
-      <div className="flex items-center justify-center h-full">
-        <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"></div>
-        <p className="ml-4">Loading Argo float data...</p>
-      </div>
-    );
-  }
+  // A float picked in the search is flown to and opened, even when it is not
+  // among the loaded floats
+  const handleSearchFloat = useCallback((float) => {
+    const lat = parseFloat(float.lat);
+    const lng = parseFloat(float.lng);
+    if (map && Number.isFinite(lat) && Number.isFinite(lng)) {
+      map.flyTo([lat, lng], Math.max(map.getZoom(), 6));
+    }
+    handleFloatClick(float);
+  }, [map, handleFloatClick]);
+
+  const handleSearchRegion = useCallback((region, { applyFilter }) => {
+    map?.flyToBounds(regionBounds(region));
+    if (applyFilter) {
+      const { south, west, north, east } = region;
+      handleRegionChange({ type: 'rectangle', latlngs: [[south, west], [north, west], [north, east], [south, east]] });
+    }
+  }, [map, handleRegionChange]);
+
+  const handleClosePanel = () => {
+    setIsDetailPanelOpen(false);
+    setSelectedFloat(null);
+    setSelectedCycle(null);
+  };
+
+  const handleLocate = useCallback((lat, lng) => {
+    map?.panTo([lat, lng]);
+  }, [map]);
+
+  // Back/forward: put the map into the state of the URL navigated to
+  const handleUrlRestore = useCallback((urlState) => {
+    setFilters(urlState.filters);
+    setActiveField(urlState.field);
+    setFieldOpacity(urlState.opacity);
+    setIdwSettings(urlState.idw);
+    setSelectedFloat(current => (
+      !urlState.floatId ? null : current?.id === urlState.floatId ? current : { id: urlState.floatId }
+    ));
+    setSelectedCycle(urlState.cycle);
+    setIsDetailPanelOpen(Boolean(urlState.floatId));
+  }, []);
 
-  if (error) {
-    return (
-      <div className="flex flex-col items-center justify-center h-full text-red-600">
-        <p className="mb-4">{error}</p>
-        <button 
-          onClick={() => window.location.reload()}
-          className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600"
+  useMapUrlState(map, {
+    filters,
+    field: activeField,
+    opacity: fieldOpacity,
+    idw: idwSettings,
+    floatId: isDetailPanelOpen ? selectedFloat?.id ?? null : null,
+    cycle: selectedCycle
+  }, handleUrlRestore);
+
+  const floatMarkers = argoFloats
+    .filter(hasValidPosition)
+    .map((float, index) => {
+      const compared = comparedFloats.find(entry => entry.floatId === float.id);
+      return (
+        <Marker
+          key={`${float.id || 'marker'}-${index}`}
+          position={[
+            parseFloat(float.lat),
+            parseFloat(float.lng)
+          ]}
+          icon={compared ? comparedIcon(compared.color) : argoIcon}
+          floatId={float.id}
+          eventHandlers={{
+            click: (e) => handleMarkerClick(float, e),
+          }}
         >
-          Retry
-        </button>
-      </div>
-    );
-  }
+          <Popup>
+            <div className="text-sm">
+              <h3 className="font-bold">{float.name}</h3>
+              <p>Last seen: {float.lastSeen}</p>
+              <p>Temperature: {float.temp}</p>
+              <p>Salinity: {float.salinity}</p>
+              <button 
+                className="mt-2 text-blue-600 hover:underline text-sm"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  handleFloatClick(float);
+                }}
+              >
+                View Details →
+              </button>
+              <button
+                className="mt-1 block text-blue-600 hover:underline text-sm"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  toggleTrack(float);
+                }}
+              >
+                {tracks.some(track => track.floatId === float.id) ? 'Hide Trajectory' : 'Show Trajectory'}
+              </button>
+              <button
+                className="mt-1 block text-blue-600 hover:underline text-sm"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  toggleComparedFloat(float);
+                }}
+              >
+                {compared ? 'Remove from Comparison' : 'Add to Comparison'}
+              </button>
+            </div>
+          </Popup>
+        </Marker>
+      );
+    });
 
   return (
     <div className="relative w-full" style={{ height: 'calc(100vh - 64px)' }}>
       {/* Filter Panel */}
       <FloatFilters 
+        appliedFilters={filters}
         onFilterChange={handleFilterChange} 
-        isLoading={isFiltering} 
+        isLoading={isLoadingArea} 
       />
-      {/* Enhanced Heatmap Controls */}
-      <div className="absolute top-4 right-4 bg-white p-4 rounded-lg shadow-xl z-10 w-72">
-        <h3 className="font-bold text-lg mb-3 text-gray-800">Heatmap Controls</h3>
+      {/* Float and region search */}
+      <MapSearch floats={argoFloats} onSelectFloat={handleSearchFloat} onSelectRegion={handleSearchRegion} />
+
+      {/* Map Controls */}
+      <div
+        className="absolute top-4 right-4 bg-white p-4 rounded-lg shadow-xl z-10 w-72"
+        style={isDetailPanelOpen ? { right: DETAIL_PANEL_WIDTH + 16 } : undefined}
+      >
+        <div className="flex items-center justify-between mb-3" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <h3 className="font-bold text-lg text-gray-800">Map Controls</h3>
+          <MapExportMenu
+            floatCount={visibleFloats.length}
+            canExportProfile={Boolean(isDetailPanelOpen && openProfile)}
+            onExport={exportFloats}
+            onExportProfile={exportProfile}
+          />
+        </div>
         
         <div className="space-y-4">
-          {/* Heatmap Type Toggle */}
+          {/* Value field toggle */}
           <div className="flex space-x-2">
             <button
-              onClick={() => toggleHeatmap('temperature')}
-              className={`flex-1 py-2 rounded-lg transition-colors ${activeHeatmap === 'temperature' ? 'bg-blue-600 text-white' : 'bg-gray-200 hover:bg-gray-300'}`}
+              onClick={() => toggleField('temperature')}
+              className={`flex-1 py-2 rounded-lg transition-colors ${activeField === 'temperature' ? 'bg-blue-600 text-white' : 'bg-gray-200 hover:bg-gray-300'}`}
             >
               🌡️ Temperature
             </button>
             <button
-              onClick={() => toggleHeatmap('salinity')}
-              className={`flex-1 py-2 rounded-lg transition-colors ${activeHeatmap === 'salinity' ? 'bg-blue-600 text-white' : 'bg-gray-200 hover:bg-gray-300'}`}
+              onClick={() => toggleField('salinity')}
+              className={`flex-1 py-2 rounded-lg transition-colors ${activeField === 'salinity' ? 'bg-blue-600 text-white' : 'bg-gray-200 hover:bg-gray-300'}`}
             >
               🌊 Salinity
             </button>
           </div>
 
-          {activeHeatmap && (
+          {activeField && (
+            <div className="space-y-2">
+              <div className="flex justify-between text-sm">
+                <span className="text-gray-700">Opacity:</span>
+                <span className="font-mono">{fieldOpacity.toFixed(1)}</span>
+              </div>
+              <input
+                type="range"
+                min="0.1"
+                max="1"
+                step="0.1"
+                value={fieldOpacity}
+                onChange={(e) => setFieldOpacity(parseFloat(e.target.value))}
+                className="w-full"
+              />
+            </div>
+          )}
+
+          {/* Interpolation settings, shared by the field and the contours */}
+          {(activeField || showContours) && (
             <>
               <div className="space-y-2">
                 <div className="flex justify-between text-sm">
-                  <span className="text-gray-700">Intensity:</span>
-                  <span className="font-mono">{heatmapIntensity.toFixed(1)}</span>
+                  <span className="text-gray-700">IDW power:</span>
+                  <span className="font-mono">{idwSettings.power.toFixed(1)}</span>
                 </div>
                 <input
                   type="range"
-                  min="0.1"
-                  max="1"
-                  step="0.1"
-                  value={heatmapIntensity}
-                  onChange={(e) => setHeatmapIntensity(parseFloat(e.target.value))}
+                  min="1"
+                  max="4"
+                  step="0.5"
+                  value={idwSettings.power}
+                  onChange={(e) => updateIdwSetting('power', parseFloat(e.target.value))}
                   className="w-full"
                 />
               </div>
 
               <div className="space-y-2">
                 <div className="flex justify-between text-sm">
-                  <span className="text-gray-700">Radius:</span>
-                  <span className="font-mono">{heatmapRadius}px</span>
+                  <span className="text-gray-700">Search radius:</span>
+                  <span className="font-mono">{idwSettings.searchRadiusKm} km</span>
                 </div>
                 <input
                   type="range"
-                  min="10"
-                  max="50"
-                  step="5"
-                  value={heatmapRadius}
-                  onChange={(e) => setHeatmapRadius(parseInt(e.target.value))}
+                  min="100"
+                  max="2000"
+                  step="100"
+                  value={idwSettings.searchRadiusKm}
+                  onChange={(e) => updateIdwSetting('searchRadiusKm', parseInt(e.target.value))}
                   className="w-full"
                 />
               </div>
 
-              <div className="pt-2 border-t border-gray-200">
-                <div className="flex justify-between text-xs text-gray-500 mb-1">
-                  <span>{activeHeatmap === 'temperature' ? 'Cold' : 'Low'}</span>
-                  <span>→</span>
-                  <span>{activeHeatmap === 'temperature' ? 'Hot' : 'High'}</span>
-                </div>
-                <div className="h-3 rounded-full overflow-hidden">
-                  {activeHeatmap === 'temperature' ? (
-                    <div className="h-full w-full bg-gradient-to-r from-blue-500 via-green-500 to-red-500"></div>
-                  ) : (
-                    <div className="h-full w-full bg-gradient-to-r from-blue-500 via-green-500 to-yellow-500"></div>
-                  )}
+              <div className="space-y-2">
+                <div className="flex justify-between text-sm">
+                  <span className="text-gray-700">Max distance from data:</span>
+                  <span className="font-mono">{idwSettings.maxDistanceKm} km</span>
                 </div>
+                <input
+                  type="range"
+                  min="50"
+                  max="1000"
+                  step="50"
+                  value={idwSettings.maxDistanceKm}
+                  onChange={(e) => updateIdwSetting('maxDistanceKm', parseInt(e.target.value))}
+                  className="w-full"
+                />
               </div>
             </>
           )}
+
+          {activeField && (
+            <div className="pt-2 border-t border-gray-200 space-y-2">
+              <label className="flex items-center justify-between text-sm text-gray-700">
+                <span>Color range</span>
+                <select
+                  value={fieldRangeMode}
+                  onChange={(e) => setFieldRangeMode(e.target.value)}
+                  className="border border-gray-300 rounded px-1 py-0.5 text-sm"
+                >
+                  <option value="auto">Auto (fit data)</option>
+                  <option value="fixed">Fixed</option>
+                </select>
+              </label>
+
+              {fieldRangeMode === 'fixed' && (
+                <div className="flex items-center gap-2 text-sm">
+                  <input
+                    type="number"
+                    step="0.1"
+                    value={fixedRanges[activeField].min}
+                    onChange={(e) => updateFixedRange('min', parseFloat(e.target.value))}
+                    className="w-20 border border-gray-300 rounded px-1"
+                    aria-label="Range minimum"
+                  />
+                  <span>to</span>
+                  <input
+                    type="number"
+                    step="0.1"
+                    value={fixedRanges[activeField].max}
+                    onChange={(e) => updateFixedRange('max', parseFloat(e.target.value))}
+                    className="w-20 border border-gray-300 rounded px-1"
+                    aria-label="Range maximum"
+                  />
+                  <span>{FLOAT_PARAMETERS[activeField].unit}</span>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Contours */}
+          <div className="pt-3 border-t border-gray-200 space-y-2">
+            <label className="flex items-center justify-between text-sm text-gray-700">
+              <span>Contour lines</span>
+              <input
+                type="checkbox"
+                checked={showContours}
+                onChange={(e) => setShowContours(e.target.checked)}
+              />
+            </label>
+
+            {showContours && (
+              <>
+                <label className="flex items-center justify-between text-sm text-gray-700">
+                  <span>Parameter</span>
+                  <select
+                    value={contourParameter}
+                    onChange={(e) => handleContourParameterChange(e.target.value)}
+                    className="border border-gray-300 rounded px-1 py-0.5 text-sm"
+                  >
+                    {Object.entries(FLOAT_PARAMETERS).map(([parameter, { label }]) => (
+                      <option key={parameter} value={parameter}>{label}</option>
+                    ))}
+                  </select>
+                </label>
+                <label className="flex items-center justify-between text-sm text-gray-700">
+                  <span>Interval ({FLOAT_PARAMETERS[contourParameter].unit})</span>
+                  <input
+                    type="number"
+                    min="0.01"
+                    step="0.1"
+                    value={contourInterval}
+                    onChange={(e) => setContourInterval(e.target.value)}
+                    className="w-20 border border-gray-300 rounded px-1"
+                  />
+                </label>
+                <div className="flex items-center justify-between text-xs text-gray-500">
+                  <span>{contours.length} levels</span>
+                  <button
+                    type="button"
+                    onClick={exportContours}
+                    disabled={!contours.length}
+                    className="text-blue-600 hover:underline disabled:text-gray-400 disabled:no-underline"
+                  >
+                    Export GeoJSON
+                  </button>
+                </div>
+              </>
+            )}
+          </div>
+
+          <OverlayManager
+            overlays={overlays}
+            isImporting={isImporting}
+            importErrors={importErrors}
+            onImport={importFiles}
+            onToggle={toggleOverlay}
+            onRemove={removeOverlay}
+            onDismissErrors={dismissImportErrors}
+          />
+
+          {/* Marker clustering */}
+          <div className="pt-3 border-t border-gray-200 space-y-2">
+            <label className="flex items-center justify-between text-sm text-gray-700">
+              <span>Cluster markers</span>
+              <input
+                type="checkbox"
+                checked={isClustered}
+                onChange={(e) => setIsClustered(e.target.checked)}
+              />
+            </label>
+
+            {isClustered && (
+              <>
+                <label className="flex items-center justify-between text-sm text-gray-700">
+                  <span>Color clusters by</span>
+                  <select
+                    value={clusterColorBy || ''}
+                    onChange={(e) => setClusterColorBy(e.target.value || null)}
+                    className="border border-gray-300 rounded px-1 py-0.5 text-sm"
+                  >
+                    <option value="">None</option>
+                    {Object.entries(FLOAT_PARAMETERS).map(([parameter, { label }]) => (
+                      <option key={parameter} value={parameter}>{label}</option>
+                    ))}
+                  </select>
+                </label>
+
+                {clusterColoring && (
+                  <div>
+                    <div
+                      className="h-3 rounded-full"
+                      style={{ background: `linear-gradient(to right, ${COLOR_RAMP.join(', ')})` }}
+                    />
+                    <div className="flex justify-between text-xs text-gray-500 mt-1">
+                      <span>{clusterColoring.min.toFixed(1)} {FLOAT_PARAMETERS[clusterColorBy].unit}</span>
+                      <span>mean of cluster</span>
+                      <span>{clusterColoring.max.toFixed(1)} {FLOAT_PARAMETERS[clusterColorBy].unit}</span>
+                    </div>
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+
+          {/* Time slider */}
+          <div className="pt-3 border-t border-gray-200">
+            <label className="flex items-center justify-between text-sm text-gray-700">
+              <span>Time slider</span>
+              <input
+                type="checkbox"
+                checked={timeline.isActive}
+                onChange={(e) => toggleTimeline(e.target.checked)}
+              />
+            </label>
+          </div>
+
+          <TrajectoryControls
+            isTrajectoryMode={isTrajectoryMode}
+            onTrajectoryModeChange={setIsTrajectoryMode}
+            tracks={tracks}
+            onRemoveTrack={removeTrack}
+            onRetryTrack={reloadTrack}
+            onClearTracks={() => {
+              playback.reset();
+              clearTracks();
+            }}
+            timeRange={trackTimeRange}
+            playback={playback}
+          />
         </div>
       </div>
 
-      {/* Map Container */}
-      <div style={{ height: '100%', width: '100%' }}>
+      {/* Map Container - overlay files can be dropped onto it */}
+      <div
+        style={{ height: '100%', width: '100%', position: 'relative' }}
+        onDragOver={handleDragOver}
+        onDragLeave={handleDragLeave}
+        onDrop={handleDrop}
+      >
+        {isDraggingFiles && (
+          <div
+            className="absolute inset-0 z-[1100] flex items-center justify-center bg-blue-500/20 border-4 border-dashed border-blue-500 pointer-events-none"
+            style={{ position: 'absolute', inset: 0, display: 'flex', alignItems: 'center', justifyContent: 'center', pointerEvents: 'none' }}
+          >
+            <span className="bg-white px-4 py-2 rounded-lg shadow text-gray-800">
+              Drop GeoJSON, KML or zipped shapefiles to add them as overlays
+            </span>
+          </div>
+        )}
         <MapContainer 
-          center={mapCenter} 
-          zoom={zoomLevel} 
+          center={initialUrlState.view?.center ?? DEFAULT_CENTER} 
+          zoom={initialUrlState.view?.zoom ?? DEFAULT_ZOOM} 
           style={{ height: '100%', width: '100%' }}
           className="z-0"
-          whenCreated={(mapInstance) => {
-            setMap(mapInstance);
-            // Fit bounds to show all markers when map is created
-            if (argoFloats.length > 0) {
-              const bounds = L.latLngBounds(argoFloats.map(f => [f.lat, f.lng]));
-              if (bounds.isValid()) {
-                mapInstance.fitBounds(bounds, { padding: [50, 50] });
-              }
-            }
-          }}
-          onClick={handleMapClick}
+          ref={setMap}
         >
-          {/* Base Map Layer */}
-          <TileLayer
-            url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-            attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
-          />
-          
-          {/* Sea Surface Temperature Layer - Commented out as it requires time parameter */}
-          {/* 
-          <TileLayer
-            url="https://gibs.earthdata.nasa.gov/wmts/epsg3857/best/MODIS_Terra_CorrectedReflectance_TrueColor/default/2023-01-01/GoogleMapsCompatible_Level8/{z}/{y}/{x}.jpg"
-            attribution='Imagery &copy; <a href="https://earthdata.nasa.gov">NASA EOSDIS</a>'
-            tileSize={256}
-            maxNativeZoom={8}
-            bounds={[[-85, -180], [85, 180]]}
-            opacity={0.8}
-          />
-          
-          {/* Add a semi-transparent color overlay for temperature visualization - Commented out as it requires time parameter 
-          <TileLayer
-            url="https://gibs.earthdata.nasa.gov/wmts/epsg3857/best/MODIS_Terra_Land_Surface_Temp_Day/default/2023-01-01/GoogleMapsCompatible_Level8/{z}/{y}/{x}.png"
-            attribution='Temperature &copy; <a href="https://earthdata.nasa.gov">NASA EOSDIS</a>'
-            tileSize={256}
-            maxNativeZoom={8}
-            bounds={[[-85, -180], [85, 180]]}
-          />
-          */}
-
-          {activeHeatmap && heatmapData.length > 0 && (
-            <HeatmapLayer
-              points={heatmapData}
-              radius={heatmapRadius}
-              blur={15}
-              maxZoom={18}
-              minOpacity={0.8}
-              gradient={getGradient()}
+          <MapClickHandler onClick={handleMapClick} />
+
+          {/* Basemaps and daily satellite overlays for the filtered date */}
+          <BasemapLayers darkMode={darkMode} date={timeOverlayDate(viewFilters)} />
+
+          {/* Spatial filter drawing */}
+          <RegionDrawControl filters={filters} onRegionChange={handleRegionChange} />
+          <LassoSelectControl onLasso={handleLasso} />
+
+          {/* Imported overlays */}
+          <OverlayLayers overlays={overlays} onUseAsFilter={handleOverlayFilter} />
+
+          {/* Interpolated value field */}
+          {fieldScale && fieldPoints.length > 0 && (
+            <ScalarFieldLayer
+              points={fieldPoints}
+              idw={idwSettings}
+              rgbFor={fieldScale.rgbFor}
+              opacity={fieldOpacity}
             />
           )}
 
-          {/* Clicked Point Popup */}
+          {showContours && contours.length > 0 && (
+            <ContourLayer contours={contours} unit={FLOAT_PARAMETERS[contourParameter].unit} />
+          )}
+
+          {/* Interpolated value at the clicked point */}
           {clickedPoint && (
-            <Marker 
+            <Popup
               position={[clickedPoint.lat, clickedPoint.lng]}
-              icon={L.divIcon({
-                html: `
-                  <div class="bg-white bg-opacity-95 p-3 rounded-lg shadow-xl border-2 ${
-                    clickedPoint.type === 'temperature' ? 'border-blue-200' : 'border-teal-200'
-                  } min-w-[180px]">
-                    <div className="flex items-center mb-1">
-                      <span className="text-2xl mr-2">
-                        ${clickedPoint.type === 'temperature' ? '🌡️' : '🌊'}
-                      </span>
-                      <span className="font-bold text-gray-800">
-                        ${clickedPoint.type === 'temperature' ? 'Temperature' : 'Salinity'}
-                      </span>
-                    </div>
-                    <div className="text-2xl font-mono font-bold ${
-                      clickedPoint.type === 'temperature' ? 'text-blue-600' : 'text-teal-600'
-                    } mb-1">
-                      ${clickedPoint.value?.toFixed(2) || 'N/A'}
-                      <span className="text-sm font-normal text-gray-600 ml-1">
-                        ${clickedPoint.type === 'temperature' ? '°C' : 'PSU'}
-                      </span>
-                    </div>
-                    <div className="text-xs text-gray-500 mb-1">
-                      ${clickedPoint.lat >= 0 ? 
-                        `${clickedPoint.lat?.toFixed(2) || '0.00'}°N` : 
-                        `${Math.abs(clickedPoint.lat || 0).toFixed(2)}°S`
-                      }, 
-                      ${clickedPoint.lng >= 0 ? 
-                        `${clickedPoint.lng?.toFixed(2) || '0.00'}°E` : 
-                        `${Math.abs(clickedPoint.lng || 0).toFixed(2)}°W`
-                      }
-                    </div>
-                    <div className="text-xs text-gray-400 italic">
-                      ${clickedPoint.distance || 'N/A'} from nearest data point
-                    </div>
-                    <div className="absolute -bottom-2 left-1/2 transform -translate-x-1/2 w-0 h-0 
-                      border-l-8 border-r-8 border-t-8 border-l-transparent border-r-transparent 
-                      ${clickedPoint.type === 'temperature' ? 'border-t-blue-200' : 'border-t-teal-200'}">
-                    </div>
-                  </div>
-                `,
-                className: 'bg-transparent border-0',
-                iconSize: [180, 0],
-                iconAnchor: [90, 100],
-                popupAnchor: [0, -90]
-              })}
-              eventHandlers={{
-                click: (e) => {
-                  e.originalEvent.stopPropagation();
-                  setClickedPoint(null);
-                }
-              }}
+              eventHandlers={{ remove: () => setClickedPoint(null) }}
             >
-              <Popup>
-                <div className="text-sm">
-                  Click to close
+              <div className="text-sm min-w-[160px]">
+                <div className="font-bold text-gray-800">{FLOAT_PARAMETERS[clickedPoint.type].label}</div>
+                <div
+                  className={`text-2xl font-mono font-bold ${
+                    clickedPoint.type === 'temperature' ? 'text-blue-600' : 'text-teal-600'
+                  }`}
+                >
+                  {clickedPoint.value.toFixed(2)}
+                  <span className="text-sm font-normal text-gray-600 ml-1">{FLOAT_PARAMETERS[clickedPoint.type].unit}</span>
                 </div>
-              </Popup>
-            </Marker>
+                <div className="text-xs text-gray-500">{formatPosition(clickedPoint.lat, clickedPoint.lng)}</div>
+                <div className="text-xs text-gray-400 italic">Interpolated; nearest float {clickedPoint.distance}</div>
+              </div>
+            </Popup>
           )}
 
+          {/* Float trajectories */}
+          <TrajectoryLayer
+            tracks={tracks}
+            colorForTime={trackDateScale?.colorFor}
+            playbackTime={playback.time}
+            onCycleClick={handleFloatClick}
+          />
+
           {/* Argo Float Markers */}
-          {!isLoading && !error && argoFloats
-            .filter(float => 
-              !isNaN(parseFloat(float.lat)) && 
-              !isNaN(parseFloat(float.lng)) &&
-              Math.abs(parseFloat(float.lat)) <= 90 &&
-              Math.abs(parseFloat(float.lng)) <= 180
-            )
-            .map((float, index) => (
-            <Marker
-              key={`${float.id || 'marker'}-${index}`}
-              position={[
-                parseFloat(float.lat),
-                parseFloat(float.lng)
-              ]}
-              icon={argoIcon}
-              eventHandlers={{
-                click: () => handleFloatClick(float),
-              }}
-            >
-              <Popup>
-                <div className="text-sm">
-                  <h3 className="font-bold">{float.name}</h3>
-                  <p>Last seen: {float.lastSeen}</p>
-                  <p>Temperature: {float.temp}</p>
-                  <p>Salinity: {float.salinity}</p>
-                  <button 
-                    className="mt-2 text-blue-600 hover:underline text-sm"
-                    onClick={(e) => {
-                      e.stopPropagation();
-                      handleFloatClick(float);
-                    }}
-                  >
-                    View Depth Profile →
-                  </button>
-                </div>
-              </Popup>
-            </Marker>
-          ))}
+          {isClustered ? (
+            <FloatClusterLayer values={clusterColoring?.values} colorFor={clusterColoring?.colorFor}>
+              {floatMarkers}
+            </FloatClusterLayer>
+          ) : floatMarkers}
         </MapContainer>
       </div>
 
-      {/* Depth Profile Dialog */}
-      {isProfileDialogOpen && (
-        <div className="fixed inset-0 z-50 overflow-y-auto">
-          <div className="flex items-center justify-center min-h-screen pt-4 px-4 pb-20 text-center sm:block sm:p-0">
-            <div 
-              className="fixed inset-0 transition-opacity" 
-              aria-hidden="true" 
-              onClick={handleCloseDialog}
-            >
-              <div className="absolute inset-0 bg-gray-500 opacity-75"></div>
-            </div>
-            <span className="hidden sm:inline-block sm:align-middle sm:h-screen" aria-hidden="true">
-              &#8203;
-            </span>
-            {depthProfileData.length > 0 ? (
-              <div className="inline-block align-bottom bg-white rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-4xl sm:w-full">
-                <div className="bg-blue-600 px-4 py-3 sm:px-6 rounded-t-lg">
-                  <div className="flex justify-between items-center">
-                    <h3 className="text-lg leading-6 font-medium text-white">
-                      {selectedFloat ? `${selectedFloat.name} - Depth Profile` : 'Depth Profile'}
-                    </h3>
-                    <button
-                      type="button"
-                      className="text-white hover:text-gray-200 focus:outline-none"
-                      onClick={handleCloseDialog}
-                    >
-                      <FiX className="h-6 w-6" />
-                    </button>
-                  </div>
-                </div>
-                <div className="bg-white px-4 pt-5 pb-4 sm:p-6">
-                  <div className="h-[500px] w-full">
-                    <DepthProfileChart 
-                      data={depthProfileData} 
-                      title={`${selectedFloat?.name || 'Float'} - Depth Profile`}
-                    />
-                  </div>
-                </div>
-              </div>
-            ) : (
-              <div className="inline-block align-bottom bg-white rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-md sm:w-full">
-                <div className="bg-blue-600 px-4 py-3 sm:px-6 rounded-t-lg">
-                  <div className="flex justify-between items-center">
-                    <h3 className="text-lg leading-6 font-medium text-white">
-                      {selectedFloat ? `${selectedFloat.name} - Depth Profile` : 'Depth Profile'}
-                    </h3>
-                    <button
-                      type="button"
-                      className="text-white hover:text-gray-200 focus:outline-none"
-                      onClick={handleCloseDialog}
-                    >
-                      <FiX className="h-6 w-6" />
-                    </button>
-                  </div>
-                </div>
-                <div className="bg-white px-4 pt-5 pb-4 sm:p-6">
-                  <div className="text-center text-gray-600 py-8">
-                    <p>Loading depth profile data...</p>
-                    <p className="text-sm text-gray-500 mt-2">If this takes too long, please try again.</p>
-                  </div>
-                </div>
-              </div>
-            )}
-          </div>
+      {/* Area loading state - the map stays usable while floats load */}
+      {isLoadingArea && (
+        <div
+          className="absolute bottom-6 left-4 z-[1000] flex items-center gap-2 bg-white px-3 py-1.5 rounded-full shadow text-sm text-gray-700"
+          style={aboveComparison(24)}
+        >
+          <div className="animate-spin rounded-full h-4 w-4 border-t-2 border-b-2 border-blue-500"></div>
+          Loading area…
+        </div>
+      )}
+
+      {error && !isLoadingArea && (
+        <div
+          className="absolute bottom-6 left-4 z-[1000] flex items-center gap-3 bg-white px-3 py-2 rounded-lg shadow text-sm text-red-600"
+          style={aboveComparison(24)}
+        >
+          <span>Failed to load Argo float data. {describeApiError(error)}</span>
+          <button
+            onClick={reload}
+            className="px-2 py-1 bg-blue-500 text-white rounded hover:bg-blue-600"
+          >
+            Retry
+          </button>
         </div>
       )}
 
+      {timeline.isActive && (
+        <TimelineControl
+          timeline={timeline}
+          isLoading={isLoadingArea}
+          onClose={() => timeline.disable()}
+          style={aboveComparison(24)}
+        />
+      )}
+
+      {/* Float Detail Panel */}
+      {isDetailPanelOpen && selectedFloat && (
+        <FloatDetailPanel
+          float={selectedFloat}
+          profileState={floatProfiles}
+          cycle={selectedCycle}
+          onCycleChange={setSelectedCycle}
+          onLocate={handleLocate}
+          isTrackShown={tracks.some(track => track.floatId === selectedFloat.id)}
+          onToggleTrack={() => toggleTrack(selectedFloat)}
+          onClose={handleClosePanel}
+          width={DETAIL_PANEL_WIDTH}
+        />
+      )}
+
+      {/* Float Comparison */}
+      {comparedFloats.length > 0 && (
+        <FloatComparisonPanel
+          entries={comparedFloats}
+          onRemove={removeComparedFloat}
+          onRetry={reloadComparedFloat}
+          onClose={clearComparedFloats}
+          style={{ right: isDetailPanelOpen ? DETAIL_PANEL_WIDTH : 0, height: COMPARISON_PANEL_HEIGHT }}
+        />
+      )}
+
       {/* Map Legend */}
-      <div className="map-legend absolute bottom-4 left-4 z-10 bg-white p-3 rounded-lg shadow-md">
+      <div className="map-legend absolute bottom-4 left-4 z-10 bg-white p-3 rounded-lg shadow-md" style={aboveComparison(16)}>
         <h4 className="font-bold mb-2">Legend</h4>
         <div className="space-y-2">
           <div className="flex items-center">
@@ -682,22 +951,24 @@ const ArgoFloatsMap = () => {
             />
             <span>Argo Float</span>
           </div>
-          {activeHeatmap === 'temperature' && (
+          {fieldScale && (
             <div className="mt-2">
-              <div className="flex justify-between text-xs text-gray-600 mb-1">
-                <span>20°C</span>
-                <span>35°C</span>
+              <div className="text-xs font-medium text-gray-700 mb-1">
+                {FLOAT_PARAMETERS[activeField].label} ({fieldRangeMode === 'fixed' ? 'fixed range' : 'fitted to data'})
               </div>
-              <div className="h-4 w-full bg-gradient-to-r from-blue-500 via-cyan-500 via-green-500 via-yellow-500 via-orange-500 to-red-500 rounded"></div>
-            </div>
-          )}
-          {activeHeatmap === 'salinity' && (
-            <div className="mt-2">
               <div className="flex justify-between text-xs text-gray-600 mb-1">
-                <span>30 PSU</span>
-                <span>40 PSU</span>
+                <span>{fieldScale.min.toFixed(1)} {FLOAT_PARAMETERS[activeField].unit}</span>
+                <span>{fieldScale.max.toFixed(1)} {FLOAT_PARAMETERS[activeField].unit}</span>
               </div>
-              <div className="h-4 w-full bg-gradient-to-r from-blue-500 via-green-500 to-red-500 rounded"></div>
+              <div
+                className="h-4 w-full rounded"
+                style={{ background: `linear-gradient(to right, ${COLOR_RAMP.join(', ')})` }}
+              />
+              {fieldScale.dataMin !== undefined && (
+                <div className="text-xs text-gray-500 mt-1">
+                  Data: {fieldScale.dataMin.toFixed(2)} – {fieldScale.dataMax.toFixed(2)} {FLOAT_PARAMETERS[activeField].unit}
+                </div>
+              )}
             </div>
           )}
         </div>
@@ -0,0 +1,72 @@
+import React, { useRef, useState } from 'react';
+import { LayerGroup, LayersControl, TileLayer, useMapEvents } from 'react-leaflet';
+import { BASEMAPS, TIME_OVERLAYS, defaultBasemapId } from '../config/basemaps';
+
+const overlayName = (overlay, date) => `${overlay.name} (${date})`;
+
+// Layer control with the configured basemaps and the daily satellite
+// overlays for `date`. Until the user picks a basemap it follows the app
+// theme.
+const BasemapLayers = ({ darkMode, date }) => {
+  const [basemapId, setBasemapId] = useState(null);
+  const [overlayIds, setOverlayIds] = useState([]);
+  const activeBasemapId = basemapId ?? defaultBasemapId(darkMode);
+  const activeBasemapRef = useRef(activeBasemapId);
+  activeBasemapRef.current = activeBasemapId;
+
+  // The control also reports the layers switched through `checked`; only a
+  // different choice than the current one comes from the user
+  useMapEvents({
+    baselayerchange: (e) => {
+      const basemap = BASEMAPS.find(item => item.name === e.name);
+      if (basemap && basemap.id !== activeBasemapRef.current) setBasemapId(basemap.id);
+    },
+    overlayadd: (e) => {
+      const overlay = TIME_OVERLAYS.find(item => overlayName(item, date) === e.name);
+      if (overlay) setOverlayIds(ids => (ids.includes(overlay.id) ? ids : [...ids, overlay.id]));
+    },
+    overlayremove: (e) => {
+      const overlay = TIME_OVERLAYS.find(item => overlayName(item, date) === e.name);
+      if (overlay) setOverlayIds(ids => ids.filter(id => id !== overlay.id));
+    }
+  });
+
+  return (
+    <LayersControl position="bottomright">
+      {BASEMAPS.map(basemap => (
+        <LayersControl.BaseLayer key={basemap.id} name={basemap.name} checked={basemap.id === activeBasemapId}>
+          {basemap.url ? (
+            <TileLayer
+              url={basemap.url}
+              attribution={basemap.attribution}
+              subdomains={basemap.subdomains ?? 'abc'}
+              maxNativeZoom={basemap.maxNativeZoom}
+              maxZoom={19}
+            />
+          ) : (
+            <LayerGroup />
+          )}
+        </LayersControl.BaseLayer>
+      ))}
+      {/* Keyed by date so the entries show the day they are for */}
+      {TIME_OVERLAYS.map(overlay => (
+        <LayersControl.Overlay
+          key={`${overlay.id}-${date}`}
+          name={overlayName(overlay, date)}
+          checked={overlayIds.includes(overlay.id)}
+        >
+          <TileLayer
+            url={overlay.urlFor(date)}
+            attribution={overlay.attribution}
+            maxNativeZoom={overlay.maxNativeZoom}
+            maxZoom={19}
+            opacity={overlay.opacity}
+            bounds={[[-85, -180], [85, 180]]}
+          />
+        </LayersControl.Overlay>
+      ))}
+    </LayersControl>
+  );
+};
+
+export default BasemapLayers;
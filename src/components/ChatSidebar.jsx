@@ -0,0 +1,179 @@
+import React, { useRef, useState } from 'react';
+import { FiPlus, FiEdit2, FiTrash2, FiStar, FiCheck, FiX, FiMessageSquare, FiUpload } from 'react-icons/fi';
+
+// Format the last update of a conversation relative to today
+const formatUpdatedAt = (isoDate) => {
+  if (!isoDate) return '';
+  const date = new Date(isoDate);
+  const today = new Date();
+  if (date.toDateString() === today.toDateString()) {
+    return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  }
+  return date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+};
+
+const ConversationItem = ({ conversation, isActive, onSelect, onRename, onTogglePin, onDelete }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [draftTitle, setDraftTitle] = useState(conversation.title);
+
+  const startEditing = (e) => {
+    e.stopPropagation();
+    setDraftTitle(conversation.title);
+    setIsEditing(true);
+  };
+
+  const submitRename = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    onRename(conversation.id, draftTitle);
+    setIsEditing(false);
+  };
+
+  const cancelRename = (e) => {
+    e.stopPropagation();
+    setIsEditing(false);
+  };
+
+  const handleDelete = (e) => {
+    e.stopPropagation();
+    if (window.confirm(`Delete "${conversation.title}"? This cannot be undone.`)) {
+      onDelete(conversation.id);
+    }
+  };
+
+  const handleTogglePin = (e) => {
+    e.stopPropagation();
+    onTogglePin(conversation.id, !conversation.pinned);
+  };
+
+  if (isEditing) {
+    return (
+      <li className="conversation-item editing">
+        <form onSubmit={submitRename} className="conversation-rename-form">
+          <input
+            type="text"
+            value={draftTitle}
+            onChange={(e) => setDraftTitle(e.target.value)}
+            onKeyDown={(e) => e.key === 'Escape' && cancelRename(e)}
+            aria-label="Conversation title"
+            autoFocus
+          />
+          <button type="submit" className="conversation-action" title="Save">
+            <FiCheck />
+          </button>
+          <button type="button" className="conversation-action" onClick={cancelRename} title="Cancel">
+            <FiX />
+          </button>
+        </form>
+      </li>
+    );
+  }
+
+  return (
+    <li
+      className={`conversation-item ${isActive ? 'active' : ''} ${conversation.pinned ? 'pinned' : ''}`}
+      onClick={() => onSelect(conversation.id)}
+    >
+      <div className="conversation-info">
+        <span className="conversation-title">{conversation.title}</span>
+        <span className="conversation-meta">{formatUpdatedAt(conversation.updatedAt)}</span>
+      </div>
+      <div className="conversation-actions">
+        <button
+          type="button"
+          className={`conversation-action ${conversation.pinned ? 'pinned' : ''}`}
+          onClick={handleTogglePin}
+          title={conversation.pinned ? 'Unpin' : 'Pin'}
+        >
+          <FiStar />
+        </button>
+        <button type="button" className="conversation-action" onClick={startEditing} title="Rename">
+          <FiEdit2 />
+        </button>
+        <button type="button" className="conversation-action" onClick={handleDelete} title="Delete">
+          <FiTrash2 />
+        </button>
+      </div>
+    </li>
+  );
+};
+
+const ChatSidebar = ({
+  isOpen,
+  conversations,
+  activeId,
+  onClose,
+  onNew,
+  onSelect,
+  onRename,
+  onTogglePin,
+  onDelete,
+  onImport
+}) => {
+  const fileInputRef = useRef(null);
+
+  const handleFileChange = (e) => {
+    const file = e.target.files?.[0];
+    // Reset so importing the same file twice still fires a change
+    e.target.value = '';
+    if (file) onImport(file);
+  };
+
+  return (
+    <>
+      {isOpen && <div className="chat-sidebar-backdrop" onClick={onClose} aria-hidden="true" />}
+      <aside className={`chat-sidebar ${isOpen ? 'open' : ''}`} aria-label="Conversation history">
+        <div className="chat-sidebar-header">
+          <h2>Conversations</h2>
+          <button type="button" className="conversation-action" onClick={onClose} title="Close">
+            <FiX />
+          </button>
+        </div>
+
+        <div className="chat-sidebar-buttons">
+          <button type="button" className="new-conversation-button" onClick={onNew}>
+            <FiPlus /> New chat
+          </button>
+          <button
+            type="button"
+            className="new-conversation-button"
+            onClick={() => fileInputRef.current?.click()}
+            title="Import a conversation exported as JSON"
+          >
+            <FiUpload /> Import
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="application/json,.json"
+            onChange={handleFileChange}
+            hidden
+          />
+        </div>
+
+        {conversations.length === 0 ? (
+          <div className="chat-sidebar-empty">
+            <FiMessageSquare />
+            <p>Your conversations will appear here.</p>
+          </div>
+        ) : (
+          <ul className="conversation-list">
+            {conversations.map(conversation => (
+              <ConversationItem
+                key={conversation.id}
+                conversation={conversation}
+                isActive={conversation.id === activeId}
+                onSelect={onSelect}
+                onRename={onRename}
+                onTogglePin={onTogglePin}
+                onDelete={onDelete}
+              />
+            ))}
+          </ul>
+        )}
+      </aside>
+    </>
+  );
+};
+
+export default ChatSidebar;
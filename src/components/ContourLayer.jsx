@@ -0,0 +1,40 @@
+import React from 'react';
+import { Polyline, Marker } from 'react-leaflet';
+import L from 'leaflet';
+import './ContourLayer.css';
+
+// Lines shorter than this get no label
+const MIN_LABELED_POINTS = 8;
+
+const formatLevel = (level) => String(Number(level.toFixed(2)));
+
+const labelIcon = (text) => L.divIcon({
+  html: `<span>${text}</span>`,
+  className: 'contour-label',
+  iconSize: [0, 0]
+});
+
+// Contour lines from utils/contours ([{ level, lines }]), each labeled with
+// its level at the middle of the line
+const ContourLayer = ({ contours, unit = '', color = '#1e293b' }) => (
+  <>
+    {contours.map(({ level, lines }) => lines.map((line, index) => (
+      <React.Fragment key={`${level}-${index}`}>
+        <Polyline
+          positions={line}
+          pathOptions={{ color, weight: 1.5, opacity: 0.85, interactive: false }}
+        />
+        {line.length >= MIN_LABELED_POINTS && (
+          <Marker
+            position={line[Math.floor(line.length / 2)]}
+            icon={labelIcon(`${formatLevel(level)}${unit ? ` ${unit}` : ''}`)}
+            interactive={false}
+            keyboard={false}
+          />
+        )}
+      </React.Fragment>
+    )))}
+  </>
+);
+
+export default ContourLayer;
@@ -0,0 +1,61 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { FiDownload, FiFileText, FiCode, FiPrinter } from 'react-icons/fi';
+
+const EXPORT_OPTIONS = [
+  { format: 'markdown', label: 'Markdown (.md)', icon: FiFileText },
+  { format: 'json', label: 'JSON (re-importable)', icon: FiCode },
+  { format: 'print', label: 'Print / PDF report', icon: FiPrinter }
+];
+
+// Header dropdown with the export formats of the current conversation
+const ConversationExportMenu = ({ disabled, onExport }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const menuRef = useRef(null);
+
+  // Close when clicking anywhere outside the menu
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const handleClick = (e) => {
+      if (!menuRef.current?.contains(e.target)) setIsOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [isOpen]);
+
+  const handleSelect = (format) => {
+    setIsOpen(false);
+    onExport(format);
+  };
+
+  return (
+    <div className="export-menu" ref={menuRef}>
+      <button
+        type="button"
+        className="new-conversation-button"
+        onClick={() => setIsOpen(!isOpen)}
+        disabled={disabled}
+        aria-haspopup="menu"
+        aria-expanded={isOpen}
+        title="Export this conversation"
+      >
+        <FiDownload /> Export
+      </button>
+      {isOpen && (
+        <ul className="export-menu-list" role="menu">
+          {EXPORT_OPTIONS.map(option => {
+            const Icon = option.icon;
+            return (
+              <li key={option.format} role="none">
+                <button type="button" role="menuitem" onClick={() => handleSelect(option.format)}>
+                  <Icon /> {option.label}
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ConversationExportMenu;
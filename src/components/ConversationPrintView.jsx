@@ -0,0 +1,61 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { FiPrinter, FiArrowLeft } from 'react-icons/fi';
+import MarkdownMessage from './MarkdownMessage';
+import StructuredResult from './results/StructuredResult';
+
+const formatTimestamp = (isoDate) => (isoDate ? new Date(isoDate).toLocaleString() : '');
+
+// Print-optimized report of a conversation. Charts are drawn without
+// animation and next to their values so "Save as PDF" captures everything.
+const ConversationPrintView = ({ title, messages }) => {
+  const transcript = messages.filter(message => !message.isGreeting);
+
+  return (
+    <div className="print-view">
+      <div className="print-toolbar">
+        <Link to="/" className="new-conversation-button">
+          <FiArrowLeft /> Back to chat
+        </Link>
+        <button type="button" className="new-conversation-button" onClick={() => window.print()}>
+          <FiPrinter /> Print / Save as PDF
+        </button>
+      </div>
+
+      <article className="print-report">
+        <header className="print-report-header">
+          <h1>{title}</h1>
+          <p>Ocean Data Assistant · exported {formatTimestamp(new Date().toISOString())}</p>
+        </header>
+
+        {transcript.length === 0 ? (
+          <p className="print-report-empty">This conversation has no messages yet.</p>
+        ) : (
+          transcript.map(message => (
+            <section key={message.id} className={`print-message ${message.sender}`}>
+              <div className="print-message-meta">
+                <strong>{message.sender === 'user' ? 'You' : 'Assistant'}</strong>
+                <span>{formatTimestamp(message.timestamp)}</span>
+              </div>
+              {/* Reuse the chat's message styles for Markdown and results */}
+              <div className="message-content">
+                <div className="message-text">
+                  {message.sender === 'user' ? (
+                    <p>{message.text}</p>
+                  ) : (
+                    <>
+                      <MarkdownMessage text={message.text} />
+                      <StructuredResult data={message.data} variant="print" />
+                    </>
+                  )}
+                </div>
+              </div>
+            </section>
+          ))
+        )}
+      </article>
+    </div>
+  );
+};
+
+export default ConversationPrintView;
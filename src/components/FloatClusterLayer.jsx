@@ -0,0 +1,65 @@
+import { createElementObject, createLayerComponent, extendContext } from '@react-leaflet/core';
+import L from 'leaflet';
+import 'leaflet.markercluster';
+import 'leaflet.markercluster/dist/MarkerCluster.css';
+import './FloatClusterLayer.css';
+
+const clusterSize = (count) => {
+  if (count < 10) return 'small';
+  if (count < 100) return 'medium';
+  return 'large';
+};
+
+// Cluster icon with the member count, optionally tinted by the mean value of
+// its floats. Markers identify their float through the `floatId` option.
+const createClusterIcon = (group) => (cluster) => {
+  const markers = cluster.getAllChildMarkers();
+  const { values, colorFor } = group.options;
+
+  let background = '';
+  if (values && colorFor) {
+    const memberValues = markers
+      .map(marker => values.get(marker.options.floatId))
+      .filter(Number.isFinite);
+    if (memberValues.length) {
+      const mean = memberValues.reduce((sum, value) => sum + value, 0) / memberValues.length;
+      background = `background-color: ${colorFor(mean)};`;
+    }
+  }
+
+  const size = clusterSize(markers.length);
+  return L.divIcon({
+    html: `<div style="${background}"><span>${markers.length}</span></div>`,
+    className: `float-cluster float-cluster-${size}${background ? ' float-cluster-colored' : ''}`,
+    iconSize: L.point(40, 40)
+  });
+};
+
+// Marker cluster group for the float markers rendered as its children.
+// Clusters zoom to their bounds on click and spiderfy co-located floats at
+// the deepest zoom. Pass `values` (Map of float id -> value) and `colorFor`
+// (value -> CSS color) to tint clusters by the mean of their members.
+const FloatClusterLayer = createLayerComponent(
+  function createFloatClusterLayer({ values, colorFor, maxClusterRadius = 60 }, context) {
+    const group = L.markerClusterGroup({
+      chunkedLoading: true,
+      showCoverageOnHover: false,
+      spiderfyOnMaxZoom: true,
+      zoomToBoundsOnClick: true,
+      maxClusterRadius,
+      values,
+      colorFor
+    });
+    group.options.iconCreateFunction = createClusterIcon(group);
+    return createElementObject(group, extendContext(context, { layerContainer: group }));
+  },
+  function updateFloatClusterLayer(group, props, prevProps) {
+    if (props.values !== prevProps.values || props.colorFor !== prevProps.colorFor) {
+      group.options.values = props.values;
+      group.options.colorFor = props.colorFor;
+      group.refreshClusters();
+    }
+  }
+);
+
+export default FloatClusterLayer;
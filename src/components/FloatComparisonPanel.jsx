@@ -0,0 +1,123 @@
+import React from 'react';
+import { FiX } from 'react-icons/fi';
+import ProfileComparisonChart from './ProfileComparisonChart';
+import { describeApiError } from '../api';
+import { MAX_COMPARED_FLOATS } from '../hooks/useFloatComparison';
+import { profileStats } from '../utils/profileStats';
+
+const formatStat = (value, digits = 2) => (Number.isFinite(value) ? value.toFixed(digits) : '—');
+
+const formatRange = (stats) => (stats ? `${formatStat(stats.min)} – ${formatStat(stats.max)}` : '—');
+
+// Latest profiles of several floats side by side: overlaid temperature and
+// salinity charts and a table of summary statistics. Floats are added from
+// the map (shift-click or lasso) while the panel stays open.
+const FloatComparisonPanel = ({ entries, onRemove, onRetry, onClose, style }) => (
+  <section
+    className="absolute left-0 bottom-0 z-[1000] bg-white shadow-xl border-t border-gray-200 flex flex-col"
+    style={{ position: 'absolute', left: 0, bottom: 0, display: 'flex', flexDirection: 'column', ...style }}
+    aria-label="Float comparison"
+  >
+    <div className="flex items-center justify-between px-4 py-2 border-b border-gray-200">
+      <div>
+        <h3 className="font-bold text-gray-800">Compare floats ({entries.length})</h3>
+        <p className="text-xs text-gray-500">
+          Shift-click floats or use the lasso to add more (up to {MAX_COMPARED_FLOATS}).
+        </p>
+      </div>
+      <button
+        type="button"
+        onClick={onClose}
+        className="text-gray-500 hover:text-gray-800"
+        aria-label="Close comparison"
+      >
+        <FiX className="h-5 w-5" />
+      </button>
+    </div>
+
+    <div className="flex-1 flex gap-4 p-3 min-h-0" style={{ display: 'flex', flex: 1, minHeight: 0 }}>
+      <div className="flex gap-2" style={{ display: 'flex', flex: 1, minWidth: 0 }}>
+        <div style={{ flex: 1, minWidth: 0 }}>
+          <ProfileComparisonChart entries={entries} parameter="temperature" />
+        </div>
+        <div style={{ flex: 1, minWidth: 0 }}>
+          <ProfileComparisonChart entries={entries} parameter="salinity" />
+        </div>
+      </div>
+
+      <div className="overflow-auto" style={{ flex: 1, minWidth: 0, overflow: 'auto' }}>
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500">
+              <th className="py-1 pr-2">Float</th>
+              <th className="py-1 pr-2">Profile</th>
+              <th className="py-1 pr-2" style={{ textAlign: 'right' }}>Max depth (m)</th>
+              <th className="py-1 pr-2" style={{ textAlign: 'right' }}>Temp. surface / mean (°C)</th>
+              <th className="py-1 pr-2" style={{ textAlign: 'right' }}>Temp. range (°C)</th>
+              <th className="py-1 pr-2" style={{ textAlign: 'right' }}>Sal. surface / mean (PSU)</th>
+              <th className="py-1 pr-2" style={{ textAlign: 'right' }}>Sal. range (PSU)</th>
+              <th className="py-1"><span className="sr-only">Remove</span></th>
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map(entry => {
+              const stats = entry.profile && profileStats(entry.profile.levels);
+              let profileCell;
+              if (entry.isLoading) {
+                profileCell = <span className="text-gray-500">Loading…</span>;
+              } else if (entry.error) {
+                profileCell = (
+                  <button
+                    type="button"
+                    onClick={() => onRetry(entry.floatId)}
+                    className="text-red-600 hover:underline"
+                    title={describeApiError(entry.error)}
+                  >
+                    Failed - retry
+                  </button>
+                );
+              } else if (!entry.profile) {
+                profileCell = <span className="text-gray-500">No profiles</span>;
+              } else {
+                profileCell = `Cycle ${entry.profile.cycle ?? '?'}${entry.profile.date ? ` · ${entry.profile.date}` : ''}`;
+              }
+
+              return (
+                <tr key={entry.floatId} className="border-t border-gray-100">
+                  <td className="py-1 pr-2">
+                    <span className="flex items-center gap-2">
+                      <span className="inline-block w-4 h-1 rounded" style={{ display: 'inline-block', width: 16, height: 4, backgroundColor: entry.color }} />
+                      {entry.float.name || `Float ${entry.floatId}`}
+                    </span>
+                  </td>
+                  <td className="py-1 pr-2 whitespace-nowrap">{profileCell}</td>
+                  <td className="py-1 pr-2 font-mono" style={{ textAlign: 'right' }}>{formatStat(stats?.maxDepth, 0)}</td>
+                  <td className="py-1 pr-2 font-mono" style={{ textAlign: 'right' }}>
+                    {formatStat(stats?.temperature?.surface)} / {formatStat(stats?.temperature?.mean)}
+                  </td>
+                  <td className="py-1 pr-2 font-mono" style={{ textAlign: 'right' }}>{formatRange(stats?.temperature)}</td>
+                  <td className="py-1 pr-2 font-mono" style={{ textAlign: 'right' }}>
+                    {formatStat(stats?.salinity?.surface)} / {formatStat(stats?.salinity?.mean)}
+                  </td>
+                  <td className="py-1 pr-2 font-mono" style={{ textAlign: 'right' }}>{formatRange(stats?.salinity)}</td>
+                  <td className="py-1">
+                    <button
+                      type="button"
+                      onClick={() => onRemove(entry.floatId)}
+                      className="text-gray-400 hover:text-gray-700"
+                      aria-label={`Remove ${entry.float.name || entry.floatId} from the comparison`}
+                    >
+                      <FiX />
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  </section>
+);
+
+export default FloatComparisonPanel;
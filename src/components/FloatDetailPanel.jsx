@@ -0,0 +1,190 @@
+import React, { useMemo, useState } from 'react';
+import { FiX, FiMapPin } from 'react-icons/fi';
+import FloatProfileViewer from './FloatProfileViewer';
+import Sparkline from './Sparkline';
+import { useFloatDetails } from '../hooks/useFloatDetails';
+import { describeApiError } from '../api';
+import { formatPosition } from '../utils/floatData';
+import { profileIndexForCycle } from '../utils/profileStats';
+
+const TABS = [
+  { id: 'profile', label: 'Depth Profile' },
+  { id: 'trajectory', label: 'Trajectory' }
+];
+
+const DetailRow = ({ label, children }) => (
+  <div className="flex justify-between gap-3 py-1 text-sm">
+    <dt className="text-gray-500">{label}</dt>
+    <dd className="text-gray-800 text-right">{children ?? '—'}</dd>
+  </div>
+);
+
+// Docked panel for the selected float: its metadata, a surface temperature
+// trend and tabs with the depth profiles and the surfacing positions. It sits
+// beside the map, which stays usable while the panel is open. The profiles
+// come from useFloatProfiles in the parent, which also exports them.
+const FloatDetailPanel = ({
+  float,
+  profileState,
+  cycle,
+  onCycleChange,
+  onLocate,
+  isTrackShown,
+  onToggleTrack,
+  onClose,
+  width
+}) => {
+  const { details, isLoading: isLoadingDetails, error: detailsError, reload: reloadDetails } = useFloatDetails(float.id);
+  const { profiles, isLoading: isLoadingProfiles, error: profilesError, reload: reloadProfiles } = profileState;
+  const [activeTab, setActiveTab] = useState('profile');
+
+  const floatName = details?.name || float.name || `Float ${float.id}`;
+  const surfaceTemperatures = useMemo(
+    () => profiles.map(profile => profile.levels[0]?.temperature ?? null),
+    [profiles]
+  );
+  const activeIndex = profileIndexForCycle(profiles, cycle);
+
+  const showCycle = (profile) => {
+    onCycleChange(profile.cycle);
+    if (Number.isFinite(profile.lat) && Number.isFinite(profile.lng)) onLocate(profile.lat, profile.lng);
+  };
+
+  return (
+    <aside
+      className="absolute top-0 right-0 bottom-0 z-[1000] bg-white shadow-xl flex flex-col"
+      style={{ position: 'absolute', top: 0, right: 0, bottom: 0, width, display: 'flex', flexDirection: 'column' }}
+      aria-label={`${floatName} details`}
+    >
+      <div className="bg-blue-600 px-4 py-3 flex justify-between items-center">
+        <h3 className="text-lg font-medium text-white truncate">{floatName}</h3>
+        <button
+          type="button"
+          className="text-white hover:text-gray-200 focus:outline-none"
+          onClick={onClose}
+          aria-label="Close float details"
+        >
+          <FiX className="h-6 w-6" />
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-4 space-y-4" style={{ flex: 1, overflowY: 'auto' }}>
+        {/* Metadata */}
+        {isLoadingDetails ? (
+          <p className="text-sm text-gray-500">Loading float details…</p>
+        ) : detailsError ? (
+          <div className="text-sm">
+            <p className="text-red-600">Could not load the float details. {describeApiError(detailsError)}</p>
+            <button type="button" onClick={reloadDetails} className="mt-2 text-blue-600 hover:underline">
+              Retry
+            </button>
+          </div>
+        ) : details && (
+          <dl className="divide-y divide-gray-100">
+            <DetailRow label="WMO number">{details.wmo}</DetailRow>
+            <DetailRow label="Platform type">{details.platformType}</DetailRow>
+            <DetailRow label="Deployed">{details.deployment.date}</DetailRow>
+            <DetailRow label="Deployment location">
+              {formatPosition(details.deployment.lat, details.deployment.lng)}
+            </DetailRow>
+            <DetailRow label="Cycles">{details.cycleCount}</DetailRow>
+            <DetailRow label="Last transmission">{details.lastTransmission}</DetailRow>
+            <DetailRow label="Sensors">
+              {details.sensors.length ? (
+                <span className="flex flex-wrap justify-end gap-1">
+                  {details.sensors.map(sensor => (
+                    <span key={sensor} className="px-1.5 py-0.5 rounded bg-gray-100 font-mono text-xs">{sensor}</span>
+                  ))}
+                </span>
+              ) : null}
+            </DetailRow>
+          </dl>
+        )}
+
+        {/* Surface temperature over cycles */}
+        {!isLoadingProfiles && !profilesError && profiles.length > 0 && (
+          <div>
+            <div className="flex justify-between text-sm text-gray-700 mb-1">
+              <span>Surface temperature</span>
+              {Number.isFinite(surfaceTemperatures[activeIndex]) && (
+                <span className="font-mono">{surfaceTemperatures[activeIndex].toFixed(2)}°C</span>
+              )}
+            </div>
+            <Sparkline
+              values={surfaceTemperatures}
+              activeIndex={activeIndex}
+              width={width - 32}
+              label="Surface temperature over cycles"
+            />
+          </div>
+        )}
+
+        <div className="flex border-b border-gray-200" role="tablist">
+          {TABS.map(tab => (
+            <button
+              key={tab.id}
+              type="button"
+              role="tab"
+              aria-selected={activeTab === tab.id}
+              onClick={() => setActiveTab(tab.id)}
+              className={`px-3 py-2 text-sm -mb-px border-b-2 ${
+                activeTab === tab.id
+                  ? 'border-blue-600 text-blue-600 font-medium'
+                  : 'border-transparent text-gray-600 hover:text-gray-800'
+              }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+
+        {activeTab === 'profile' ? (
+          <FloatProfileViewer
+            floatName={floatName}
+            profiles={profiles}
+            isLoading={isLoadingProfiles}
+            error={profilesError}
+            onRetry={reloadProfiles}
+            cycle={cycle}
+            onCycleChange={onCycleChange}
+          />
+        ) : (
+          <div className="space-y-3">
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input type="checkbox" checked={isTrackShown} onChange={onToggleTrack} />
+              Show trajectory on map
+            </label>
+            {isLoadingProfiles ? (
+              <p className="text-sm text-gray-500">Loading positions…</p>
+            ) : profilesError ? (
+              <p className="text-sm text-red-600">Could not load the positions of this float. {describeApiError(profilesError)}</p>
+            ) : profiles.length === 0 ? (
+              <p className="text-sm text-gray-500">No positions have been reported for this float yet.</p>
+            ) : (
+              <ol className="text-sm divide-y divide-gray-100">
+                {[...profiles].reverse().map(profile => (
+                  <li key={`${profile.cycle}-${profile.date}`}>
+                    <button
+                      type="button"
+                      onClick={() => showCycle(profile)}
+                      className={`w-full flex items-center gap-2 px-2 py-1.5 text-left hover:bg-gray-50 ${
+                        profile === profiles[activeIndex] ? 'bg-blue-50' : ''
+                      }`}
+                    >
+                      <FiMapPin className="text-gray-400 shrink-0" />
+                      <span className="w-16">Cycle {profile.cycle}</span>
+                      <span className="text-gray-500 w-24">{profile.date}</span>
+                      <span className="text-gray-500 font-mono text-xs">{formatPosition(profile.lat, profile.lng)}</span>
+                    </button>
+                  </li>
+                ))}
+              </ol>
+            )}
+          </div>
+        )}
+      </div>
+    </aside>
+  );
+};
+
+export default FloatDetailPanel;
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { 
   FiFilter, 
   FiCalendar, 
@@ -40,18 +40,32 @@ const FilterSection = ({ title, defaultOpen = true, children }) => {
   );
 };
 
-const FloatFilters = ({ onFilterChange, isLoading }) => {
+// Form fields for a set of API filters
+const formValues = (apiFilters = {}) => ({
+  latMin: apiFilters.lat_min ?? '',
+  latMax: apiFilters.lat_max ?? '',
+  lonMin: apiFilters.lon_min ?? '',
+  lonMax: apiFilters.lon_max ?? '',
+  depthMax: apiFilters.depth_max ?? '',
+  startDate: apiFilters.start_date ?? '',
+  endDate: apiFilters.end_date ?? ''
+});
+
+// `appliedFilters` are the filters in effect; the form follows them when they
+// change elsewhere, e.g. when a region is drawn on the map
+const FloatFilters = ({ appliedFilters = {}, onFilterChange, isLoading }) => {
   const [isExpanded, setIsExpanded] = useState(true);
   const [isMinimized, setIsMinimized] = useState(true); // Minimized by default
-  const [filters, setFilters] = useState({
-    latMin: '',
-    latMax: '',
-    lonMin: '',
-    lonMax: '',
-    depthMax: '',
-    startDate: '',
-    endDate: ''
-  });
+  const [filters, setFilters] = useState(() => formValues(appliedFilters));
+
+  useEffect(() => {
+    setFilters(formValues(appliedFilters));
+  }, [appliedFilters]);
+
+  // A drawn polygon only survives while its bounding box is left as it is
+  const appliedForm = formValues(appliedFilters);
+  const keepsPolygon = Boolean(appliedFilters.polygon) &&
+    ['latMin', 'latMax', 'lonMin', 'lonMax'].every(name => String(filters[name]) === String(appliedForm[name]));
 
   const handleInputChange = (e) => {
     const { name, value } = e.target;
@@ -72,7 +86,8 @@ const FloatFilters = ({ onFilterChange, isLoading }) => {
       lon_max: filters.lonMax || undefined,
       depth_max: filters.depthMax ? parseFloat(filters.depthMax) : undefined,
       start_date: filters.startDate || undefined,
-      end_date: filters.endDate || undefined
+      end_date: filters.endDate || undefined,
+      polygon: keepsPolygon ? appliedFilters.polygon : undefined
     };
     
     console.log('Applying filters:', apiFilters);
@@ -81,15 +96,7 @@ const FloatFilters = ({ onFilterChange, isLoading }) => {
 
   const resetFilters = () => {
     console.log('Resetting filters');
-    setFilters({
-      latMin: '',
-      latMax: '',
-      lonMin: '',
-      lonMax: '',
-      depthMax: '',
-      startDate: '',
-      endDate: ''
-    });
+    setFilters(formValues());
     onFilterChange({});
   };
 
@@ -246,6 +253,12 @@ const FloatFilters = ({ onFilterChange, isLoading }) => {
                     </div>
                   </div>
                 </div>
+
+                <p className="text-sm text-[#64748b]">
+                  {keepsPolygon
+                    ? 'Limited to the polygon drawn on the map. Changing the ranges replaces it with a box.'
+                    : 'Tip: use the drawing tools on the map to sketch a box or polygon instead.'}
+                </p>
               </div>
             </FilterSection>
 
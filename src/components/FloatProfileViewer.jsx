@@ -0,0 +1,99 @@
+import React from 'react';
+import { FiChevronLeft, FiChevronRight } from 'react-icons/fi';
+import DepthProfileChart from './DepthProfileChart';
+import { describeApiError } from '../api';
+import { formatPosition } from '../utils/floatData';
+import { profileIndexForCycle } from '../utils/profileStats';
+
+const profileLabel = (profile) => [
+  profile.cycle !== null ? `Cycle ${profile.cycle}` : 'Cycle ?',
+  profile.date
+].filter(Boolean).join(' · ');
+
+// Depth profiles of one float, one cycle at a time. Shows `cycle` when the
+// float has it, otherwise the latest cycle; stepping calls onCycleChange.
+const FloatProfileViewer = ({ floatName, profiles, isLoading, error, onRetry, cycle, onCycleChange }) => {
+  if (isLoading) {
+    return (
+      <div className="flex flex-col items-center justify-center text-gray-600 py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-blue-500 mb-3"></div>
+        <p>Loading depth profiles…</p>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="text-center py-12">
+        <p className="text-red-600">Could not load the profiles for this float. {describeApiError(error)}</p>
+        <button
+          type="button"
+          onClick={onRetry}
+          className="mt-4 px-3 py-1.5 bg-blue-500 text-white rounded hover:bg-blue-600"
+        >
+          Retry
+        </button>
+      </div>
+    );
+  }
+
+  const index = profileIndexForCycle(profiles, cycle);
+  const profile = profiles[index];
+
+  if (!profile) {
+    return (
+      <div className="text-center text-gray-600 py-12">
+        <p>No profiles have been reported for this float yet.</p>
+      </div>
+    );
+  }
+
+  const position = formatPosition(profile.lat, profile.lng);
+  return (
+    <>
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        <button
+          type="button"
+          onClick={() => onCycleChange(profiles[index - 1].cycle)}
+          disabled={index <= 0}
+          className="p-1.5 rounded border border-gray-300 text-gray-700 hover:bg-gray-100 disabled:opacity-40"
+          aria-label="Previous cycle"
+        >
+          <FiChevronLeft />
+        </button>
+        <select
+          value={index}
+          onChange={(e) => onCycleChange(profiles[Number(e.target.value)].cycle)}
+          className="px-2 py-1.5 border border-gray-300 rounded text-sm"
+          aria-label="Profile cycle"
+        >
+          {profiles.map((item, itemIndex) => (
+            <option key={`${item.cycle}-${itemIndex}`} value={itemIndex}>
+              {profileLabel(item)}
+            </option>
+          ))}
+        </select>
+        <button
+          type="button"
+          onClick={() => onCycleChange(profiles[index + 1].cycle)}
+          disabled={index >= profiles.length - 1}
+          className="p-1.5 rounded border border-gray-300 text-gray-700 hover:bg-gray-100 disabled:opacity-40"
+          aria-label="Next cycle"
+        >
+          <FiChevronRight />
+        </button>
+        <span className="text-sm text-gray-500">
+          {index + 1} of {profiles.length}{position && ` · ${position}`}
+        </span>
+      </div>
+      <div className="h-[420px] w-full" style={{ height: 420 }}>
+        <DepthProfileChart
+          data={profile.levels}
+          title={`${floatName} - ${profileLabel(profile)}`}
+        />
+      </div>
+    </>
+  );
+};
+
+export default FloatProfileViewer;
@@ -0,0 +1,112 @@
+import { useEffect, useRef, useState } from 'react';
+import { useMap } from 'react-leaflet';
+import L from 'leaflet';
+import './LassoSelectControl.css';
+
+const LASSO_STYLE = { color: '#2563eb', weight: 2, dashArray: '4 4', interactive: false };
+
+const LASSO_ICON = '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round">'
+  + '<ellipse cx="12" cy="9" rx="9" ry="6"/><path d="M7 14c-1 2-1 4 1 6"/></svg>';
+
+// The mouseup that ends a loop is followed by a click on the map, which would
+// open the value popup there. Swallow that click before Leaflet sees it; the
+// guard is dropped at the next press if no click comes.
+const suppressNextClick = (container) => {
+  const swallow = (e) => {
+    e.stopImmediatePropagation();
+    release();
+  };
+  const release = () => {
+    container.removeEventListener('click', swallow, true);
+    container.removeEventListener('mousedown', release, true);
+  };
+  container.addEventListener('click', swallow, true);
+  container.addEventListener('mousedown', release, true);
+};
+
+// Map button for drawing a freehand loop around floats. While it is active,
+// dragging on the map draws the loop instead of panning; releasing the mouse
+// reports the loop as [[lat, lng], ...] through onLasso. Escape cancels.
+const LassoSelectControl = ({ onLasso }) => {
+  const map = useMap();
+  const [isActive, setIsActive] = useState(false);
+  const linkRef = useRef(null);
+  const onLassoRef = useRef(onLasso);
+  onLassoRef.current = onLasso;
+
+  useEffect(() => {
+    const control = L.control({ position: 'topleft' });
+    control.onAdd = () => {
+      const container = L.DomUtil.create('div', 'leaflet-bar leaflet-control');
+      const link = L.DomUtil.create('a', 'lasso-select-toggle', container);
+      link.href = '#';
+      link.title = 'Lasso floats to compare';
+      link.setAttribute('role', 'button');
+      link.innerHTML = LASSO_ICON;
+      L.DomEvent.disableClickPropagation(container);
+      L.DomEvent.on(link, 'click', (e) => {
+        L.DomEvent.preventDefault(e);
+        setIsActive(active => !active);
+      });
+      linkRef.current = link;
+      return container;
+    };
+    control.addTo(map);
+    return () => {
+      control.remove();
+      linkRef.current = null;
+    };
+  }, [map]);
+
+  useEffect(() => {
+    if (!isActive) return;
+    const container = map.getContainer();
+    linkRef.current?.classList.add('lasso-select-active');
+    container.classList.add('lasso-select-drawing');
+    map.dragging.disable();
+
+    let points = null;
+    let line = null;
+    const start = (e) => {
+      points = [e.latlng];
+      line = L.polyline(points, LASSO_STYLE).addTo(map);
+    };
+    const extend = (e) => {
+      if (!points) return;
+      points.push(e.latlng);
+      line.setLatLngs(points);
+    };
+    const finish = () => {
+      if (!points) return;
+      const ring = points.map(({ lat, lng }) => [lat, lng]);
+      points = null;
+      line.remove();
+      line = null;
+      suppressNextClick(container);
+      if (ring.length >= 3) onLassoRef.current(ring);
+      setIsActive(false);
+    };
+    const cancel = (e) => {
+      if (e.key === 'Escape') setIsActive(false);
+    };
+
+    map.on('mousedown', start);
+    map.on('mousemove', extend);
+    map.on('mouseup', finish);
+    document.addEventListener('keydown', cancel);
+    return () => {
+      map.off('mousedown', start);
+      map.off('mousemove', extend);
+      map.off('mouseup', finish);
+      document.removeEventListener('keydown', cancel);
+      line?.remove();
+      map.dragging.enable();
+      container.classList.remove('lasso-select-drawing');
+      linkRef.current?.classList.remove('lasso-select-active');
+    };
+  }, [map, isActive]);
+
+  return null;
+};
+
+export default LassoSelectControl;
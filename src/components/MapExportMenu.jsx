@@ -0,0 +1,95 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { FiDownload, FiFileText, FiMap, FiGlobe, FiBarChart2 } from 'react-icons/fi';
+
+const EXPORT_OPTIONS = [
+  { format: 'csv', label: 'Floats as CSV', icon: FiFileText },
+  { format: 'geojson', label: 'Floats as GeoJSON', icon: FiMap },
+  { format: 'kml', label: 'Floats as KML', icon: FiGlobe }
+];
+
+// Dropdown with the export formats of the floats in view and, while a float
+// is open, its depth profile. CSV files only carry the filters as comment
+// lines when asked to, since spreadsheets read those lines as data.
+const MapExportMenu = ({ floatCount, canExportProfile, onExport, onExportProfile }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [csvComments, setCsvComments] = useState(false);
+  const menuRef = useRef(null);
+
+  // Close when clicking anywhere outside the menu
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const handleClick = (e) => {
+      if (!menuRef.current?.contains(e.target)) setIsOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [isOpen]);
+
+  const handleSelect = (select) => {
+    setIsOpen(false);
+    select();
+  };
+
+  return (
+    <div className="relative" style={{ position: 'relative' }} ref={menuRef}>
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        className="flex items-center gap-1 text-sm text-blue-600 hover:underline"
+        aria-haspopup="menu"
+        aria-expanded={isOpen}
+        title="Export the floats in view"
+      >
+        <FiDownload /> Export
+      </button>
+      {isOpen && (
+        <ul className="export-menu-list" role="menu" style={{ left: 'auto', right: 0, zIndex: 1100 }}>
+          {EXPORT_OPTIONS.map(option => {
+            const Icon = option.icon;
+            return (
+              <li key={option.format} role="none">
+                <button
+                  type="button"
+                  role="menuitem"
+                  onClick={() => handleSelect(() => onExport(option.format, { comments: csvComments }))}
+                  disabled={!floatCount}
+                >
+                  <Icon /> {option.label} ({floatCount})
+                </button>
+              </li>
+            );
+          })}
+          <li role="none">
+            <button
+              type="button"
+              role="menuitem"
+              onClick={() => handleSelect(() => onExportProfile({ comments: csvComments }))}
+              disabled={!canExportProfile}
+              title={canExportProfile ? undefined : 'Open a float to export its depth profile'}
+            >
+              <FiBarChart2 /> Open depth profile as CSV
+            </button>
+          </li>
+          <li role="none">
+            <label
+              className="flex items-center gap-2 text-sm"
+              style={{ display: 'flex', alignItems: 'center', gap: 8, padding: 8 }}
+              title="Adds # lines above the header; read them with pandas.read_csv(..., comment='#')"
+            >
+              <input
+                type="checkbox"
+                role="menuitemcheckbox"
+                aria-checked={csvComments}
+                checked={csvComments}
+                onChange={(e) => setCsvComments(e.target.checked)}
+              />
+              Add filters as # comments to CSV
+            </label>
+          </li>
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default MapExportMenu;
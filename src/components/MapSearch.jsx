@@ -0,0 +1,163 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { FiSearch, FiX, FiMapPin, FiMap, FiFilter } from 'react-icons/fi';
+import { useFloatSearch } from '../hooks/useFloatSearch';
+import { describeApiError } from '../api';
+import { matchFloats, matchRegions } from '../utils/mapSearch';
+
+const GROUP_TITLES = {
+  loaded: 'Floats on the map',
+  remote: 'Other floats',
+  region: 'Ocean regions'
+};
+
+const floatLabel = (float) => (float.name && float.name !== String(float.id) ? `${float.name} · ${float.id}` : `Float ${float.id}`);
+
+// Search box over the map: floats by WMO number or name (the loaded ones
+// right away, others from the backend) and named ocean regions. A region
+// can be zoomed to or also applied as the filter box.
+const MapSearch = ({ floats, onSelectFloat, onSelectRegion }) => {
+  const [query, setQuery] = useState('');
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const containerRef = useRef(null);
+  const { results: remoteFloats, isSearching, error } = useFloatSearch(query);
+
+  const options = useMemo(() => {
+    const loaded = matchFloats(floats, query);
+    const loadedIds = new Set(floats.map(float => float.id));
+    return [
+      ...loaded.map(float => ({ group: 'loaded', key: `loaded-${float.id}`, float })),
+      ...remoteFloats
+        .filter(float => !loadedIds.has(float.id))
+        .map(float => ({ group: 'remote', key: `remote-${float.id}`, float })),
+      ...matchRegions(query).map(region => ({ group: 'region', key: `region-${region.id}`, region }))
+    ];
+  }, [floats, query, remoteFloats]);
+
+  // Close when clicking anywhere outside the search
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const handleClick = (e) => {
+      if (!containerRef.current?.contains(e.target)) setIsOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [isOpen]);
+
+  const select = (option, { applyFilter = false } = {}) => {
+    if (option.region) {
+      onSelectRegion(option.region, { applyFilter });
+    } else {
+      onSelectFloat(option.float);
+    }
+    setIsOpen(false);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (!options.length) return;
+      setIsOpen(true);
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActiveIndex(index => (index + step + options.length) % options.length);
+    } else if (e.key === 'Enter' && isOpen && options[activeIndex]) {
+      e.preventDefault();
+      select(options[activeIndex]);
+    } else if (e.key === 'Escape') {
+      setIsOpen(false);
+    }
+  };
+
+  const showList = isOpen && query.trim() !== '';
+
+  return (
+    <div
+      ref={containerRef}
+      className="absolute top-4 left-1/2 -translate-x-1/2 z-[1000] w-80"
+      style={{ position: 'absolute', top: 16, left: '50%', transform: 'translateX(-50%)', width: 320 }}
+    >
+      <div className="flex items-center gap-2 bg-white rounded-lg shadow-xl px-3 py-2">
+        <FiSearch className="text-gray-400 shrink-0" />
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setActiveIndex(0);
+            setIsOpen(true);
+          }}
+          onFocus={() => setIsOpen(true)}
+          onKeyDown={handleKeyDown}
+          placeholder="Search floats (WMO, name) or regions"
+          className="flex-1 text-sm outline-none"
+          role="combobox"
+          aria-expanded={showList}
+          aria-controls="map-search-results"
+          aria-activedescendant={showList && options[activeIndex] ? `map-search-${options[activeIndex].key}` : undefined}
+          aria-label="Search floats and ocean regions"
+        />
+        {query && (
+          <button
+            type="button"
+            onClick={() => setQuery('')}
+            className="text-gray-400 hover:text-gray-700"
+            aria-label="Clear search"
+          >
+            <FiX />
+          </button>
+        )}
+      </div>
+
+      {showList && (
+        <ul
+          id="map-search-results"
+          role="listbox"
+          className="mt-1 bg-white rounded-lg shadow-xl py-1 max-h-80 overflow-y-auto text-sm"
+          style={{ maxHeight: 320, overflowY: 'auto' }}
+        >
+          {options.map((option, index) => (
+            <React.Fragment key={option.key}>
+              {(index === 0 || options[index - 1].group !== option.group) && (
+                <li role="presentation" className="px-3 pt-2 pb-1 text-xs font-medium uppercase text-gray-400">
+                  {GROUP_TITLES[option.group]}
+                </li>
+              )}
+              <li
+                id={`map-search-${option.key}`}
+                role="option"
+                aria-selected={index === activeIndex}
+                onMouseEnter={() => setActiveIndex(index)}
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => select(option)}
+                className={`flex items-center gap-2 px-3 py-1.5 cursor-pointer ${index === activeIndex ? 'bg-blue-50' : ''}`}
+              >
+                {option.region ? <FiMap className="text-gray-400 shrink-0" /> : <FiMapPin className="text-gray-400 shrink-0" />}
+                <span className="flex-1 truncate">{option.region ? option.region.name : floatLabel(option.float)}</span>
+                {option.region && (
+                  <button
+                    type="button"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      select(option, { applyFilter: true });
+                    }}
+                    className="flex items-center gap-1 text-xs text-blue-600 hover:underline"
+                    title="Zoom to the region and filter floats to it"
+                  >
+                    <FiFilter /> Filter
+                  </button>
+                )}
+              </li>
+            </React.Fragment>
+          ))}
+          {isSearching && <li className="px-3 py-1.5 text-gray-500">Searching other floats…</li>}
+          {error && <li className="px-3 py-1.5 text-red-600">Float lookup failed. {describeApiError(error)}</li>}
+          {!options.length && !isSearching && !error && (
+            <li className="px-3 py-1.5 text-gray-500">No floats or regions match "{query.trim()}"</li>
+          )}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default MapSearch;
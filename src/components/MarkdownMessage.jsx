@@ -0,0 +1,144 @@
+import React, { useMemo } from 'react';
+import { parseMarkdown, parseMath } from '../utils/markdown';
+
+// Renders the node tree from utils/markdown as React elements. Text only ever
+// reaches the DOM as React children, never through innerHTML.
+
+const renderMath = (source, key) => (
+  <span key={key} className="math-inline" title={source}>
+    {parseMath(source).map((segment, index) => {
+      if (segment.script === 'sup') return <sup key={index}>{segment.text}</sup>;
+      if (segment.script === 'sub') return <sub key={index}>{segment.text}</sub>;
+      return <React.Fragment key={index}>{segment.text}</React.Fragment>;
+    })}
+  </span>
+);
+
+const renderInline = (nodes) => nodes.map((node, index) => {
+  switch (node.type) {
+    case 'text':
+      return <React.Fragment key={index}>{node.value}</React.Fragment>;
+    case 'break':
+      return <br key={index} />;
+    case 'strong':
+      return <strong key={index}>{renderInline(node.children)}</strong>;
+    case 'emphasis':
+      return <em key={index}>{renderInline(node.children)}</em>;
+    case 'delete':
+      return <del key={index}>{renderInline(node.children)}</del>;
+    case 'code':
+      return <code key={index} className="inline-code">{node.value}</code>;
+    case 'math':
+      return renderMath(node.value, index);
+    case 'link':
+      return (
+        <a
+          key={index}
+          href={node.href}
+          title={node.title}
+          target="_blank"
+          rel="noopener noreferrer nofollow"
+          className="message-link"
+        >
+          {renderInline(node.children)}
+        </a>
+      );
+    default:
+      return null;
+  }
+});
+
+const renderListItem = (item, index, loose) => {
+  // Tight lists render their paragraphs inline, like GitHub does
+  const children = item.children.map((block, blockIndex) => (
+    !loose && block.type === 'paragraph'
+      ? <React.Fragment key={blockIndex}>{renderInline(block.children)}</React.Fragment>
+      : renderBlock(block, blockIndex)
+  ));
+
+  if (item.checked === null) {
+    return <li key={index} className="list-item">{children}</li>;
+  }
+
+  return (
+    <li key={index} className="list-item task-list-item">
+      <input type="checkbox" checked={item.checked} disabled readOnly />
+      {children}
+    </li>
+  );
+};
+
+const renderBlock = (block, index) => {
+  switch (block.type) {
+    case 'heading': {
+      const Heading = `h${Math.min(block.depth + 1, 6)}`;
+      return <Heading key={index}>{renderInline(block.children)}</Heading>;
+    }
+    case 'paragraph':
+      return <p key={index}>{renderInline(block.children)}</p>;
+    case 'code':
+      return (
+        <pre key={index} className="code-block" data-language={block.language || undefined}>
+          <code>{block.value}</code>
+        </pre>
+      );
+    case 'blockquote':
+      return <blockquote key={index}>{block.children.map(renderBlock)}</blockquote>;
+    case 'rule':
+      return <hr key={index} className="message-rule" />;
+    case 'list': {
+      const List = block.ordered ? 'ol' : 'ul';
+      const style = block.ordered && block.start > 1
+        ? { counterReset: `item ${block.start - 1}` }
+        : undefined;
+      return (
+        <List
+          key={index}
+          className="message-list"
+          start={block.ordered ? block.start : undefined}
+          style={style}
+        >
+          {block.items.map((item, itemIndex) => renderListItem(item, itemIndex, block.loose))}
+        </List>
+      );
+    }
+    case 'table':
+      return (
+        <div key={index} className="message-table-wrapper">
+          <table className="message-table">
+            <thead>
+              <tr>
+                {block.header.map((cell, cellIndex) => (
+                  <th key={cellIndex} style={{ textAlign: block.align[cellIndex] || undefined }}>
+                    {renderInline(cell)}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {block.rows.map((row, rowIndex) => (
+                <tr key={rowIndex}>
+                  {row.map((cell, cellIndex) => (
+                    <td key={cellIndex} style={{ textAlign: block.align[cellIndex] || undefined }}>
+                      {renderInline(cell)}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      );
+    default:
+      return null;
+  }
+};
+
+// Parsed once per text: while an answer streams in, only the message whose
+// text changed is parsed and rendered again
+const MarkdownMessage = ({ text }) => {
+  const blocks = useMemo(() => parseMarkdown(text), [text]);
+  return <div className="markdown-body">{blocks.map(renderBlock)}</div>;
+};
+
+export default React.memo(MarkdownMessage);
@@ -0,0 +1,111 @@
+import React from 'react';
+import { FiChevronLeft, FiChevronRight, FiEdit2, FiRefreshCw, FiRotateCcw, FiCopy } from 'react-icons/fi';
+
+// "‹ 2/3 ›" navigator for answer versions and question branches
+const VersionNavigator = ({ index, count, onSelect, disabled, label }) => (
+  <span className="version-navigator" aria-label={label}>
+    <button
+      type="button"
+      onClick={() => onSelect(index - 1)}
+      disabled={disabled || index === 0}
+      aria-label={`Previous ${label}`}
+    >
+      <FiChevronLeft />
+    </button>
+    <span>{index + 1}/{count}</span>
+    <button
+      type="button"
+      onClick={() => onSelect(index + 1)}
+      disabled={disabled || index === count - 1}
+      aria-label={`Next ${label}`}
+    >
+      <FiChevronRight />
+    </button>
+  </span>
+);
+
+// Per-message actions: edit and branch navigation for questions; retry,
+// regenerate and version navigation for answers
+const MessageActions = ({
+  message,
+  isLatestAnswer,
+  isBusy,
+  onEdit,
+  onRetry,
+  onRegenerate,
+  onSelectVersion,
+  onSelectBranch
+}) => {
+  const handleCopy = () => {
+    navigator.clipboard?.writeText(message.text || '').catch(error => {
+      console.error('Error copying message:', error);
+    });
+  };
+
+  if (message.sender === 'user') {
+    return (
+      <div className="message-actions">
+        {message.branches?.length > 1 && (
+          <VersionNavigator
+            index={message.activeBranch}
+            count={message.branches.length}
+            onSelect={(index) => onSelectBranch(message.id, index)}
+            disabled={isBusy}
+            label="edit"
+          />
+        )}
+        <button
+          type="button"
+          onClick={() => onEdit(message.id)}
+          disabled={isBusy}
+          title="Edit and resend"
+        >
+          <FiEdit2 />
+        </button>
+      </div>
+    );
+  }
+
+  if (message.isGreeting || message.isStreaming) return null;
+
+  return (
+    <div className="message-actions">
+      {message.versions?.length > 1 && (
+        <VersionNavigator
+          index={message.activeVersion}
+          count={message.versions.length}
+          onSelect={(index) => onSelectVersion(message.id, index)}
+          disabled={isBusy}
+          label="version"
+        />
+      )}
+      {!message.isError && (
+        <button type="button" onClick={handleCopy} title="Copy answer">
+          <FiCopy />
+        </button>
+      )}
+      {message.isError ? (
+        <button
+          type="button"
+          className="retry-button"
+          onClick={() => onRetry(message.id)}
+          disabled={isBusy}
+          title="Retry"
+        >
+          <FiRotateCcw /> Retry
+        </button>
+      ) : isLatestAnswer && (
+        <button
+          type="button"
+          onClick={() => onRegenerate(message.id)}
+          disabled={isBusy}
+          title="Regenerate answer"
+        >
+          <FiRefreshCw />
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default MessageActions;
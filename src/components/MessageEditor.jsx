@@ -0,0 +1,39 @@
+import React, { useState } from 'react';
+
+// Inline editor for resending a previous question
+const MessageEditor = ({ initialText, onSubmit, onCancel }) => {
+  const [draft, setDraft] = useState(initialText);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const text = draft.trim();
+    if (text) onSubmit(text);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      onCancel();
+    } else if (e.key === 'Enter' && !e.shiftKey) {
+      handleSubmit(e);
+    }
+  };
+
+  return (
+    <form className="message-editor" onSubmit={handleSubmit}>
+      <textarea
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onKeyDown={handleKeyDown}
+        rows={Math.min(6, Math.max(2, draft.split('\n').length))}
+        aria-label="Edit message"
+        autoFocus
+      />
+      <div className="message-editor-actions">
+        <button type="button" onClick={onCancel}>Cancel</button>
+        <button type="submit" disabled={!draft.trim()}>Send</button>
+      </div>
+    </form>
+  );
+};
+
+export default MessageEditor;
@@ -0,0 +1,68 @@
+import React, { useState } from 'react';
+import { GeoJSON, Popup } from 'react-leaflet';
+import L from 'leaflet';
+import { geojsonPolygonRings, pointInPolygon } from '../utils/geo';
+
+const featureLabel = (feature) => {
+  const properties = feature?.properties || {};
+  return properties.name || properties.NAME || properties.GEONAME || properties.title || null;
+};
+
+// Imported overlays drawn under the float markers. Clicking a shape names it
+// and, for polygons, offers it as the spatial filter through onUseAsFilter
+// (with the clicked polygon's outer ring).
+const OverlayLayers = ({ overlays, onUseAsFilter }) => {
+  const [clicked, setClicked] = useState(null);
+
+  const handleClick = (overlay, e) => {
+    const feature = (e.propagatedFrom ?? e.layer)?.feature;
+    const { lat, lng } = e.latlng;
+    const rings = geojsonPolygonRings({ features: [feature] });
+    const ring = rings.find(item => pointInPolygon([lat, lng], item.ring))?.ring ?? rings[0]?.ring ?? null;
+    setClicked({ overlay, feature, latlng: e.latlng, ring });
+  };
+
+  return (
+    <>
+      {overlays.filter(overlay => overlay.visible).map(overlay => (
+        <GeoJSON
+          key={overlay.id}
+          data={overlay.geojson}
+          style={{ color: overlay.color, weight: 2, fillColor: overlay.color, fillOpacity: 0.12 }}
+          bubblingMouseEvents={false}
+          pointToLayer={(feature, latlng) => L.circleMarker(latlng, {
+            radius: 5,
+            color: overlay.color,
+            fillColor: overlay.color,
+            fillOpacity: 0.6,
+            bubblingMouseEvents: false
+          })}
+          eventHandlers={{ click: (e) => handleClick(overlay, e) }}
+        />
+      ))}
+
+      {clicked && overlays.some(overlay => overlay.id === clicked.overlay.id && overlay.visible) && (
+        <Popup position={clicked.latlng} eventHandlers={{ remove: () => setClicked(null) }}>
+          <div className="text-sm">
+            <h3 className="font-bold">{featureLabel(clicked.feature) || clicked.overlay.name}</h3>
+            {featureLabel(clicked.feature) && <p className="text-gray-500">{clicked.overlay.name}</p>}
+            {clicked.ring && (
+              <button
+                type="button"
+                className="mt-2 text-blue-600 hover:underline text-sm"
+                onClick={() => {
+                  onUseAsFilter(clicked.ring);
+                  setClicked(null);
+                }}
+              >
+                Use as float filter
+              </button>
+            )}
+          </div>
+        </Popup>
+      )}
+    </>
+  );
+};
+
+export default OverlayLayers;
@@ -0,0 +1,86 @@
+import React, { useRef } from 'react';
+import { FiUpload, FiX } from 'react-icons/fi';
+import { OVERLAY_FILE_ACCEPT } from '../utils/overlayImport';
+
+const SOURCE_LABELS = { geojson: 'GeoJSON', kml: 'KML', shapefile: 'Shapefile' };
+
+// Imported overlays in the map controls: import button, visibility toggles
+// and removal
+const OverlayManager = ({ overlays, isImporting, importErrors, onImport, onToggle, onRemove, onDismissErrors }) => {
+  const inputRef = useRef(null);
+
+  const handleFiles = (e) => {
+    const files = [...e.target.files];
+    e.target.value = '';
+    if (files.length) onImport(files);
+  };
+
+  return (
+    <div className="pt-3 border-t border-gray-200 space-y-2">
+      <div className="flex items-center justify-between text-sm text-gray-700">
+        <span>Overlays</span>
+        <button
+          type="button"
+          onClick={() => inputRef.current?.click()}
+          disabled={isImporting}
+          className="flex items-center gap-1 text-blue-600 hover:underline disabled:text-gray-400"
+        >
+          <FiUpload /> {isImporting ? 'Importing…' : 'Import'}
+        </button>
+        <input
+          ref={inputRef}
+          type="file"
+          accept={OVERLAY_FILE_ACCEPT}
+          multiple
+          onChange={handleFiles}
+          className="hidden"
+          style={{ display: 'none' }}
+        />
+      </div>
+      <p className="text-xs text-gray-500">
+        GeoJSON, KML or zipped shapefiles - pick files or drop them on the map. Click a polygon to filter floats by it.
+      </p>
+
+      {importErrors.length > 0 && (
+        <div className="text-xs text-red-600 flex gap-2">
+          <ul className="flex-1">
+            {importErrors.map(message => <li key={message}>{message}</li>)}
+          </ul>
+          <button type="button" onClick={onDismissErrors} aria-label="Dismiss import errors">
+            <FiX />
+          </button>
+        </div>
+      )}
+
+      {overlays.length > 0 && (
+        <ul className="space-y-1">
+          {overlays.map(overlay => (
+            <li key={overlay.id} className="flex items-center gap-2 text-sm">
+              <input
+                type="checkbox"
+                checked={overlay.visible}
+                onChange={() => onToggle(overlay.id)}
+                aria-label={`Show ${overlay.name}`}
+              />
+              <span className="inline-block w-3 h-3 rounded-sm" style={{ display: 'inline-block', width: 12, height: 12, backgroundColor: overlay.color }} />
+              <span className="flex-1 truncate" title={overlay.name}>{overlay.name}</span>
+              <span className="text-xs text-gray-500">
+                {SOURCE_LABELS[overlay.source] || overlay.source} · {overlay.geojson.features.length}
+              </span>
+              <button
+                type="button"
+                onClick={() => onRemove(overlay.id)}
+                className="text-gray-400 hover:text-gray-700"
+                aria-label={`Remove ${overlay.name}`}
+              >
+                <FiX />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default OverlayManager;
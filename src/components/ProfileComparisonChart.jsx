@@ -0,0 +1,57 @@
+import React from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, ResponsiveContainer } from 'recharts';
+import { FLOAT_PARAMETERS } from '../utils/floatData';
+
+// One parameter of several profiles against depth, one line per compared
+// float in its color
+const ProfileComparisonChart = ({ entries, parameter }) => {
+  const { label, unit } = FLOAT_PARAMETERS[parameter];
+  const series = entries.filter(entry => entry.profile?.levels.some(level => Number.isFinite(level[parameter])));
+
+  return (
+    <div className="h-full w-full flex flex-col" style={{ display: 'flex', flexDirection: 'column', height: '100%' }}>
+      <h4 className="text-sm font-medium text-gray-700 mb-1">{label}</h4>
+      {series.length === 0 ? (
+        <p className="text-sm text-gray-500 m-auto">No {label.toLowerCase()} data yet</p>
+      ) : (
+        <div className="flex-1" style={{ flex: 1, minHeight: 0 }}>
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart layout="vertical" margin={{ top: 5, right: 16, left: 0, bottom: 16 }}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis
+                type="number"
+                domain={['auto', 'auto']}
+                tick={{ fontSize: 11 }}
+                label={{ value: `${label} (${unit})`, position: 'bottom', offset: 0, style: { fontSize: 11 } }}
+              />
+              <YAxis
+                type="number"
+                dataKey="depth"
+                domain={[0, 'auto']}
+                reversed={true}
+                tick={{ fontSize: 11 }}
+                width={44}
+                label={{ value: 'Depth (m)', angle: -90, position: 'insideLeft', style: { fontSize: 11 } }}
+              />
+              {series.map(entry => (
+                <Line
+                  key={entry.floatId}
+                  data={entry.profile.levels}
+                  dataKey={parameter}
+                  name={entry.float.name || `Float ${entry.floatId}`}
+                  stroke={entry.color}
+                  strokeWidth={2}
+                  dot={false}
+                  connectNulls
+                  isAnimationActive={false}
+                />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProfileComparisonChart;
@@ -0,0 +1,87 @@
+import { useEffect, useRef } from 'react';
+import { useMap } from 'react-leaflet';
+import L from 'leaflet';
+import 'leaflet-draw';
+import 'leaflet-draw/dist/leaflet.draw.css';
+import { filtersToRegion } from '../utils/geo';
+
+const REGION_STYLE = {
+  color: '#f59e0b',
+  weight: 2,
+  dashArray: '6 4',
+  fillColor: '#f59e0b',
+  fillOpacity: 0.08
+};
+
+// The area readout of leaflet-draw fails in strict mode, so it stays off
+const DRAW_OPTIONS = {
+  rectangle: { showArea: false, shapeOptions: REGION_STYLE },
+  polygon: { showArea: false, allowIntersection: false, shapeOptions: REGION_STYLE },
+  polyline: false,
+  circle: false,
+  circlemarker: false,
+  marker: false
+};
+
+const layerToRegion = (layer) => {
+  const ring = layer.getLatLngs()[0].map(({ lat, lng }) => [lat, lng]);
+  return { type: layer instanceof L.Rectangle ? 'rectangle' : 'polygon', latlngs: ring };
+};
+
+const regionToLayer = (region) => (
+  region.type === 'rectangle'
+    ? L.rectangle(L.latLngBounds(region.latlngs), REGION_STYLE)
+    : L.polygon(region.latlngs, REGION_STYLE)
+);
+
+// Drawing toolbar for a box or polygon that sets the spatial filter. The
+// highlighted region always mirrors `filters`; drawing, editing or deleting
+// it reports the new region (or null) through onRegionChange.
+const RegionDrawControl = ({ filters, onRegionChange }) => {
+  const map = useMap();
+  const groupRef = useRef(null);
+  const onRegionChangeRef = useRef(onRegionChange);
+  onRegionChangeRef.current = onRegionChange;
+
+  useEffect(() => {
+    const group = new L.FeatureGroup();
+    map.addLayer(group);
+    groupRef.current = group;
+
+    const control = new L.Control.Draw({
+      position: 'topleft',
+      draw: DRAW_OPTIONS,
+      edit: { featureGroup: group }
+    });
+    map.addControl(control);
+
+    const handleCreated = (e) => onRegionChangeRef.current(layerToRegion(e.layer));
+    const handleEdited = (e) => e.layers.eachLayer(layer => onRegionChangeRef.current(layerToRegion(layer)));
+    const handleDeleted = () => onRegionChangeRef.current(null);
+
+    map.on(L.Draw.Event.CREATED, handleCreated);
+    map.on(L.Draw.Event.EDITED, handleEdited);
+    map.on(L.Draw.Event.DELETED, handleDeleted);
+    return () => {
+      map.off(L.Draw.Event.CREATED, handleCreated);
+      map.off(L.Draw.Event.EDITED, handleEdited);
+      map.off(L.Draw.Event.DELETED, handleDeleted);
+      map.removeControl(control);
+      map.removeLayer(group);
+      groupRef.current = null;
+    };
+  }, [map]);
+
+  const { lat_min: latMin, lat_max: latMax, lon_min: lonMin, lon_max: lonMax, polygon } = filters;
+  useEffect(() => {
+    const group = groupRef.current;
+    if (!group) return;
+    group.clearLayers();
+    const region = filtersToRegion({ lat_min: latMin, lat_max: latMax, lon_min: lonMin, lon_max: lonMax, polygon });
+    if (region) group.addLayer(regionToLayer(region));
+  }, [latMin, latMax, lonMin, lonMax, polygon]);
+
+  return null;
+};
+
+export default RegionDrawControl;
@@ -0,0 +1,97 @@
+import { createElementObject, createLayerComponent } from '@react-leaflet/core';
+import L from 'leaflet';
+import { preparePoints, interpolateAt } from '../utils/scalarField';
+
+// Props left undefined keep the layer defaults
+const definedOptions = (options) => Object.fromEntries(
+  Object.entries(options).filter(([, value]) => value !== undefined)
+);
+
+// Canvas overlay showing an interpolated value field for the current view.
+// The field is computed on a grid of `cellSize` screen pixels and redrawn
+// whenever the map stops moving.
+const ScalarFieldCanvas = L.Layer.extend({
+  options: {
+    points: [],
+    idw: {},
+    rgbFor: null,
+    opacity: 0.6,
+    cellSize: 8
+  },
+
+  initialize(options) {
+    L.setOptions(this, definedOptions(options));
+    this._prepared = preparePoints(this.options.points);
+  },
+
+  onAdd(map) {
+    this._canvas = L.DomUtil.create('canvas', 'leaflet-zoom-hide');
+    this._canvas.style.pointerEvents = 'none';
+    map.getPanes().overlayPane.appendChild(this._canvas);
+    map.on('moveend resize', this._redraw, this);
+    this._redraw();
+  },
+
+  onRemove(map) {
+    map.off('moveend resize', this._redraw, this);
+    L.DomUtil.remove(this._canvas);
+    this._canvas = null;
+  },
+
+  update(options) {
+    if (options.points !== this.options.points) {
+      this._prepared = preparePoints(options.points);
+    }
+    L.setOptions(this, definedOptions(options));
+    this._redraw();
+  },
+
+  _redraw() {
+    if (!this._map || !this._canvas) return;
+
+    const map = this._map;
+    const size = map.getSize();
+    const canvas = this._canvas;
+    L.DomUtil.setPosition(canvas, map.containerPointToLayerPoint([0, 0]));
+    canvas.width = size.x;
+    canvas.height = size.y;
+    canvas.style.opacity = this.options.opacity;
+
+    const context = canvas.getContext('2d');
+    context.clearRect(0, 0, size.x, size.y);
+    const { rgbFor, idw, cellSize } = this.options;
+    if (!rgbFor || !this._prepared.length) return;
+
+    for (let y = 0; y < size.y; y += cellSize) {
+      for (let x = 0; x < size.x; x += cellSize) {
+        const latlng = map.containerPointToLatLng([x + cellSize / 2, y + cellSize / 2]);
+        const value = interpolateAt(this._prepared, latlng, idw);
+        if (value === null) continue;
+        const [r, g, b] = rgbFor(value);
+        context.fillStyle = `rgb(${r}, ${g}, ${b})`;
+        context.fillRect(x, y, cellSize, cellSize);
+      }
+    }
+  }
+});
+
+// `points` are { lat, lng, value }; `idw` holds the interpolation settings
+// (power, searchRadiusKm, maxDistanceKm) and `rgbFor` maps a value to
+// [r, g, b]. Cells with no data within the maximum distance stay clear.
+const ScalarFieldLayer = createLayerComponent(
+  function createScalarFieldLayer({ points, idw, rgbFor, opacity, cellSize }, context) {
+    return createElementObject(new ScalarFieldCanvas({ points, idw, rgbFor, opacity, cellSize }), context);
+  },
+  function updateScalarFieldLayer(layer, props, prevProps) {
+    if (
+      props.points !== prevProps.points ||
+      props.idw !== prevProps.idw ||
+      props.rgbFor !== prevProps.rgbFor ||
+      props.opacity !== prevProps.opacity
+    ) {
+      layer.update({ points: props.points, idw: props.idw, rgbFor: props.rgbFor, opacity: props.opacity });
+    }
+  }
+);
+
+export default ScalarFieldLayer;
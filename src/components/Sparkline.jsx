@@ -0,0 +1,51 @@
+import React from 'react';
+
+// A small line of `values` (nulls are gaps) without axes. The value at
+// `activeIndex` gets a dot.
+const Sparkline = ({ values, activeIndex = null, width = 320, height = 48, color = '#2563eb', label }) => {
+  const finite = values.filter(Number.isFinite);
+  if (finite.length < 2) {
+    return <p className="text-xs text-gray-500">Not enough cycles to draw a trend.</p>;
+  }
+
+  const padding = 3;
+  const min = Math.min(...finite);
+  const max = Math.max(...finite);
+  const x = (index) => padding + (index / Math.max(values.length - 1, 1)) * (width - 2 * padding);
+  const y = (value) => (max === min
+    ? height / 2
+    : padding + (1 - (value - min) / (max - min)) * (height - 2 * padding));
+
+  // One polyline per run of values without gaps
+  const segments = [];
+  values.forEach((value, index) => {
+    if (!Number.isFinite(value)) {
+      segments.push([]);
+      return;
+    }
+    if (!segments.length) segments.push([]);
+    segments.at(-1).push(`${x(index).toFixed(1)},${y(value).toFixed(1)}`);
+  });
+
+  const active = Number.isFinite(values[activeIndex]) ? values[activeIndex] : null;
+
+  return (
+    <svg
+      width={width}
+      height={height}
+      viewBox={`0 0 ${width} ${height}`}
+      role="img"
+      aria-label={label}
+      style={{ display: 'block' }}
+    >
+      {segments.filter(points => points.length).map((points, index) => (
+        <polyline key={index} points={points.join(' ')} fill="none" stroke={color} strokeWidth="1.5" />
+      ))}
+      {active !== null && (
+        <circle cx={x(activeIndex)} cy={y(active)} r="3" fill={color} />
+      )}
+    </svg>
+  );
+};
+
+export default Sparkline;
@@ -0,0 +1,123 @@
+import React, { useEffect } from 'react';
+import { FiPlay, FiPause, FiX } from 'react-icons/fi';
+import { DAY_MS, TIMELINE_WINDOWS, TIMELINE_SPEEDS, toDay, formatDay } from '../hooks/useTimeline';
+
+// Time between frames at 1x speed
+const FRAME_INTERVAL_MS = 1500;
+
+// Timeline bar at the bottom of the map. The highlighted band is the window
+// of dates shown on the map; drag it to move through time. Playback waits for
+// a frame's floats to load before moving on.
+const TimelineControl = ({ timeline, isLoading, onClose, style }) => {
+  const { domain, window: timeWindow, lastStart, isPlaying, speed, advance } = timeline;
+
+  useEffect(() => {
+    if (!isPlaying || isLoading) return undefined;
+    const timer = setTimeout(advance, FRAME_INTERVAL_MS / speed);
+    return () => clearTimeout(timer);
+  }, [isPlaying, isLoading, speed, advance]);
+
+  if (!domain || !timeWindow) return null;
+
+  const span = domain.end + DAY_MS - domain.start;
+  const bandLeft = ((timeWindow.start - domain.start) / span) * 100;
+  const bandWidth = Math.min(((timeWindow.end + DAY_MS - timeWindow.start) / span) * 100, 100 - bandLeft);
+
+  const handleDomainChange = (edge, value) => {
+    const day = toDay(value);
+    if (day !== null) timeline.setDomain({ ...domain, [edge]: day });
+  };
+
+  return (
+    <div
+      className="absolute bottom-6 left-1/2 -translate-x-1/2 z-[1000] bg-white rounded-lg shadow-xl px-4 py-3 w-[min(720px,calc(100%-2rem))]"
+      style={style}
+    >
+      <div className="flex items-center gap-3">
+        <button
+          type="button"
+          onClick={timeline.toggle}
+          className="p-2 rounded-full bg-blue-600 text-white hover:bg-blue-700"
+          aria-label={isPlaying ? 'Pause timeline' : 'Play timeline'}
+        >
+          {isPlaying ? <FiPause /> : <FiPlay />}
+        </button>
+
+        <select
+          value={timeline.windowSize}
+          onChange={(e) => timeline.setWindowSize(e.target.value)}
+          className="border border-gray-300 rounded px-1 py-0.5 text-sm"
+          aria-label="Window length"
+        >
+          {Object.entries(TIMELINE_WINDOWS).map(([size, { label }]) => (
+            <option key={size} value={size}>{label}</option>
+          ))}
+        </select>
+
+        <select
+          value={speed}
+          onChange={(e) => timeline.setSpeed(Number(e.target.value))}
+          className="border border-gray-300 rounded px-1 py-0.5 text-sm"
+          aria-label="Playback speed"
+        >
+          {TIMELINE_SPEEDS.map(value => (
+            <option key={value} value={value}>{value}×</option>
+          ))}
+        </select>
+
+        <span className="flex-1 text-center text-sm font-medium text-gray-800">
+          {timeWindow.startDate} – {timeWindow.endDate}
+          {isLoading && <span className="ml-2 text-xs text-gray-500">loading…</span>}
+        </span>
+
+        <button
+          type="button"
+          onClick={onClose}
+          className="text-gray-400 hover:text-gray-700"
+          aria-label="Close timeline"
+        >
+          <FiX />
+        </button>
+      </div>
+
+      <div className="flex items-center gap-2 mt-2">
+        <input
+          type="date"
+          value={formatDay(domain.start)}
+          max={formatDay(domain.end)}
+          onChange={(e) => handleDomainChange('start', e.target.value)}
+          className="border border-gray-300 rounded px-1 text-xs"
+          aria-label="Timeline start"
+        />
+        <div className="relative flex-1 h-3 rounded-full bg-gray-200" style={{ position: 'relative', height: 12 }}>
+          <div
+            className="absolute top-0 h-full rounded-full bg-blue-500"
+            style={{ position: 'absolute', top: 0, height: '100%', left: `${bandLeft}%`, width: `${Math.max(bandWidth, 1)}%` }}
+          />
+          <input
+            type="range"
+            min={domain.start}
+            max={lastStart}
+            step={DAY_MS}
+            value={timeWindow.start}
+            onChange={(e) => timeline.moveTo(Number(e.target.value))}
+            disabled={lastStart <= domain.start}
+            className="absolute inset-0 w-full cursor-pointer"
+            style={{ position: 'absolute', inset: 0, width: '100%', margin: 0, opacity: 0 }}
+            aria-label="Time window"
+          />
+        </div>
+        <input
+          type="date"
+          value={formatDay(domain.end)}
+          min={formatDay(domain.start)}
+          onChange={(e) => handleDomainChange('end', e.target.value)}
+          className="border border-gray-300 rounded px-1 text-xs"
+          aria-label="Timeline end"
+        />
+      </div>
+    </div>
+  );
+};
+
+export default TimelineControl;
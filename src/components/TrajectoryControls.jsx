@@ -0,0 +1,119 @@
+import React from 'react';
+import { FiPlay, FiPause, FiX } from 'react-icons/fi';
+import { describeApiError } from '../api';
+import { COLOR_RAMP } from '../utils/floatData';
+
+const formatDate = (time) => new Date(time).toISOString().slice(0, 10);
+
+// Trajectory mode switch, the legend of shown tracks and playback controls
+const TrajectoryControls = ({
+  isTrajectoryMode,
+  onTrajectoryModeChange,
+  tracks,
+  onRemoveTrack,
+  onRetryTrack,
+  onClearTracks,
+  timeRange,
+  playback
+}) => (
+  <div className="pt-3 border-t border-gray-200 space-y-2">
+    <label className="flex items-center justify-between text-sm text-gray-700">
+      <span>Trajectory mode</span>
+      <input
+        type="checkbox"
+        checked={isTrajectoryMode}
+        onChange={(e) => onTrajectoryModeChange(e.target.checked)}
+      />
+    </label>
+    {isTrajectoryMode && (
+      <p className="text-xs text-gray-500">Click floats on the map to show or hide their tracks.</p>
+    )}
+
+    {tracks.length > 0 && (
+      <>
+        <ul className="space-y-1">
+          {tracks.map(track => (
+            <li key={track.floatId} className="flex items-center gap-2 text-sm">
+              <span className="inline-block w-4 h-1 rounded" style={{ backgroundColor: track.color }} />
+              <span className="flex-1 truncate">{track.float.name || `Float ${track.floatId}`}</span>
+              {track.isLoading && <span className="text-xs text-gray-500">Loading…</span>}
+              {track.error && (
+                <button
+                  type="button"
+                  onClick={() => onRetryTrack(track.floatId)}
+                  className="text-xs text-red-600 hover:underline"
+                  title={describeApiError(track.error)}
+                >
+                  Failed - retry
+                </button>
+              )}
+              {!track.isLoading && !track.error && (
+                <span className="text-xs text-gray-500">
+                  {track.positions.length ? `${track.positions.length} cycles` : 'No positions'}
+                </span>
+              )}
+              <button
+                type="button"
+                onClick={() => onRemoveTrack(track.floatId)}
+                className="text-gray-400 hover:text-gray-700"
+                aria-label={`Hide track of ${track.float.name || track.floatId}`}
+              >
+                <FiX />
+              </button>
+            </li>
+          ))}
+        </ul>
+
+        {timeRange && (
+          <>
+            <div>
+              <div
+                className="h-3 rounded-full"
+                style={{ background: `linear-gradient(to right, ${COLOR_RAMP.join(', ')})` }}
+              />
+              <div className="flex justify-between text-xs text-gray-500 mt-1">
+                <span>{formatDate(timeRange.start)}</span>
+                <span>cycle date</span>
+                <span>{formatDate(timeRange.end)}</span>
+              </div>
+            </div>
+
+            <div className="flex items-center gap-2">
+              <button
+                type="button"
+                onClick={playback.toggle}
+                className="p-1.5 rounded bg-blue-600 text-white hover:bg-blue-700"
+                aria-label={playback.isPlaying ? 'Pause playback' : 'Play trajectories'}
+              >
+                {playback.isPlaying ? <FiPause /> : <FiPlay />}
+              </button>
+              <input
+                type="range"
+                min={timeRange.start}
+                max={timeRange.end}
+                step={Math.max(Math.round((timeRange.end - timeRange.start) / 200), 1)}
+                value={playback.time ?? timeRange.start}
+                onChange={(e) => playback.seek(Number(e.target.value))}
+                className="flex-1"
+                aria-label="Playback position"
+              />
+            </div>
+            {playback.time !== null && (
+              <div className="text-xs text-gray-600 text-center">{formatDate(playback.time)}</div>
+            )}
+          </>
+        )}
+
+        <button
+          type="button"
+          onClick={onClearTracks}
+          className="text-xs text-blue-600 hover:underline"
+        >
+          Clear all tracks
+        </button>
+      </>
+    )}
+  </div>
+);
+
+export default TrajectoryControls;
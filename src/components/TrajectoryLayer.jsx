@@ -0,0 +1,63 @@
+import React from 'react';
+import { Polyline, CircleMarker, Tooltip } from 'react-leaflet';
+import { positionAt, positionTime, nearestPosition } from '../utils/trajectory';
+
+const cycleLabel = (position) => [
+  position.cycle !== null ? `Cycle ${position.cycle}` : null,
+  position.date
+].filter(Boolean).join(' · ');
+
+// Float tracks: a line per float in its track color, the surfacing positions
+// colored by date, and - during playback - the float's interpolated position.
+// Clicking the track or a position reports the cycle through onCycleClick.
+const TrajectoryLayer = ({ tracks, colorForTime, playbackTime, onCycleClick }) => (
+  <>
+    {tracks.filter(track => track.positions.length > 0).map(track => {
+      const { positions, float, color } = track;
+      const current = playbackTime === null ? null : positionAt(positions, playbackTime);
+
+      return (
+        <React.Fragment key={track.floatId}>
+          <Polyline
+            positions={positions.map(position => [position.lat, position.lng])}
+            pathOptions={{ color, weight: 3, opacity: 0.8 }}
+            eventHandlers={{
+              click: (e) => {
+                const position = nearestPosition(positions, e.latlng);
+                if (position) onCycleClick(float, position.cycle);
+              }
+            }}
+          />
+          {positions.map((position, index) => (
+            <CircleMarker
+              key={`${position.cycle}-${index}`}
+              center={[position.lat, position.lng]}
+              radius={5}
+              pathOptions={{
+                color,
+                weight: 2,
+                fillColor: colorForTime?.(positionTime(position)) || color,
+                fillOpacity: 1
+              }}
+              eventHandlers={{ click: () => onCycleClick(float, position.cycle) }}
+            >
+              <Tooltip direction="top">
+                {float.name || `Float ${float.id}`} · {cycleLabel(position)}
+              </Tooltip>
+            </CircleMarker>
+          ))}
+          {current && (
+            <CircleMarker
+              center={[current.lat, current.lng]}
+              radius={9}
+              pathOptions={{ color: '#ffffff', weight: 3, fillColor: color, fillOpacity: 1 }}
+              eventHandlers={{ click: () => onCycleClick(float, current.cycle) }}
+            />
+          )}
+        </React.Fragment>
+      );
+    })}
+  </>
+);
+
+export default TrajectoryLayer;
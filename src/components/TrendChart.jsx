@@ -0,0 +1,183 @@
+import React, { useMemo, useState } from 'react';
+import {
+  LineChart,
+  Line,
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer
+} from 'recharts';
+import { FiTrendingUp, FiBarChart2, FiTable } from 'react-icons/fi';
+import { normalizeTrendData, getSourceCaption, formatValue } from '../utils/trendData';
+
+// Renders any `trend_data` series from an assistant answer as a line or bar
+// chart, with a toggle to the raw values. Series with different units are
+// drawn against separate left/right axes. The print variant shows the chart
+// and its values together, without controls or animation.
+const TrendChart = ({ trendData, metadata, title = 'Ocean Data Insights', variant }) => {
+  const isPrint = variant === 'print';
+  const [chartType, setChartType] = useState('line');
+  const [showTable, setShowTable] = useState(false);
+
+  const trend = useMemo(() => normalizeTrendData(trendData), [trendData]);
+  const caption = getSourceCaption(trendData, metadata);
+
+  // Up to two units get their own axis; anything else shares the left one
+  const axisUnits = useMemo(() => {
+    if (!trend) return [];
+    return [...new Set(trend.series.map(series => series.unit))].slice(0, 2);
+  }, [trend]);
+
+  if (!trend) return null;
+
+  const axisIdFor = (unit) => (axisUnits.indexOf(unit) === 1 ? 'right' : 'left');
+  const unitByKey = Object.fromEntries(trend.series.map(series => [series.key, series.unit]));
+
+  const Chart = chartType === 'bar' ? BarChart : LineChart;
+
+  const table = (
+    <div className="message-table-wrapper">
+      <table className="message-table">
+        <thead>
+          <tr>
+            <th>{trend.xLabel}</th>
+            {trend.series.map(series => (
+              <th key={series.key} style={{ textAlign: 'right' }}>
+                {series.label}{series.unit ? ` (${series.unit})` : ''}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {trend.rows.map((row, index) => (
+            <tr key={index}>
+              <td>{row[trend.xKey]}</td>
+              {trend.series.map(series => (
+                <td key={series.key} style={{ textAlign: 'right' }}>
+                  {formatValue(row[series.key])}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+
+  const chart = (
+    <div className="trend-chart-canvas">
+      <ResponsiveContainer width="100%" height={260}>
+        <Chart data={trend.rows} margin={{ top: 10, right: 10, left: 0, bottom: 5 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="var(--border)" />
+          <XAxis dataKey={trend.xKey} tick={{ fontSize: 12 }} />
+          {axisUnits.map((unit, index) => (
+            <YAxis
+              key={unit || 'none'}
+              yAxisId={index === 1 ? 'right' : 'left'}
+              orientation={index === 1 ? 'right' : 'left'}
+              domain={['auto', 'auto']}
+              tick={{ fontSize: 12 }}
+              width={56}
+              label={unit ? {
+                value: unit,
+                angle: -90,
+                position: index === 1 ? 'insideRight' : 'insideLeft',
+                style: { fontSize: 12 }
+              } : undefined}
+            />
+          ))}
+          <Tooltip
+            formatter={(value, name, item) => [formatValue(value, unitByKey[item.dataKey]), name]}
+            labelFormatter={(label) => `${trend.xLabel}: ${label}`}
+            contentStyle={{
+              backgroundColor: 'rgba(255, 255, 255, 0.95)',
+              border: '1px solid #e2e8f0',
+              borderRadius: '0.375rem',
+              fontSize: '0.875rem',
+              color: '#0f172a'
+            }}
+          />
+          {trend.series.length > 1 && <Legend wrapperStyle={{ fontSize: 12 }} />}
+          {trend.series.map(series => (
+            chartType === 'bar' ? (
+              <Bar
+                key={series.key}
+                dataKey={series.key}
+                name={series.label}
+                yAxisId={axisIdFor(series.unit)}
+                fill={series.color}
+                isAnimationActive={!isPrint}
+              />
+            ) : (
+              <Line
+                key={series.key}
+                type="monotone"
+                dataKey={series.key}
+                name={series.label}
+                yAxisId={axisIdFor(series.unit)}
+                stroke={series.color}
+                strokeWidth={2}
+                dot={{ r: 3 }}
+                activeDot={{ r: 6 }}
+                connectNulls
+                isAnimationActive={!isPrint}
+              />
+            )
+          ))}
+        </Chart>
+      </ResponsiveContainer>
+    </div>
+  );
+
+  return (
+    <div className="data-visualization trend-chart">
+      <div className="trend-chart-header">
+        <h4>
+          <span aria-hidden="true">📊</span>
+          {trendData.title || title}
+        </h4>
+        {!isPrint && (
+          <div className="trend-chart-controls" role="group" aria-label="Chart display">
+            <button
+              type="button"
+              className={chartType === 'line' && !showTable ? 'active' : ''}
+              onClick={() => { setChartType('line'); setShowTable(false); }}
+              title="Line chart"
+            >
+              <FiTrendingUp />
+            </button>
+            <button
+              type="button"
+              className={chartType === 'bar' && !showTable ? 'active' : ''}
+              onClick={() => { setChartType('bar'); setShowTable(false); }}
+              title="Bar chart"
+            >
+              <FiBarChart2 />
+            </button>
+            <button
+              type="button"
+              className={showTable ? 'active' : ''}
+              onClick={() => setShowTable(!showTable)}
+              title="Raw data table"
+            >
+              <FiTable />
+            </button>
+          </div>
+        )}
+      </div>
+
+      {(isPrint || !showTable) && chart}
+      {(isPrint || showTable) && table}
+
+      {caption && (
+        <div className="trend-chart-caption">Data source: {caption}</div>
+      )}
+    </div>
+  );
+};
+
+export default TrendChart;
@@ -0,0 +1,37 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { FiAnchor } from 'react-icons/fi';
+import JsonResult from './JsonResult';
+
+// List of Argo floats (WMO ids) that links each float to the map
+const FloatListResult = ({ payload, variant }) => {
+  const items = payload.floats || payload.float_ids || payload.ids || [];
+  if (!Array.isArray(items)) return <JsonResult payload={payload} variant={variant} />;
+
+  const floats = items
+    .map(item => (typeof item === 'object' && item !== null ? item : { id: item }))
+    .filter(item => item.id !== undefined && item.id !== null);
+
+  if (!floats.length) return null;
+
+  return (
+    <div className="data-visualization result-float-list">
+      <h4 className="result-title">
+        {payload.title || `${floats.length} Argo float${floats.length === 1 ? '' : 's'}`}
+      </h4>
+      <ul>
+        {floats.map(float => (
+          <li key={float.id}>
+            <Link to={`/argo-floats?float=${encodeURIComponent(float.id)}`} className="result-float-chip">
+              <FiAnchor aria-hidden="true" />
+              <span>{float.name || float.id}</span>
+              {float.lastSeen && <span className="result-float-meta">{float.lastSeen}</span>}
+            </Link>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default FloatListResult;
@@ -0,0 +1,20 @@
+import React from 'react';
+import { FiCode } from 'react-icons/fi';
+
+// Fallback for payloads without a registered renderer: a collapsible JSON view
+const JsonResult = ({ payload, variant }) => {
+  const label = payload?.type ? `${payload.type} data` : 'Raw data';
+
+  return (
+    <details className="data-visualization result-json" open={variant === 'print'}>
+      <summary>
+        <FiCode aria-hidden="true" /> {label}
+      </summary>
+      <pre className="code-block">
+        <code>{JSON.stringify(payload, null, 2)}</code>
+      </pre>
+    </details>
+  );
+};
+
+export default JsonResult;
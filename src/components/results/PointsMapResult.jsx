@@ -0,0 +1,79 @@
+import React, { useMemo } from 'react';
+import { MapContainer, TileLayer, CircleMarker, Tooltip } from 'react-leaflet';
+import L from 'leaflet';
+import JsonResult from './JsonResult';
+
+// Accept points as { lat, lon | lng | longitude } objects or [lat, lon] pairs.
+// Null when the payload holds no list of points.
+const toPoints = (payload) => {
+  const rawPoints = payload.points || payload.locations || payload.coordinates || [];
+  if (!Array.isArray(rawPoints)) return null;
+
+  return rawPoints
+    .filter(point => point && typeof point === 'object')
+    .map(point => {
+      if (Array.isArray(point)) return { lat: point[0], lng: point[1] };
+      return {
+        ...point,
+        lat: point.lat ?? point.latitude,
+        lng: point.lng ?? point.lon ?? point.longitude
+      };
+    })
+    .map(point => ({ ...point, lat: parseFloat(point.lat), lng: parseFloat(point.lng) }))
+    .filter(point => (
+      Number.isFinite(point.lat) && Number.isFinite(point.lng) &&
+      Math.abs(point.lat) <= 90 && Math.abs(point.lng) <= 180
+    ));
+};
+
+// Inline mini map for answers that return a set of lat/lon points
+const PointsMapResult = ({ payload, variant }) => {
+  const points = useMemo(() => toPoints(payload), [payload]);
+  const bounds = useMemo(() => {
+    if (!points?.length) return null;
+    return L.latLngBounds(points.map(point => [point.lat, point.lng])).pad(0.2);
+  }, [points]);
+
+  if (!points) return <JsonResult payload={payload} variant={variant} />;
+  if (!points.length) return null;
+
+  return (
+    <div className="data-visualization result-points">
+      {payload.title && <h4 className="result-title">{payload.title}</h4>}
+      <div className="result-mini-map">
+        <MapContainer
+          bounds={bounds}
+          maxZoom={8}
+          scrollWheelZoom={false}
+          style={{ height: '100%', width: '100%' }}
+        >
+          <TileLayer
+            url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+            attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+          />
+          {points.map((point, index) => (
+            <CircleMarker
+              key={`${point.lat},${point.lng},${index}`}
+              center={[point.lat, point.lng]}
+              radius={5}
+              pathOptions={{ color: '#1d4ed8', fillColor: '#3b82f6', fillOpacity: 0.8, weight: 1 }}
+            >
+              {(point.label || point.name || point.id || point.value !== undefined) && (
+                <Tooltip>
+                  <div>
+                    {(point.label || point.name || point.id) && <strong>{point.label || point.name || point.id}</strong>}
+                    {point.value !== undefined && <div>{point.value}{point.unit ? ` ${point.unit}` : ''}</div>}
+                    <div>{point.lat.toFixed(2)}°, {point.lng.toFixed(2)}°</div>
+                  </div>
+                </Tooltip>
+              )}
+            </CircleMarker>
+          ))}
+        </MapContainer>
+      </div>
+      <div className="trend-chart-caption">{points.length} location{points.length === 1 ? '' : 's'}</div>
+    </div>
+  );
+};
+
+export default PointsMapResult;
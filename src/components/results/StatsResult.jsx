@@ -0,0 +1,39 @@
+import React from 'react';
+import { formatValue } from '../../utils/trendData';
+import { normalizeStats } from '../../utils/statsData';
+import JsonResult from './JsonResult';
+
+// Key statistics shown as a grid of cards
+const StatsResult = ({ payload, variant }) => {
+  const stats = normalizeStats(payload);
+  if (!stats) return <JsonResult payload={payload} variant={variant} />;
+
+  return (
+    <div className="data-visualization result-stats">
+      {payload.title && <h4 className="result-title">{payload.title}</h4>}
+      <div className="result-stats-grid">
+        {stats.map((stat, index) => {
+          const number = typeof stat.value === 'number' ? stat.value : parseFloat(stat.value);
+          const value = Number.isFinite(number) && String(stat.value).trim() === String(number)
+            ? formatValue(number, stat.unit)
+            : `${stat.value ?? '–'}${stat.unit ? ` ${stat.unit}` : ''}`;
+
+          return (
+            <div key={`${stat.label}-${index}`} className="result-stat-card">
+              <span className="result-stat-label">{stat.label}</span>
+              <span className="result-stat-value">{value}</span>
+              {stat.change !== undefined && (
+                <span className={`result-stat-change ${Number(stat.change) < 0 ? 'down' : 'up'}`}>
+                  {Number(stat.change) > 0 ? '+' : ''}{stat.change}{stat.changeUnit ? ` ${stat.changeUnit}` : ''}
+                </span>
+              )}
+              {stat.description && <span className="result-stat-description">{stat.description}</span>}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default StatsResult;
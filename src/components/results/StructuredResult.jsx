@@ -0,0 +1,48 @@
+import React from 'react';
+import { getResultRenderer } from './registry';
+import JsonResult from './JsonResult';
+import TrendResult from './TrendResult';
+
+// Payload types that carry no data worth showing
+const SILENT_TYPES = ['greeting', 'text', 'chat'];
+
+// A message's `data` may be one payload, a list of payloads, or an object
+// with a `results` list
+const toPayloads = (data) => {
+  if (Array.isArray(data)) return data;
+  if (Array.isArray(data?.results)) return data.results;
+  return [data];
+};
+
+const isEmptyPayload = (payload) => (
+  payload === null ||
+  payload === undefined ||
+  (typeof payload === 'object' && Object.keys(payload).filter(key => key !== 'type').length === 0)
+);
+
+// Renders the structured data attached to a bot message using the renderer
+// registered for its type. Unknown types fall back to a collapsible JSON view
+// instead of being dropped. `variant="print"` asks renderers for a static
+// layout with every value visible.
+const StructuredResult = ({ data, variant }) => {
+  if (!data) return null;
+
+  const payloads = toPayloads(data).filter(payload => (
+    !isEmptyPayload(payload) && !SILENT_TYPES.includes(payload?.type)
+  ));
+
+  if (!payloads.length) return null;
+
+  return (
+    <div className="structured-results">
+      {payloads.map((payload, index) => {
+        // Older answers attach `trend_data` without a dedicated type
+        const Renderer = getResultRenderer(payload?.type) ||
+          (payload?.trend_data ? TrendResult : JsonResult);
+        return <Renderer key={index} payload={payload} variant={variant} />;
+      })}
+    </div>
+  );
+};
+
+export default StructuredResult;
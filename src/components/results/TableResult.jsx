@@ -0,0 +1,116 @@
+import React, { useMemo, useState } from 'react';
+import { FiChevronUp, FiChevronDown, FiChevronLeft, FiChevronRight } from 'react-icons/fi';
+import { normalizeTable } from '../../utils/tableData';
+import JsonResult from './JsonResult';
+
+const DEFAULT_PAGE_SIZE = 10;
+
+const compareValues = (a, b) => {
+  if (a === b) return 0;
+  if (a === null || a === undefined || a === '') return 1;
+  if (b === null || b === undefined || b === '') return -1;
+  const numberA = Number(a);
+  const numberB = Number(b);
+  if (Number.isFinite(numberA) && Number.isFinite(numberB)) return numberA - numberB;
+  return String(a).localeCompare(String(b), undefined, { numeric: true });
+};
+
+const formatCell = (value) => {
+  if (value === null || value === undefined) return '–';
+  if (typeof value === 'number' && !Number.isInteger(value)) return value.toFixed(2);
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// Sortable, paginated table for tabular answers. Printing shows every row.
+// Payloads that are not shaped like a table are shown as raw JSON.
+const TableResult = ({ payload, variant }) => {
+  const table = useMemo(() => normalizeTable(payload), [payload]);
+  const { columns, rows } = table ?? { columns: [], rows: [] };
+  const pageSize = variant === 'print'
+    ? Math.max(rows.length, 1)
+    : payload.pageSize || payload.page_size || DEFAULT_PAGE_SIZE;
+  const [sort, setSort] = useState({ key: null, direction: 'asc' });
+  const [page, setPage] = useState(0);
+
+  const sortedRows = useMemo(() => {
+    if (!sort.key) return rows;
+    const sorted = [...rows].sort((a, b) => compareValues(a[sort.key], b[sort.key]));
+    return sort.direction === 'desc' ? sorted.reverse() : sorted;
+  }, [rows, sort]);
+
+  if (!table) return <JsonResult payload={payload} variant={variant} />;
+  if (!columns.length) return null;
+
+  const pageCount = Math.max(1, Math.ceil(sortedRows.length / pageSize));
+  const currentPage = Math.min(page, pageCount - 1);
+  const visibleRows = sortedRows.slice(currentPage * pageSize, (currentPage + 1) * pageSize);
+
+  const toggleSort = (key) => {
+    setSort(prev => ({
+      key,
+      direction: prev.key === key && prev.direction === 'asc' ? 'desc' : 'asc'
+    }));
+    setPage(0);
+  };
+
+  return (
+    <div className="data-visualization result-table">
+      {payload.title && <h4 className="result-title">{payload.title}</h4>}
+      <div className="message-table-wrapper">
+        <table className="message-table">
+          <thead>
+            <tr>
+              {columns.map(column => (
+                <th
+                  key={column.key}
+                  aria-sort={sort.key === column.key ? (sort.direction === 'asc' ? 'ascending' : 'descending') : 'none'}
+                >
+                  <button type="button" className="result-sort-button" onClick={() => toggleSort(column.key)}>
+                    {column.label}{column.unit ? ` (${column.unit})` : ''}
+                    {sort.key === column.key && (sort.direction === 'asc' ? <FiChevronUp /> : <FiChevronDown />)}
+                  </button>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {visibleRows.map((row, rowIndex) => (
+              <tr key={rowIndex}>
+                {columns.map(column => (
+                  <td key={column.key}>{formatCell(row[column.key])}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {pageCount > 1 && (
+        <div className="result-pagination">
+          <button
+            type="button"
+            onClick={() => setPage(currentPage - 1)}
+            disabled={currentPage === 0}
+            aria-label="Previous page"
+          >
+            <FiChevronLeft />
+          </button>
+          <span>
+            Page {currentPage + 1} of {pageCount} · {sortedRows.length} rows
+          </span>
+          <button
+            type="button"
+            onClick={() => setPage(currentPage + 1)}
+            disabled={currentPage >= pageCount - 1}
+            aria-label="Next page"
+          >
+            <FiChevronRight />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TableResult;
@@ -0,0 +1,24 @@
+import React, { useMemo } from 'react';
+import TrendChart from '../TrendChart';
+import JsonResult from './JsonResult';
+import { normalizeTrendData } from '../../utils/trendData';
+
+// Adapter so trend payloads go through the registry like every other type.
+// Payloads without a usable series are shown as raw JSON.
+const TrendResult = ({ payload, variant }) => {
+  const trendData = payload.trend_data || payload.series_data || payload;
+  const hasSeries = useMemo(() => normalizeTrendData(trendData) !== null, [trendData]);
+
+  if (!hasSeries) return <JsonResult payload={payload} variant={variant} />;
+
+  return (
+    <TrendChart
+      trendData={trendData}
+      metadata={payload}
+      title={payload.title}
+      variant={variant}
+    />
+  );
+};
+
+export default TrendResult;
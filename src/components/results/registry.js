@@ -0,0 +1,25 @@
+// Registry of renderers for the structured `data` payloads attached to
+// assistant answers. Each payload names its renderer with a `type`; a renderer
+// is a component that receives `{ payload }`.
+import TableResult from './TableResult';
+import StatsResult from './StatsResult';
+import FloatListResult from './FloatListResult';
+import PointsMapResult from './PointsMapResult';
+import TrendResult from './TrendResult';
+
+const renderers = new Map();
+
+// Register a renderer for one or more payload types (case-insensitive)
+export const registerResultRenderer = (types, Component) => {
+  [].concat(types).forEach(type => renderers.set(String(type).toLowerCase(), Component));
+};
+
+export const getResultRenderer = (type) => (
+  type ? renderers.get(String(type).toLowerCase()) || null : null
+);
+
+registerResultRenderer(['table', 'tabular'], TableResult);
+registerResultRenderer(['stats', 'statistics', 'key_stats', 'summary_stats'], StatsResult);
+registerResultRenderer(['float_list', 'floats', 'float_ids'], FloatListResult);
+registerResultRenderer(['points', 'geo_points', 'locations', 'map'], PointsMapResult);
+registerResultRenderer(['trend', 'trend_data', 'time_series'], TrendResult);
@@ -0,0 +1,136 @@
+// Basemaps and time-enabled overlays offered by the map's layer control.
+//
+// A self-hosted tile server (for labs without internet access) is added with
+// VITE_MAP_TILE_URL, an XYZ template such as
+// http://tiles.lab.local/ocean/{z}/{x}/{y}.png, and becomes the default
+// basemap. VITE_MAP_LOCAL_ONLY=true hides every source on the internet; set
+// without a tile server it leaves only a blank basemap and logs an error.
+// Daily satellite overlays come from NASA GIBS (or the WMTS mirror in
+// VITE_GIBS_WMTS_URL) for the date of the current filter.
+
+const env = import.meta.env;
+
+const LOCAL_ONLY = env.VITE_MAP_LOCAL_ONLY === 'true';
+
+const ESRI_OCEAN_ATTRIBUTION = 'Tiles &copy; Esri &mdash; Sources: GEBCO, NOAA, CHS, OSU, UNH, CSUMB, National Geographic, DeLorme, NAVTEQ, and Esri';
+const CARTO_ATTRIBUTION = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors &copy; <a href="https://carto.com/attributions">CARTO</a>';
+
+const LOCAL_BASEMAP = env.VITE_MAP_TILE_URL ? {
+  id: 'local',
+  name: env.VITE_MAP_TILE_NAME || 'Local tiles',
+  url: env.VITE_MAP_TILE_URL,
+  attribution: env.VITE_MAP_TILE_ATTRIBUTION || '',
+  maxNativeZoom: Number(env.VITE_MAP_TILE_MAX_ZOOM) || 18
+} : null;
+
+const REMOTE_BASEMAPS = [
+  {
+    id: 'ocean',
+    name: 'Ocean (bathymetry)',
+    url: 'https://server.arcgisonline.com/ArcGIS/rest/services/Ocean/World_Ocean_Base/MapServer/tile/{z}/{y}/{x}',
+    attribution: ESRI_OCEAN_ATTRIBUTION,
+    maxNativeZoom: 13
+  },
+  {
+    id: 'light',
+    name: 'Light',
+    url: 'https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png',
+    attribution: CARTO_ATTRIBUTION,
+    subdomains: 'abcd',
+    maxNativeZoom: 20
+  },
+  {
+    id: 'dark',
+    name: 'Dark',
+    url: 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png',
+    attribution: CARTO_ATTRIBUTION,
+    subdomains: 'abcd',
+    maxNativeZoom: 20
+  },
+  {
+    id: 'satellite',
+    name: 'Satellite',
+    url: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
+    attribution: 'Tiles &copy; Esri &mdash; Source: Esri, Maxar, Earthstar Geographics, and the GIS User Community',
+    maxNativeZoom: 18
+  },
+  {
+    id: 'osm',
+    name: 'OpenStreetMap',
+    url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+    attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+    maxNativeZoom: 19
+  }
+];
+
+// Shown alone when no tile source is configured, so the layer control is
+// never empty
+const BLANK_BASEMAP = { id: 'blank', name: 'No basemap', url: null };
+
+const configuredBasemaps = [
+  ...(LOCAL_BASEMAP ? [LOCAL_BASEMAP] : []),
+  ...(LOCAL_ONLY ? [] : REMOTE_BASEMAPS)
+];
+
+if (!configuredBasemaps.length) {
+  console.error('VITE_MAP_LOCAL_ONLY=true hides every online basemap, but no VITE_MAP_TILE_URL is set: the Argo map has no basemap.');
+}
+
+export const BASEMAPS = configuredBasemaps.length ? configuredBasemaps : [BLANK_BASEMAP];
+
+// The local tile server when there is one, otherwise the basemap matching
+// the app theme (or the only one left)
+export const defaultBasemapId = (darkMode) => {
+  if (LOCAL_BASEMAP) return LOCAL_BASEMAP.id;
+  const themeId = darkMode ? 'dark' : 'ocean';
+  return BASEMAPS.some(basemap => basemap.id === themeId) ? themeId : BASEMAPS[0].id;
+};
+
+const GIBS_WMTS_URL = (env.VITE_GIBS_WMTS_URL || 'https://gibs.earthdata.nasa.gov/wmts/epsg3857/best').replace(/\/+$/, '');
+const GIBS_ATTRIBUTION = 'Imagery &copy; <a href="https://earthdata.nasa.gov">NASA EOSDIS GIBS</a>';
+
+// Daily GIBS layers; `tileMatrixSet` fixes their deepest zoom level
+const GIBS_OVERLAYS = [
+  {
+    id: 'sst',
+    name: 'Sea surface temperature',
+    layer: 'GHRSST_L4_MUR_Sea_Surface_Temperature',
+    tileMatrixSet: 'GoogleMapsCompatible_Level7',
+    format: 'png',
+    maxNativeZoom: 7,
+    opacity: 0.7
+  },
+  {
+    id: 'chlorophyll',
+    name: 'Chlorophyll a',
+    layer: 'MODIS_Aqua_Chlorophyll_A',
+    tileMatrixSet: 'GoogleMapsCompatible_Level7',
+    format: 'png',
+    maxNativeZoom: 7,
+    opacity: 0.7
+  },
+  {
+    id: 'truecolor',
+    name: 'True color (MODIS Terra)',
+    layer: 'MODIS_Terra_CorrectedReflectance_TrueColor',
+    tileMatrixSet: 'GoogleMapsCompatible_Level9',
+    format: 'jpg',
+    maxNativeZoom: 9,
+    opacity: 0.8
+  }
+];
+
+export const TIME_OVERLAYS = LOCAL_ONLY && !env.VITE_GIBS_WMTS_URL ? [] : GIBS_OVERLAYS.map(overlay => ({
+  ...overlay,
+  attribution: GIBS_ATTRIBUTION,
+  urlFor: (date) => `${GIBS_WMTS_URL}/${overlay.layer}/default/${date}/${overlay.tileMatrixSet}/{z}/{y}/{x}.${overlay.format}`
+}));
+
+// Day shown by the time-enabled overlays: the end of the filtered date range
+// (or its start), but no later than yesterday - today's imagery is usually
+// incomplete
+export const timeOverlayDate = (filters = {}) => {
+  const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const date = filters.end_date || filters.start_date;
+  return date && date < yesterday ? date : yesterday;
+};
@@ -0,0 +1,21 @@
+// Named ocean regions for the map search, as approximate bounding boxes in
+// degrees. `aliases` are other names the region is searched by.
+
+export const OCEAN_REGIONS = [
+  { id: 'indian-ocean', name: 'Indian Ocean', south: -50, north: 30, west: 20, east: 120 },
+  { id: 'arabian-sea', name: 'Arabian Sea', south: 0, north: 25.5, west: 51, east: 77 },
+  { id: 'bay-of-bengal', name: 'Bay of Bengal', south: 5, north: 23, west: 79, east: 95 },
+  { id: 'andaman-sea', name: 'Andaman Sea', aliases: ['Burma Sea'], south: 5, north: 17, west: 92, east: 99 },
+  { id: 'laccadive-sea', name: 'Laccadive Sea', aliases: ['Lakshadweep Sea'], south: 6, north: 14, west: 72, east: 78 },
+  { id: 'somali-basin', name: 'Somali Basin', south: -5, north: 10, west: 42, east: 60 },
+  { id: 'gulf-of-aden', name: 'Gulf of Aden', south: 10.5, north: 15, west: 43, east: 51.5 },
+  { id: 'red-sea', name: 'Red Sea', south: 12.5, north: 30, west: 32, east: 43.5 },
+  { id: 'persian-gulf', name: 'Persian Gulf', aliases: ['Arabian Gulf'], south: 23.5, north: 30.5, west: 47.5, east: 57 },
+  { id: 'gulf-of-oman', name: 'Gulf of Oman', south: 22, north: 26.5, west: 56, east: 62 },
+  { id: 'equatorial-indian-ocean', name: 'Equatorial Indian Ocean', south: -5, north: 5, west: 40, east: 100 },
+  { id: 'central-indian-basin', name: 'Central Indian Basin', south: -20, north: 5, west: 70, east: 90 },
+  { id: 'wharton-basin', name: 'Wharton Basin', south: -30, north: -5, west: 90, east: 115 },
+  { id: 'mascarene-basin', name: 'Mascarene Basin', south: -25, north: -10, west: 50, east: 65 },
+  { id: 'mozambique-channel', name: 'Mozambique Channel', south: -26, north: -10, west: 34, east: 49 },
+  { id: 'timor-sea', name: 'Timor Sea', south: -15, north: -8, west: 122, east: 133 }
+];
@@ -0,0 +1,84 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { getFloatProfiles } from '../api';
+import { TRACK_COLORS, nextTrackColor } from '../utils/trajectory';
+
+// One color per compared float, so there is a limit
+export const MAX_COMPARED_FLOATS = TRACK_COLORS.length;
+
+// The floats being compared, each
+// { floatId, float, color, profile, isLoading, error } where `profile` is the
+// float's latest profile. Adding a float fetches its profiles; removing it
+// cancels that request.
+export const useFloatComparison = () => {
+  const [entries, setEntries] = useState([]);
+  const controllersRef = useRef(new Map());
+
+  const updateEntry = useCallback((floatId, changes) => {
+    setEntries(current => current.map(entry => (entry.floatId === floatId ? { ...entry, ...changes } : entry)));
+  }, []);
+
+  const loadEntry = useCallback(async (floatId) => {
+    controllersRef.current.get(floatId)?.abort();
+    const controller = new AbortController();
+    controllersRef.current.set(floatId, controller);
+    updateEntry(floatId, { isLoading: true, error: null });
+
+    try {
+      const profiles = await getFloatProfiles(floatId, { signal: controller.signal });
+      updateEntry(floatId, { profile: profiles.at(-1) ?? null, isLoading: false });
+    } catch (err) {
+      if (err.name === 'AbortError') return;
+      console.error(`Error loading the profiles of float ${floatId}:`, err);
+      updateEntry(floatId, { error: err, isLoading: false });
+    } finally {
+      if (controllersRef.current.get(floatId) === controller) controllersRef.current.delete(floatId);
+    }
+  }, [updateEntry]);
+
+  const removeFloat = useCallback((floatId) => {
+    controllersRef.current.get(floatId)?.abort();
+    controllersRef.current.delete(floatId);
+    setEntries(current => current.filter(entry => entry.floatId !== floatId));
+  }, []);
+
+  // Floats already compared are skipped, and nothing beyond the limit is added
+  const addFloats = useCallback((floats) => {
+    const added = [];
+    floats.forEach(float => {
+      if (entries.length + added.length >= MAX_COMPARED_FLOATS) return;
+      if ([...entries, ...added].some(entry => entry.floatId === float.id)) return;
+      added.push({
+        floatId: float.id,
+        float,
+        color: nextTrackColor([...entries, ...added]),
+        profile: null,
+        isLoading: true,
+        error: null
+      });
+    });
+    if (!added.length) return;
+    setEntries(current => [...current, ...added]);
+    added.forEach(entry => loadEntry(entry.floatId));
+  }, [entries, loadEntry]);
+
+  const toggleFloat = useCallback((float) => {
+    if (entries.some(entry => entry.floatId === float.id)) {
+      removeFloat(float.id);
+    } else {
+      addFloats([float]);
+    }
+  }, [entries, addFloats, removeFloat]);
+
+  const clearFloats = useCallback(() => {
+    controllersRef.current.forEach(controller => controller.abort());
+    controllersRef.current.clear();
+    setEntries([]);
+  }, []);
+
+  useEffect(() => {
+    const controllers = controllersRef.current;
+    return () => controllers.forEach(controller => controller.abort());
+  }, []);
+
+  return { entries, addFloats, removeFloat, toggleFloat, clearFloats, reloadEntry: loadEntry };
+};
@@ -0,0 +1,8 @@
+import { getFloatDetails } from '../api';
+import { useFloatRequest } from './useFloatRequest';
+
+// Metadata of one float (platform, deployment, sensors, ...), null until loaded
+export const useFloatDetails = (floatId) => {
+  const { data, ...state } = useFloatRequest(getFloatDetails, floatId, null, 'details');
+  return { details: data, ...state };
+};
@@ -0,0 +1,10 @@
+import { getFloatProfiles } from '../api';
+import { useFloatRequest } from './useFloatRequest';
+
+const NO_PROFILES = [];
+
+// Profiles reported by one float, oldest cycle first
+export const useFloatProfiles = (floatId) => {
+  const { data, ...state } = useFloatRequest(getFloatProfiles, floatId, NO_PROFILES, 'profiles');
+  return { profiles: data, ...state };
+};
@@ -0,0 +1,49 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+// Data about one float from `fetchData(floatId, { signal })`, loaded whenever
+// `floatId` changes. A new float (or unmounting) cancels the request still in
+// flight. `initialData` is used before the first result; pass a constant so
+// the request is not repeated on every render.
+export const useFloatRequest = (fetchData, floatId, initialData, description) => {
+  const [data, setData] = useState(initialData);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const controllerRef = useRef(null);
+
+  const load = useCallback(async () => {
+    controllerRef.current?.abort();
+    setData(initialData);
+    setError(null);
+    if (floatId === undefined || floatId === null) {
+      setIsLoading(false);
+      return;
+    }
+
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setIsLoading(true);
+
+    try {
+      setData(await fetchData(floatId, { signal: controller.signal }));
+    } catch (err) {
+      if (err.name === 'AbortError') return;
+      console.error(`Error loading ${description} for float ${floatId}:`, err);
+      setError(err);
+    } finally {
+      if (controllerRef.current === controller) {
+        controllerRef.current = null;
+        setIsLoading(false);
+      }
+    }
+  }, [fetchData, floatId, initialData, description]);
+
+  useEffect(() => {
+    load();
+    return () => {
+      controllerRef.current?.abort();
+      controllerRef.current = null;
+    };
+  }, [load]);
+
+  return { data, isLoading, error, reload: load };
+};
@@ -0,0 +1,43 @@
+import { useEffect, useState } from 'react';
+import { searchFloats } from '../api';
+
+const SEARCH_DEBOUNCE_MS = 300;
+const MIN_QUERY_LENGTH = 2;
+
+// Floats matching `query` on the backend, looked up once typing pauses. A
+// newer query cancels the request still in flight.
+export const useFloatSearch = (query) => {
+  const [results, setResults] = useState([]);
+  const [isSearching, setIsSearching] = useState(false);
+  const [error, setError] = useState(null);
+  const trimmed = query.trim();
+
+  useEffect(() => {
+    setResults([]);
+    setError(null);
+    if (trimmed.length < MIN_QUERY_LENGTH) {
+      setIsSearching(false);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    setIsSearching(true);
+    const timer = setTimeout(async () => {
+      try {
+        setResults(await searchFloats(trimmed, { signal: controller.signal }));
+      } catch (err) {
+        if (err.name === 'AbortError') return;
+        console.error(`Error searching floats for "${trimmed}":`, err);
+        setError(err);
+      }
+      setIsSearching(false);
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [trimmed]);
+
+  return { results, isSearching, error };
+};
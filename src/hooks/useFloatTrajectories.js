@@ -0,0 +1,73 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { getFloatTrajectory } from '../api';
+import { nextTrackColor } from '../utils/trajectory';
+
+// The trajectories shown on the map, each
+// { floatId, float, color, positions, isLoading, error }. Adding a float
+// fetches its positions; removing it cancels that request.
+export const useFloatTrajectories = () => {
+  const [tracks, setTracks] = useState([]);
+  const controllersRef = useRef(new Map());
+
+  const updateTrack = useCallback((floatId, changes) => {
+    setTracks(current => current.map(track => (track.floatId === floatId ? { ...track, ...changes } : track)));
+  }, []);
+
+  const loadTrack = useCallback(async (floatId) => {
+    controllersRef.current.get(floatId)?.abort();
+    const controller = new AbortController();
+    controllersRef.current.set(floatId, controller);
+    updateTrack(floatId, { isLoading: true, error: null });
+
+    try {
+      const positions = await getFloatTrajectory(floatId, { signal: controller.signal });
+      updateTrack(floatId, { positions, isLoading: false });
+    } catch (err) {
+      if (err.name === 'AbortError') return;
+      console.error(`Error loading the trajectory of float ${floatId}:`, err);
+      updateTrack(floatId, { error: err, isLoading: false });
+    } finally {
+      if (controllersRef.current.get(floatId) === controller) controllersRef.current.delete(floatId);
+    }
+  }, [updateTrack]);
+
+  const removeTrack = useCallback((floatId) => {
+    controllersRef.current.get(floatId)?.abort();
+    controllersRef.current.delete(floatId);
+    setTracks(current => current.filter(track => track.floatId !== floatId));
+  }, []);
+
+  const addTrack = useCallback((float) => {
+    if (tracks.some(track => track.floatId === float.id)) return;
+    setTracks(current => [...current, {
+      floatId: float.id,
+      float,
+      color: nextTrackColor(current),
+      positions: [],
+      isLoading: true,
+      error: null
+    }]);
+    loadTrack(float.id);
+  }, [tracks, loadTrack]);
+
+  const toggleTrack = useCallback((float) => {
+    if (tracks.some(track => track.floatId === float.id)) {
+      removeTrack(float.id);
+    } else {
+      addTrack(float);
+    }
+  }, [tracks, addTrack, removeTrack]);
+
+  const clearTracks = useCallback(() => {
+    controllersRef.current.forEach(controller => controller.abort());
+    controllersRef.current.clear();
+    setTracks([]);
+  }, []);
+
+  useEffect(() => {
+    const controllers = controllersRef.current;
+    return () => controllers.forEach(controller => controller.abort());
+  }, []);
+
+  return { tracks, addTrack, removeTrack, toggleTrack, clearTracks, reloadTrack: loadTrack };
+};
@@ -0,0 +1,27 @@
+import { useEffect, useState } from 'react';
+
+// Bounds of the visible map area as { south, west, north, east }, updated
+// when the map stops moving. Null until the map exists.
+export const useMapBounds = (map) => {
+  const [bounds, setBounds] = useState(null);
+
+  useEffect(() => {
+    if (!map) return undefined;
+
+    const update = () => {
+      const current = map.getBounds();
+      setBounds({
+        south: current.getSouth(),
+        west: current.getWest(),
+        north: current.getNorth(),
+        east: current.getEast()
+      });
+    };
+
+    update();
+    map.on('moveend', update);
+    return () => map.off('moveend', update);
+  }, [map]);
+
+  return bounds;
+};
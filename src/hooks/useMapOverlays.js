@@ -0,0 +1,85 @@
+import { useCallback, useEffect, useState } from 'react';
+import { readOverlayFile, nextOverlayColor } from '../utils/overlayImport';
+import { isOverlayStorageAvailable, listOverlays, saveOverlay, deleteOverlay } from '../services/mapOverlays';
+
+const createOverlayId = () => (
+  typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `overlay-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`
+);
+
+// Keep a change on disk; the overlay stays on the map even if that fails
+const persist = (write) => {
+  if (!isOverlayStorageAvailable()) return;
+  write().catch(err => console.error('Error saving map overlays:', err));
+};
+
+// Imported overlays ({ id, name, source, color, visible, createdAt, geojson }),
+// restored from the browser on mount. importFiles reads GeoJSON, KML and
+// zipped shapefiles; the messages of files that could not be read end up in
+// `importErrors`.
+export const useMapOverlays = () => {
+  const [overlays, setOverlays] = useState([]);
+  const [isImporting, setIsImporting] = useState(false);
+  const [importErrors, setImportErrors] = useState([]);
+
+  useEffect(() => {
+    if (!isOverlayStorageAvailable()) return undefined;
+    let cancelled = false;
+    listOverlays()
+      .then(stored => {
+        if (cancelled) return;
+        // Overlays imported while the stored ones were loading stay on top
+        setOverlays(current => [...stored, ...current.filter(overlay => !stored.some(item => item.id === overlay.id))]);
+      })
+      .catch(err => console.error('Error loading map overlays:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const importFiles = useCallback(async (files) => {
+    setIsImporting(true);
+    setImportErrors([]);
+    const records = [];
+    const errors = [];
+    for (const file of files) {
+      try {
+        const overlay = await readOverlayFile(file);
+        records.push({
+          ...overlay,
+          id: createOverlayId(),
+          color: nextOverlayColor([...overlays, ...records]),
+          visible: true,
+          createdAt: new Date().toISOString()
+        });
+      } catch (err) {
+        console.error(`Error importing ${file.name}:`, err);
+        errors.push(err.message);
+      }
+    }
+
+    setOverlays(current => [...current, ...records]);
+    records.forEach(record => persist(() => saveOverlay(record)));
+    setImportErrors(errors);
+    setIsImporting(false);
+    return records;
+  }, [overlays]);
+
+  const toggleOverlay = useCallback((id) => {
+    const overlay = overlays.find(item => item.id === id);
+    if (!overlay) return;
+    const updated = { ...overlay, visible: !overlay.visible };
+    setOverlays(current => current.map(item => (item.id === id ? updated : item)));
+    persist(() => saveOverlay(updated));
+  }, [overlays]);
+
+  const removeOverlay = useCallback((id) => {
+    setOverlays(current => current.filter(item => item.id !== id));
+    persist(() => deleteOverlay(id));
+  }, []);
+
+  const dismissImportErrors = useCallback(() => setImportErrors([]), []);
+
+  return { overlays, isImporting, importErrors, importFiles, toggleOverlay, removeOverlay, dismissImportErrors };
+};
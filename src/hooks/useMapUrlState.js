@@ -0,0 +1,56 @@
+import { useEffect, useRef, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { parseMapUrlState, writeMapUrlState, isHistoryChange } from '../utils/mapUrlState';
+
+const currentView = (map) => {
+  const center = map.getCenter();
+  return { center: [center.lat, center.lng], zoom: map.getZoom() };
+};
+
+// Keep the map's state in the query string (see utils/mapUrlState). `state`
+// is { filters, field, opacity, idw, floatId, cycle }; the map view is
+// tracked here. When the URL changes from outside - browser back/forward -
+// the map view is restored and onRestore receives the parsed state.
+export const useMapUrlState = (map, state, onRestore) => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [view, setView] = useState(() => parseMapUrlState(searchParams).view);
+  const writtenRef = useRef(searchParams.toString());
+  const skipWriteRef = useRef(false);
+  const onRestoreRef = useRef(onRestore);
+  onRestoreRef.current = onRestore;
+
+  useEffect(() => {
+    if (!map) return undefined;
+    const update = () => setView(currentView(map));
+    update();
+    map.on('moveend', update);
+    return () => map.off('moveend', update);
+  }, [map]);
+
+  // Restore first, so the write below does not overwrite the URL with the
+  // state being left behind
+  useEffect(() => {
+    const current = searchParams.toString();
+    if (current === writtenRef.current) return;
+    writtenRef.current = current;
+    skipWriteRef.current = true;
+
+    const restored = parseMapUrlState(searchParams);
+    if (map && restored.view) map.setView(restored.view.center, restored.view.zoom);
+    onRestoreRef.current(restored);
+  }, [searchParams, map]);
+
+  const { filters, field, opacity, idw, floatId, cycle } = state;
+  useEffect(() => {
+    if (skipWriteRef.current) {
+      skipWriteRef.current = false;
+      return;
+    }
+    const next = writeMapUrlState(searchParams, { view, filters, field, opacity, idw, floatId, cycle });
+    const nextString = next.toString();
+    if (nextString === searchParams.toString()) return;
+
+    writtenRef.current = nextString;
+    setSearchParams(next, { replace: !isHistoryChange(searchParams, next) });
+  }, [searchParams, setSearchParams, view, filters, field, opacity, idw, floatId, cycle]);
+};
@@ -0,0 +1,66 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+// Animated clock running from `start` to `end` (timestamps in ms) in
+// `duration` ms of real time. `time` is null until playback starts or the
+// position is set with seek().
+export const usePlayback = (start, end, { duration = 10000 } = {}) => {
+  const [time, setTime] = useState(null);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const timeRef = useRef(null);
+  timeRef.current = time;
+
+  const hasRange = Number.isFinite(start) && Number.isFinite(end);
+
+  useEffect(() => {
+    if (!isPlaying || !hasRange) return undefined;
+
+    const span = Math.max(end - start, 1);
+    let frame = null;
+    let previous = null;
+    const step = (now) => {
+      const elapsed = previous === null ? 0 : now - previous;
+      previous = now;
+      const next = Math.min((timeRef.current ?? start) + (elapsed / duration) * span, end);
+      setTime(next);
+      if (next >= end) {
+        setIsPlaying(false);
+        return;
+      }
+      frame = requestAnimationFrame(step);
+    };
+    frame = requestAnimationFrame(step);
+    return () => cancelAnimationFrame(frame);
+  }, [isPlaying, hasRange, start, end, duration]);
+
+  // Keep the clock inside the range when it changes
+  useEffect(() => {
+    if (!hasRange) {
+      setTime(null);
+      setIsPlaying(false);
+    } else if (timeRef.current !== null) {
+      setTime(Math.min(Math.max(timeRef.current, start), end));
+    }
+  }, [hasRange, start, end]);
+
+  const play = useCallback(() => {
+    if (!hasRange) return;
+    // Playing from the end starts over
+    if (timeRef.current === null || timeRef.current >= end) setTime(start);
+    setIsPlaying(true);
+  }, [hasRange, start, end]);
+
+  const pause = useCallback(() => setIsPlaying(false), []);
+
+  const toggle = useCallback(() => (isPlaying ? pause() : play()), [isPlaying, play, pause]);
+
+  const seek = useCallback((value) => {
+    if (hasRange) setTime(Math.min(Math.max(value, start), end));
+  }, [hasRange, start, end]);
+
+  const reset = useCallback(() => {
+    setIsPlaying(false);
+    setTime(null);
+  }, []);
+
+  return { time, isPlaying, play, pause, toggle, seek, reset };
+};
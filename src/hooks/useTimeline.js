@@ -0,0 +1,138 @@
+import { useCallback, useMemo, useState } from 'react';
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Length of the time window the map shows at once
+export const TIMELINE_WINDOWS = {
+  week: { label: 'Week', days: 7 },
+  month: { label: 'Month', days: 30 },
+  season: { label: 'Season', days: 91 }
+};
+
+export const TIMELINE_SPEEDS = [0.5, 1, 2, 4];
+
+// Timestamps are whole UTC days
+export const toDay = (value) => {
+  const time = typeof value === 'number' ? value : Date.parse(value);
+  return Number.isFinite(time) ? Math.floor(time / DAY_MS) * DAY_MS : null;
+};
+
+export const formatDay = (time) => new Date(time).toISOString().slice(0, 10);
+
+const windowAt = (start, days) => {
+  const end = start + (days - 1) * DAY_MS;
+  return { start, end, startDate: formatDay(start), endDate: formatDay(end) };
+};
+
+// Range the timeline covers when it is switched on: the date filters when
+// set, otherwise the half year up to the most recent float report
+export const defaultTimelineDomain = (filters, floats) => {
+  const lastSeen = floats.map(float => toDay(float.lastSeen)).filter(time => time !== null);
+  const end = toDay(filters.end_date) ?? (lastSeen.length ? Math.max(...lastSeen) : toDay(Date.now()));
+  const start = toDay(filters.start_date) ?? end - 182 * DAY_MS;
+  return { start: Math.min(start, end), end };
+};
+
+// State of the map's time slider: the date range it spans (`domain`), the
+// window shown inside it and playback. `window` is null while it is off.
+export const useTimeline = () => {
+  const [domain, setDomainState] = useState(null);
+  const [windowSize, setWindowSizeState] = useState('month');
+  const [windowStart, setWindowStart] = useState(null);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+
+  const days = TIMELINE_WINDOWS[windowSize].days;
+  const stepMs = days * DAY_MS;
+  // The window never reaches past the end of the domain
+  const lastStart = domain ? Math.max(domain.start, domain.end - (days - 1) * DAY_MS) : null;
+
+  const clampStart = useCallback((start, range = domain, size = days) => {
+    const last = Math.max(range.start, range.end - (size - 1) * DAY_MS);
+    return Math.min(Math.max(toDay(start), range.start), last);
+  }, [domain, days]);
+
+  const enable = useCallback((range) => {
+    setDomainState(range);
+    setWindowStart(range.start);
+    setIsPlaying(false);
+  }, []);
+
+  const disable = useCallback(() => {
+    setDomainState(null);
+    setWindowStart(null);
+    setIsPlaying(false);
+  }, []);
+
+  const setDomain = useCallback((range) => {
+    if (!(range.start <= range.end)) return;
+    setDomainState(range);
+    setWindowStart(current => clampStart(current ?? range.start, range));
+  }, [clampStart]);
+
+  const setWindowSize = useCallback((size) => {
+    setWindowSizeState(size);
+    if (domain) setWindowStart(current => clampStart(current, domain, TIMELINE_WINDOWS[size].days));
+  }, [domain, clampStart]);
+
+  const moveTo = useCallback((start) => {
+    if (domain) setWindowStart(clampStart(start));
+  }, [domain, clampStart]);
+
+  // Step to the next window; playback stops at the end of the domain
+  const advance = useCallback(() => {
+    if (windowStart === null) return;
+    if (windowStart >= lastStart) {
+      setIsPlaying(false);
+      return;
+    }
+    setWindowStart(Math.min(windowStart + stepMs, lastStart));
+  }, [windowStart, lastStart, stepMs]);
+
+  const play = useCallback(() => {
+    if (windowStart === null) return;
+    // Playing from the end starts over
+    if (windowStart >= lastStart) setWindowStart(domain.start);
+    setIsPlaying(true);
+  }, [windowStart, lastStart, domain]);
+
+  const pause = useCallback(() => setIsPlaying(false), []);
+
+  const toggle = useCallback(() => (isPlaying ? pause() : play()), [isPlaying, play, pause]);
+
+  const currentWindow = useMemo(
+    () => (windowStart === null ? null : windowAt(windowStart, days)),
+    [windowStart, days]
+  );
+
+  // The windows playback will show next, for prefetching
+  const upcomingWindows = useMemo(() => {
+    if (windowStart === null) return [];
+    const result = [];
+    for (let start = windowStart + stepMs; start <= lastStart && result.length < 2; start += stepMs) {
+      result.push(windowAt(start, days));
+    }
+    return result;
+  }, [windowStart, lastStart, stepMs, days]);
+
+  return {
+    isActive: domain !== null,
+    domain,
+    window: currentWindow,
+    windowSize,
+    lastStart,
+    upcomingWindows,
+    isPlaying,
+    speed,
+    enable,
+    disable,
+    setDomain,
+    setWindowSize,
+    setSpeed,
+    moveTo,
+    advance,
+    play,
+    pause,
+    toggle
+  };
+};
@@ -0,0 +1,129 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { getFloats } from '../api';
+import {
+  filtersCacheKey,
+  tilesForBounds,
+  boundsOfTiles,
+  getMissingTiles,
+  storeFloats,
+  getCachedFloats
+} from '../services/floatCache';
+
+const MOVE_DEBOUNCE_MS = 300;
+
+// Limit a request box to the lat/lon range set in the filters, or return
+// null when they do not overlap
+const intersectWithFilters = (box, filters) => {
+  const limit = (value, fallback) => (value === undefined || value === '' ? fallback : Number(value));
+  const result = {
+    south: Math.max(box.south, limit(filters.lat_min, -90)),
+    north: Math.min(box.north, limit(filters.lat_max, 90)),
+    west: Math.max(box.west, limit(filters.lon_min, -180)),
+    east: Math.min(box.east, limit(filters.lon_max, 180))
+  };
+  return result.south <= result.north && result.west <= result.east ? result : null;
+};
+
+const viewportBox = (map) => {
+  const bounds = map.getBounds();
+  return {
+    south: bounds.getSouth(),
+    west: bounds.getWest(),
+    north: bounds.getNorth(),
+    east: bounds.getEast()
+  };
+};
+
+// Request the tiles of `box` that are not cached for `filters` yet and store
+// the result
+const loadMissingTiles = async (filters, box, signal) => {
+  const cacheKey = filtersCacheKey(filters);
+  const missing = getMissingTiles(cacheKey, tilesForBounds(box));
+  if (!missing.length) return;
+
+  const tileBox = boundsOfTiles(missing);
+  const requestBox = intersectWithFilters(tileBox, filters);
+  const result = requestBox
+    ? await getFloats({
+      ...filters,
+      lat_min: requestBox.south,
+      lat_max: requestBox.north,
+      lon_min: requestBox.west,
+      lon_max: requestBox.east
+    }, { signal })
+    : [];
+
+  storeFloats(cacheKey, tileBox, result);
+};
+
+// Floats for the visible part of `map`. Loads the tiles of the viewport that
+// are not cached yet whenever the map stops moving (debounced); a newer
+// request cancels the one in flight. Returns every cached float for the
+// filters, so areas visited before stay on the map.
+export const useViewportFloats = (map, filters) => {
+  const [floats, setFloats] = useState([]);
+  const [isLoadingArea, setIsLoadingArea] = useState(false);
+  const [error, setError] = useState(null);
+  const controllerRef = useRef(null);
+
+  const loadViewport = useCallback(async () => {
+    if (!map) return;
+
+    const cacheKey = filtersCacheKey(filters);
+    const box = viewportBox(map);
+
+    setFloats(getCachedFloats(cacheKey));
+    if (!getMissingTiles(cacheKey, tilesForBounds(box)).length) return;
+
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setIsLoadingArea(true);
+    setError(null);
+
+    try {
+      await loadMissingTiles(filters, box, controller.signal);
+      setFloats(getCachedFloats(cacheKey));
+    } catch (err) {
+      if (err.name === 'AbortError') return;
+      console.error('Error loading floats for the map area:', err);
+      setError(err);
+    } finally {
+      if (controllerRef.current === controller) controllerRef.current = null;
+      // A newer request keeps the indicator on until it finishes itself
+      if (!controllerRef.current) setIsLoadingArea(false);
+    }
+  }, [map, filters]);
+
+  // Fill the cache for other filters (such as upcoming timeline frames) over
+  // the current viewport without changing the floats shown
+  const prefetch = useCallback(async (otherFilters, { signal } = {}) => {
+    if (!map) return;
+    try {
+      await loadMissingTiles(otherFilters, viewportBox(map), signal);
+    } catch (err) {
+      if (err.name !== 'AbortError') console.warn('Prefetching floats failed:', err);
+    }
+  }, [map]);
+
+  useEffect(() => {
+    if (!map) return undefined;
+
+    let timer = null;
+    const handleMoveEnd = () => {
+      clearTimeout(timer);
+      timer = setTimeout(loadViewport, MOVE_DEBOUNCE_MS);
+    };
+
+    loadViewport();
+    map.on('moveend', handleMoveEnd);
+    return () => {
+      clearTimeout(timer);
+      map.off('moveend', handleMoveEnd);
+      controllerRef.current?.abort();
+      controllerRef.current = null;
+    };
+  }, [map, loadViewport]);
+
+  return { floats, isLoadingArea, error, reload: loadViewport, prefetch };
+};
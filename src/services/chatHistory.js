@@ -0,0 +1,96 @@
+// Persistent chat history stored in the browser's IndexedDB (see ./database).
+//
+// Every conversation is one record in the `conversations` store:
+//   { id, title, titleEdited, pinned, createdAt, updatedAt, messages }
+
+import { createConversationId } from '../utils/conversationContext';
+import { STORES, isDatabaseAvailable, updateRecord, withStore } from './database';
+
+const TITLE_MAX_LENGTH = 48;
+
+export const isHistoryAvailable = isDatabaseAvailable;
+
+const withConversations = (mode, callback) => withStore(STORES.CONVERSATIONS, mode, callback);
+
+// Derive a title from the first question of a conversation
+export const generateTitle = (messages = []) => {
+  const firstQuestion = messages.find(message => message.sender === 'user' && message.text?.trim());
+  if (!firstQuestion) return 'New conversation';
+
+  const text = firstQuestion.text.trim().replace(/\s+/g, ' ');
+  if (text.length <= TITLE_MAX_LENGTH) return text;
+
+  const cut = text.slice(0, TITLE_MAX_LENGTH);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > TITLE_MAX_LENGTH / 2 ? cut.slice(0, lastSpace) : cut).trim()}…`;
+};
+
+// Drop UI-only state before a message is written to disk
+const toStoredMessage = (message) => {
+  const { isStreaming: _isStreaming, ...rest } = message;
+  return rest;
+};
+
+// Pinned conversations first, then most recently updated
+const compareConversations = (a, b) => {
+  if (!!a.pinned !== !!b.pinned) return a.pinned ? -1 : 1;
+  return (b.updatedAt || '').localeCompare(a.updatedAt || '');
+};
+
+// List conversation summaries (without messages) for the sidebar
+export const listConversations = async () => {
+  const records = await withConversations('readonly', store => store.getAll());
+  return (records || [])
+    .map(({ messages, ...summary }) => ({ ...summary, messageCount: messages?.length || 0 }))
+    .sort(compareConversations);
+};
+
+export const getConversation = (id) => withConversations('readonly', store => store.get(id));
+
+// Create or update a conversation. Keeps user-set fields (title, pinned) of
+// an existing record and regenerates the title until the user renames it.
+export const saveConversation = ({ id, messages }) => updateRecord(STORES.CONVERSATIONS, id, (existing) => {
+  const now = new Date().toISOString();
+  const record = {
+    pinned: false,
+    titleEdited: false,
+    createdAt: now,
+    ...existing,
+    id,
+    messages: messages.map(toStoredMessage),
+    updatedAt: now,
+  };
+  if (!record.titleEdited) {
+    record.title = generateTitle(messages);
+  }
+  return record;
+});
+
+const updateConversation = (id, changes) => updateRecord(STORES.CONVERSATIONS, id, (existing) => {
+  if (!existing) throw new Error(`Conversation ${id} not found`);
+  return { ...existing, ...changes };
+});
+
+export const renameConversation = (id, title) => (
+  updateConversation(id, { title: title.trim() || 'Untitled conversation', titleEdited: true })
+);
+
+export const setConversationPinned = (id, pinned) => updateConversation(id, { pinned });
+
+export const deleteConversation = (id) => withConversations('readwrite', store => store.delete(id));
+
+// Store an imported conversation record as-is. A record whose id is already
+// taken gets a new one so the existing thread is not overwritten.
+export const importConversation = async (record) => {
+  const existing = await getConversation(record.id);
+  const imported = {
+    pinned: false,
+    titleEdited: false,
+    ...record,
+    id: record.id && !existing ? record.id : createConversationId(),
+    messages: record.messages.map(toStoredMessage),
+  };
+  if (!imported.title) imported.title = generateTitle(imported.messages);
+  await withConversations('readwrite', store => store.put(imported));
+  return imported;
+};
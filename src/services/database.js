@@ -0,0 +1,109 @@
+// The app's IndexedDB database, shared by the stores that persist data in the
+// browser (chat history, imported map overlays).
+//
+// The schema is versioned. To change it, bump DB_VERSION and append a
+// migration to MIGRATIONS - existing users are upgraded step by step from
+// whatever version they have, so their data is never wiped.
+
+const DB_NAME = 'ocean-data-assistant';
+const DB_VERSION = 2;
+
+export const STORES = {
+  CONVERSATIONS: 'conversations',
+  OVERLAYS: 'overlays'
+};
+
+// MIGRATIONS[n] upgrades a database from version n to version n + 1
+const MIGRATIONS = [
+  // 0 -> 1: initial schema
+  (db) => {
+    const store = db.createObjectStore(STORES.CONVERSATIONS, { keyPath: 'id' });
+    store.createIndex('updatedAt', 'updatedAt');
+  },
+  // 1 -> 2: imported map overlays
+  (db) => {
+    db.createObjectStore(STORES.OVERLAYS, { keyPath: 'id' });
+  },
+];
+
+let dbPromise = null;
+
+export const isDatabaseAvailable = () => typeof indexedDB !== 'undefined';
+
+const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (!isDatabaseAvailable()) {
+      reject(new Error('IndexedDB is not supported in this browser'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      const transaction = request.transaction;
+      for (let version = event.oldVersion; version < DB_VERSION; version++) {
+        MIGRATIONS[version](db, transaction);
+      }
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+      // Let a newer tab upgrade the schema instead of blocking it
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+};
+
+// Run `callback(store)` in a transaction on `storeName` and resolve with the
+// request result
+export const withStore = async (storeName, mode, callback) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = callback(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+// Read the record under `key` and write back `update(existing)` in a single
+// readwrite transaction, so that overlapping updates of one record cannot
+// drop each other's changes. Resolves with the written record; an error
+// thrown by `update` aborts the transaction and rejects with it.
+export const updateRecord = async (storeName, key, update) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, 'readwrite');
+    const store = transaction.objectStore(storeName);
+    let record;
+    let failure = null;
+    const request = store.get(key);
+    request.onsuccess = () => {
+      try {
+        record = update(request.result);
+        store.put(record);
+      } catch (error) {
+        failure = error;
+        transaction.abort();
+      }
+    };
+    transaction.oncomplete = () => resolve(record);
+    transaction.onerror = () => reject(failure ?? transaction.error);
+    transaction.onabort = () => reject(failure ?? transaction.error);
+  });
+};
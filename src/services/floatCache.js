@@ -0,0 +1,94 @@
+// In-memory cache of float positions, split into fixed lat/lon tiles.
+//
+// Each set of filters gets its own tiles, keyed "<filters>|<row>:<col>". A
+// tile holds every float inside it once any request has covered it, so
+// panning back to an area is answered without going to the server. The cache
+// lives for the page session and entries expire after CACHE_TTL_MS.
+
+import { hasValidPosition } from '../utils/floatData';
+
+const TILE_SIZE_DEGREES = 10;
+const CACHE_TTL_MS = 10 * 60 * 1000;
+const EDGE_EPSILON = 1e-9;
+
+const ROWS = 180 / TILE_SIZE_DEGREES;
+const COLUMNS = 360 / TILE_SIZE_DEGREES;
+
+const tiles = new Map();
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+const rowFor = (lat) => clamp(Math.floor((lat + 90) / TILE_SIZE_DEGREES), 0, ROWS - 1);
+const columnFor = (lng) => clamp(Math.floor((lng + 180) / TILE_SIZE_DEGREES), 0, COLUMNS - 1);
+
+const tileBounds = ({ row, column }) => ({
+  south: row * TILE_SIZE_DEGREES - 90,
+  north: (row + 1) * TILE_SIZE_DEGREES - 90,
+  west: column * TILE_SIZE_DEGREES - 180,
+  east: (column + 1) * TILE_SIZE_DEGREES - 180
+});
+
+const tileKey = (filtersKey, { row, column }) => `${filtersKey}|${row}:${column}`;
+
+// Key for the filters that change which floats the server returns
+export const filtersCacheKey = (filters = {}) => JSON.stringify(
+  Object.keys(filters)
+    .filter(key => filters[key] !== undefined && filters[key] !== '')
+    .sort()
+    .map(key => [key, filters[key]])
+);
+
+// Tiles covering { south, west, north, east }. Longitudes outside -180..180
+// (a map panned across the antimeridian) are clamped.
+export const tilesForBounds = ({ south, west, north, east }) => {
+  const result = [];
+  for (let row = rowFor(clamp(south, -90, 90)); row <= rowFor(clamp(north, -90, 90)); row++) {
+    for (let column = columnFor(clamp(west, -180, 180)); column <= columnFor(clamp(east, -180, 180)); column++) {
+      result.push({ row, column });
+    }
+  }
+  return result;
+};
+
+// Smallest box containing all of the given tiles
+export const boundsOfTiles = (tileList) => tileList
+  .map(tileBounds)
+  .reduce((box, bounds) => ({
+    south: Math.min(box.south, bounds.south),
+    north: Math.max(box.north, bounds.north),
+    west: Math.min(box.west, bounds.west),
+    east: Math.max(box.east, bounds.east)
+  }));
+
+const isFresh = (entry) => entry && Date.now() - entry.loadedAt < CACHE_TTL_MS;
+
+export const getMissingTiles = (filtersKey, tileList) => (
+  tileList.filter(tile => !isFresh(tiles.get(tileKey(filtersKey, tile))))
+);
+
+// Record the result of a request covering the tile-aligned `bounds`: every
+// tile inside it is replaced by the floats that fall into it (possibly none).
+export const storeFloats = (filtersKey, bounds, floats) => {
+  const loadedAt = Date.now();
+  // The north and east edges belong to the next tiles, which were not covered
+  const inside = { ...bounds, north: bounds.north - EDGE_EPSILON, east: bounds.east - EDGE_EPSILON };
+  const byTile = new Map(tilesForBounds(inside).map(tile => [tileKey(filtersKey, tile), []]));
+
+  floats.filter(hasValidPosition).forEach(float => {
+    const key = tileKey(filtersKey, { row: rowFor(parseFloat(float.lat)), column: columnFor(parseFloat(float.lng)) });
+    byTile.get(key)?.push(float);
+  });
+
+  byTile.forEach((tileFloats, key) => tiles.set(key, { floats: tileFloats, loadedAt }));
+};
+
+// All cached floats for a set of filters, one entry per float id
+export const getCachedFloats = (filtersKey) => {
+  const prefix = `${filtersKey}|`;
+  const byId = new Map();
+  tiles.forEach((entry, key) => {
+    if (!key.startsWith(prefix) || !isFresh(entry)) return;
+    entry.floats.forEach((float, index) => byId.set(float.id ?? `${key}#${index}`, float));
+  });
+  return [...byId.values()];
+};
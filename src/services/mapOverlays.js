@@ -0,0 +1,25 @@
+// Map overlays imported by the user, stored in the browser's IndexedDB (see
+// ./database) so they are still there on the next visit.
+//
+// Every overlay is one record in the `overlays` store:
+//   { id, name, source, color, visible, createdAt, geojson }
+// where `source` is the imported format and `geojson` a FeatureCollection.
+
+import { STORES, isDatabaseAvailable, withStore } from './database';
+
+export const isOverlayStorageAvailable = isDatabaseAvailable;
+
+const withOverlays = (mode, callback) => withStore(STORES.OVERLAYS, mode, callback);
+
+// Oldest first, the order they are drawn in
+export const listOverlays = async () => {
+  const records = await withOverlays('readonly', store => store.getAll());
+  return (records || []).sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+};
+
+export const saveOverlay = async (overlay) => {
+  await withOverlays('readwrite', store => store.put(overlay));
+  return overlay;
+};
+
+export const deleteOverlay = (id) => withOverlays('readwrite', store => store.delete(id));
@@ -0,0 +1,144 @@
+// Isolines of an interpolated grid (see scalarField.interpolateGrid) by
+// marching squares, and their GeoJSON form.
+
+// Levels at multiples of `interval` inside [min, max]; capped so a tiny
+// interval on a wide range cannot produce thousands of lines
+const MAX_LEVELS = 100;
+
+export const contourLevels = (min, max, interval) => {
+  if (!(interval > 0) || !Number.isFinite(min) || !Number.isFinite(max)) return [];
+  const first = Math.ceil(min / interval);
+  const last = Math.floor(max / interval);
+  const levels = [];
+  for (let step = first; step <= last && levels.length < MAX_LEVELS; step++) {
+    // Rounded so 0.1 steps do not print as 24.299999999999997
+    levels.push(Number((step * interval).toFixed(10)));
+  }
+  return levels;
+};
+
+// Cell edges, as pairs of corners: 0 = bottom-left, 1 = bottom-right,
+// 2 = top-right, 3 = top-left
+const BOTTOM = [0, 1];
+const RIGHT = [1, 2];
+const TOP = [3, 2];
+const LEFT = [0, 3];
+
+// Edges joined by a segment for each corner case (bit i set when corner i is
+// above the level). The saddles 5 and 10 are resolved with the cell center.
+const SEGMENTS = {
+  1: [[LEFT, BOTTOM]], 2: [[BOTTOM, RIGHT]], 3: [[LEFT, RIGHT]], 4: [[RIGHT, TOP]],
+  6: [[BOTTOM, TOP]], 7: [[LEFT, TOP]], 8: [[TOP, LEFT]], 9: [[TOP, BOTTOM]],
+  11: [[TOP, RIGHT]], 12: [[RIGHT, LEFT]], 13: [[RIGHT, BOTTOM]], 14: [[BOTTOM, LEFT]]
+};
+const SADDLES = {
+  5: { high: [[LEFT, TOP], [RIGHT, BOTTOM]], low: [[LEFT, BOTTOM], [RIGHT, TOP]] },
+  10: { high: [[BOTTOM, LEFT], [TOP, RIGHT]], low: [[BOTTOM, RIGHT], [TOP, LEFT]] }
+};
+
+const pointKey = ([lat, lng]) => `${lat.toFixed(6)},${lng.toFixed(6)}`;
+
+// Join segments sharing end points into polylines
+const joinSegments = (segments) => {
+  const byEnd = new Map();
+  const addEnd = (key, index) => {
+    if (!byEnd.has(key)) byEnd.set(key, []);
+    byEnd.get(key).push(index);
+  };
+  segments.forEach(([a, b], index) => {
+    addEnd(pointKey(a), index);
+    addEnd(pointKey(b), index);
+  });
+
+  const used = new Array(segments.length).fill(false);
+  const takeNext = (point) => {
+    const index = (byEnd.get(pointKey(point)) || []).find(candidate => !used[candidate]);
+    if (index === undefined) return null;
+    used[index] = true;
+    const [a, b] = segments[index];
+    return pointKey(a) === pointKey(point) ? b : a;
+  };
+
+  const lines = [];
+  segments.forEach(([a, b], index) => {
+    if (used[index]) return;
+    used[index] = true;
+    const line = [a, b];
+    for (let next = takeNext(line[line.length - 1]); next; next = takeNext(line[line.length - 1])) line.push(next);
+    for (let previous = takeNext(line[0]); previous; previous = takeNext(line[0])) line.unshift(previous);
+    lines.push(line);
+  });
+  return lines;
+};
+
+// Polylines ([[lat, lng], ...]) where the grid crosses `level`. Cells with a
+// masked corner are skipped, so lines stop at the edge of the data.
+const isolines = (grid, level) => {
+  const { bounds, columns, rows, latStep, lngStep, values } = grid;
+  const segments = [];
+
+  for (let row = 0; row < rows - 1; row++) {
+    for (let column = 0; column < columns - 1; column++) {
+      const corners = [
+        values[row * columns + column],
+        values[row * columns + column + 1],
+        values[(row + 1) * columns + column + 1],
+        values[(row + 1) * columns + column]
+      ];
+      if (corners.some(Number.isNaN)) continue;
+
+      const index = corners.reduce((bits, value, corner) => bits | ((value >= level ? 1 : 0) << corner), 0);
+      if (index === 0 || index === 15) continue;
+
+      const positions = [
+        [bounds.south + row * latStep, bounds.west + column * lngStep],
+        [bounds.south + row * latStep, bounds.west + (column + 1) * lngStep],
+        [bounds.south + (row + 1) * latStep, bounds.west + (column + 1) * lngStep],
+        [bounds.south + (row + 1) * latStep, bounds.west + column * lngStep]
+      ];
+      // Where the level crosses an edge, by linear interpolation
+      const crossing = ([from, to]) => {
+        const mix = (level - corners[from]) / (corners[to] - corners[from]);
+        return [
+          positions[from][0] + (positions[to][0] - positions[from][0]) * mix,
+          positions[from][1] + (positions[to][1] - positions[from][1]) * mix
+        ];
+      };
+
+      let pairs = SEGMENTS[index];
+      if (SADDLES[index]) {
+        const center = corners.reduce((sum, value) => sum + value, 0) / 4;
+        pairs = center >= level ? SADDLES[index].high : SADDLES[index].low;
+      }
+      pairs.forEach(([edgeA, edgeB]) => segments.push([crossing(edgeA), crossing(edgeB)]));
+    }
+  }
+  return joinSegments(segments);
+};
+
+// Contours of the grid at every `interval`: [{ level, lines }]
+export const computeContours = (grid, interval) => {
+  const finite = Array.from(grid.values).filter(Number.isFinite);
+  if (!finite.length) return [];
+  const min = finite.reduce((a, b) => Math.min(a, b));
+  const max = finite.reduce((a, b) => Math.max(a, b));
+  return contourLevels(min, max, interval)
+    .map(level => ({ level, lines: isolines(grid, level) }))
+    .filter(contour => contour.lines.length > 0);
+};
+
+// One MultiLineString feature per level. GeoJSON positions are [lng, lat].
+export const contoursToGeoJSON = (contours, properties = {}) => ({
+  type: 'FeatureCollection',
+  features: contours.map(({ level, lines }) => ({
+    type: 'Feature',
+    properties: { ...properties, level },
+    geometry: {
+      type: 'MultiLineString',
+      coordinates: lines.map(line => line.map(([lat, lng]) => [
+        Number(lng.toFixed(5)),
+        Number(lat.toFixed(5))
+      ]))
+    }
+  }))
+});
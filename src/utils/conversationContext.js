@@ -0,0 +1,67 @@
+// Helpers for sending prior turns of a conversation along with a question.
+
+// Rough characters-per-token ratio used to turn a token budget into characters
+const CHARS_PER_TOKEN = 4;
+
+export const DEFAULT_CONTEXT_OPTIONS = {
+  maxTurns: 10,       // user + bot messages, not question/answer pairs
+  maxTokens: 1500,    // approximate token budget for the whole history
+  maxMessageChars: 2000 // longer messages are cut to this length
+};
+
+// Generate an id the backend can use to correlate requests of one conversation
+export const createConversationId = () => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `conv-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+};
+
+export const estimateTokens = (text) => Math.ceil((text || '').length / CHARS_PER_TOKEN);
+
+// Only completed user/bot turns carry useful context
+const isContextMessage = (message) => (
+  message &&
+  (message.sender === 'user' || message.sender === 'bot') &&
+  !message.isError &&
+  !message.isStreaming &&
+  !message.isGreeting &&
+  typeof message.text === 'string' &&
+  message.text.trim() !== ''
+);
+
+// Build the bounded history sent with a question.
+// Walks backwards from the newest message and keeps turns until either the
+// turn limit or the token budget is reached, so the most recent context wins.
+// Returns [{ role: 'user' | 'assistant', content }] in chronological order.
+export const buildContextWindow = (messages, options = {}) => {
+  const { maxTurns, maxTokens, maxMessageChars } = { ...DEFAULT_CONTEXT_OPTIONS, ...options };
+  const maxChars = maxTokens * CHARS_PER_TOKEN;
+  const history = [];
+  let usedChars = 0;
+
+  for (let i = messages.length - 1; i >= 0 && history.length < maxTurns; i--) {
+    const message = messages[i];
+    if (!isContextMessage(message)) continue;
+
+    let content = message.text.trim();
+    if (content.length > maxMessageChars) {
+      content = `${content.slice(0, maxMessageChars)}…`;
+    }
+
+    if (usedChars + content.length > maxChars) break;
+
+    usedChars += content.length;
+    history.unshift({
+      role: message.sender === 'user' ? 'user' : 'assistant',
+      content
+    });
+  }
+
+  // A history that starts with an answer has lost its question
+  while (history.length && history[0].role === 'assistant') {
+    history.shift();
+  }
+
+  return history;
+};
@@ -0,0 +1,120 @@
+// Export and import of chat conversations.
+//
+// - Markdown: a readable transcript with timestamps and any tabular data.
+// - JSON: a versioned envelope around the stored conversation record that
+//   parseConversationJson can restore exactly, including answer versions and
+//   edited question branches.
+
+import { normalizeTrendData, getSourceCaption, formatValue } from './trendData';
+import { normalizeTable } from './tableData';
+import { normalizeStats } from './statsData';
+
+export const EXPORT_FORMAT = 'ocean-data-assistant/conversation';
+export const EXPORT_VERSION = 1;
+
+const formatTimestamp = (isoDate) => {
+  if (!isoDate) return '';
+  const date = new Date(isoDate);
+  return Number.isNaN(date.getTime()) ? '' : date.toLocaleString();
+};
+
+// Characters that would break a Markdown table cell
+const escapeCell = (value) => String(value ?? '–').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+
+const markdownTable = (headers, rows) => [
+  `| ${headers.map(escapeCell).join(' | ')} |`,
+  `| ${headers.map(() => '---').join(' | ')} |`,
+  ...rows.map(row => `| ${row.map(escapeCell).join(' | ')} |`)
+].join('\n');
+
+const trendToMarkdown = (trendData, metadata) => {
+  const trend = normalizeTrendData(trendData);
+  if (!trend) return null;
+
+  const table = markdownTable(
+    [trend.xLabel, ...trend.series.map(series => (series.unit ? `${series.label} (${series.unit})` : series.label))],
+    trend.rows.map(row => [row[trend.xKey], ...trend.series.map(series => formatValue(row[series.key]))])
+  );
+  const caption = getSourceCaption(trendData, metadata);
+  return caption ? `${table}\n\n_Data source: ${caption}_` : table;
+};
+
+const payloadToMarkdown = (payload) => {
+  if (!payload || typeof payload !== 'object') return null;
+
+  if (payload.trend_data) return trendToMarkdown(payload.trend_data, payload);
+
+  if (payload.type === 'table') {
+    const table = normalizeTable(payload);
+    if (!table?.columns.length) return null;
+    const { columns, rows } = table;
+    return markdownTable(
+      columns.map(column => (column.unit ? `${column.label} (${column.unit})` : column.label)),
+      rows.map(row => columns.map(column => row[column.key]))
+    );
+  }
+
+  if (payload.stats || payload.statistics) {
+    const entries = normalizeStats(payload);
+    if (!entries) return null;
+    return entries.map(stat => `- **${stat.label}:** ${stat.value}${stat.unit ? ` ${stat.unit}` : ''}`).join('\n');
+  }
+
+  return null;
+};
+
+const dataToMarkdown = (data) => {
+  if (!data) return [];
+  const payloads = Array.isArray(data) ? data : Array.isArray(data.results) ? data.results : [data];
+  return payloads.map(payloadToMarkdown).filter(Boolean);
+};
+
+export const conversationToMarkdown = ({ title, messages, createdAt }) => {
+  const lines = [
+    `# ${title || 'Ocean Data Assistant conversation'}`,
+    '',
+    `_Exported ${formatTimestamp(new Date().toISOString())}${createdAt ? ` · started ${formatTimestamp(createdAt)}` : ''}_`,
+    ''
+  ];
+
+  messages
+    .filter(message => !message.isGreeting)
+    .forEach(message => {
+      const speaker = message.sender === 'user' ? 'You' : 'Assistant';
+      lines.push(`## ${speaker} · ${formatTimestamp(message.timestamp)}`, '');
+      lines.push(message.text || '', '');
+      dataToMarkdown(message.data).forEach(block => lines.push(block, ''));
+    });
+
+  return lines.join('\n').trim() + '\n';
+};
+
+export const conversationToJson = (conversation) => JSON.stringify({
+  format: EXPORT_FORMAT,
+  version: EXPORT_VERSION,
+  exportedAt: new Date().toISOString(),
+  conversation
+}, null, 2);
+
+// Validate an exported file and return the conversation record it contains
+export const parseConversationJson = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON.');
+  }
+
+  if (parsed?.format !== EXPORT_FORMAT) {
+    throw new Error('The file is not an Ocean Data Assistant conversation export.');
+  }
+  if (typeof parsed.version !== 'number' || parsed.version > EXPORT_VERSION) {
+    throw new Error('The file was exported by a newer version of the app.');
+  }
+
+  const conversation = parsed.conversation;
+  if (!conversation || !Array.isArray(conversation.messages)) {
+    throw new Error('The file does not contain any messages.');
+  }
+  return conversation;
+};
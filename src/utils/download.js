@@ -0,0 +1,24 @@
+// Saving generated files (exports) through the browser's download prompt.
+
+// File name such as "salinity-trends-in-the-arabian-sea.md"; `fallback` names
+// files whose title has no usable characters
+export const exportFileName = (title, extension, fallback = 'export') => {
+  const slug = (title || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60);
+  return `${slug || fallback}.${extension}`;
+};
+
+export const downloadFile = (fileName, content, mimeType) => {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
@@ -0,0 +1,74 @@
+// Helpers for the float records returned by /api/floats:
+//   { id, name, lat, lng, lastSeen, temp, salinity, ... }
+// `temp` and `salinity` may be numbers or strings with a unit ("35.1 PSU").
+
+// `range` is the fixed color range used when a scale is not fitted to the
+// data; `contourInterval` the default spacing of contour lines
+export const FLOAT_PARAMETERS = {
+  temperature: { label: 'Temperature', unit: '°C', range: { min: 15, max: 32 }, contourInterval: 1 },
+  salinity: { label: 'Salinity', unit: 'PSU', range: { min: 32, max: 37.5 }, contourInterval: 0.2 }
+};
+
+// Numeric value of a parameter for one float, or null when it is missing
+export const getFloatValue = (float, parameter) => {
+  const raw = parameter === 'temperature' ? float?.temp ?? float?.temperature : float?.[parameter];
+  if (raw === null || raw === undefined || raw === '') return null;
+  const value = parseFloat(String(raw).split(' ')[0]);
+  return Number.isFinite(value) ? value : null;
+};
+
+export const hasValidPosition = (float) => {
+  const lat = parseFloat(float?.lat);
+  const lng = parseFloat(float?.lng);
+  return Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+};
+
+// "12.34°N, 56.78°E", or null without a valid position
+export const formatPosition = (lat, lng) => {
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+  return `${Math.abs(lat).toFixed(2)}°${lat >= 0 ? 'N' : 'S'}, ${Math.abs(lng).toFixed(2)}°${lng >= 0 ? 'E' : 'W'}`;
+};
+
+// { lat, lng, value } for the floats with a position and a value for
+// `parameter`, as used by the interpolated field and contours
+export const valuePoints = (floats, parameter) => floats
+  .filter(hasValidPosition)
+  .map(float => ({
+    lat: parseFloat(float.lat),
+    lng: parseFloat(float.lng),
+    value: getFloatValue(float, parameter)
+  }))
+  .filter(point => point.value !== null);
+
+// Cold-to-warm ramp shared by cluster colors and their legend
+export const COLOR_RAMP = ['#2563eb', '#06b6d4', '#22c55e', '#eab308', '#f97316', '#dc2626'];
+
+const hexToRgb = (hex) => [1, 3, 5].map(index => parseInt(hex.slice(index, index + 2), 16));
+
+// [r, g, b] at position t (0..1) along the ramp
+const rampRgb = (t) => {
+  const position = Math.min(Math.max(t, 0), 1) * (COLOR_RAMP.length - 1);
+  const index = Math.min(Math.floor(position), COLOR_RAMP.length - 2);
+  const from = hexToRgb(COLOR_RAMP[index]);
+  const to = hexToRgb(COLOR_RAMP[index + 1]);
+  const mix = position - index;
+  return from.map((channel, i) => Math.round(channel + (to[i] - channel) * mix));
+};
+
+// Color scale spanning the given values, or the fixed `range` when given.
+// Values outside a fixed range get the end colors. Null when there is
+// nothing to scale.
+export const createColorScale = (values, range = null) => {
+  const finite = values.filter(Number.isFinite);
+  if (!range && !finite.length) return null;
+
+  const min = range ? range.min : Math.min(...finite);
+  const max = range ? range.max : Math.max(...finite);
+  const position = (value) => (max === min ? 0.5 : (value - min) / (max - min));
+  return {
+    min,
+    max,
+    colorFor: (value) => (Number.isFinite(value) ? `rgb(${rampRgb(position(value)).join(', ')})` : null),
+    rgbFor: (value) => (Number.isFinite(value) ? rampRgb(position(value)) : null)
+  };
+};
@@ -0,0 +1,138 @@
+// Export of the floats shown on the map, and of one depth profile.
+//
+// GeoJSON and KML files record the filters the floats were loaded with
+// (including a time slider window) and when they were exported:
+// - GeoJSON: a FeatureCollection with a top-level `metadata` member.
+// - KML: ExtendedData on the Document.
+// CSV files start with the header row so spreadsheets read them as-is; the
+// same metadata can be added as "# key: value" lines above it on request
+// (pandas reads those with comment='#').
+
+import { getFloatValue } from './floatData';
+
+export const FLOAT_EXPORT_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+  geojson: { label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json' },
+  kml: { label: 'KML', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' }
+};
+
+// { exported_at, ...extra, ...filters } without the empty filters
+export const exportMetadata = (filters, extra = {}) => ({
+  exported_at: new Date().toISOString(),
+  ...extra,
+  ...Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== undefined && value !== ''))
+});
+
+const floatRecord = (float) => ({
+  id: float.id ?? null,
+  name: float.name ?? null,
+  lat: parseFloat(float.lat),
+  lng: parseFloat(float.lng),
+  last_seen: float.lastSeen ?? null,
+  temperature: getFloatValue(float, 'temperature'),
+  salinity: getFloatValue(float, 'salinity')
+});
+
+const FLOAT_COLUMNS = ['id', 'name', 'lat', 'lng', 'last_seen', 'temperature', 'salinity'];
+
+// Text a spreadsheet would run as a formula gets a leading ' so it is shown
+// as text; numbers such as -12.5 stay as they are
+const guardFormula = (text) => (
+  /^[=+\-@\t\r]/.test(text) && !Number.isFinite(Number(text)) ? `'${text}` : text
+);
+
+// Quote cells holding separators, quotes or line breaks
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : guardFormula(String(value));
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (values) => values.map(csvCell).join(',');
+
+// Spreadsheets split comment lines on commas too, so every part is guarded
+const csvComments = (metadata) => Object.entries(metadata)
+  .filter(([, value]) => value !== null && value !== undefined)
+  .map(([key, value]) => `# ${key}: ${String(value).replace(/[\r\n]+/g, ' ').split(',').map(guardFormula).join(',')}`);
+
+// `comments` adds the metadata as comment lines above the header row
+export const floatsToCsv = (floats, metadata = {}, { comments = false } = {}) => [
+  ...(comments ? csvComments(metadata) : []),
+  csvRow(FLOAT_COLUMNS),
+  ...floats.map(floatRecord).map(record => csvRow(FLOAT_COLUMNS.map(column => record[column])))
+].join('\n') + '\n';
+
+export const floatsToGeoJSON = (floats, metadata = {}) => ({
+  type: 'FeatureCollection',
+  metadata,
+  features: floats.map(floatRecord).map(({ lat, lng, ...properties }) => ({
+    type: 'Feature',
+    id: properties.id ?? undefined,
+    properties,
+    geometry: { type: 'Point', coordinates: [lng, lat] }
+  }))
+});
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const kmlExtendedData = (values, indent) => [
+  `${indent}<ExtendedData>`,
+  ...Object.entries(values)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => `${indent}  <Data name="${escapeXml(key)}"><value>${escapeXml(value)}</value></Data>`),
+  `${indent}</ExtendedData>`
+];
+
+export const floatsToKml = (floats, metadata = {}, title = 'Argo floats') => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<kml xmlns="http://www.opengis.net/kml/2.2">',
+  '  <Document>',
+  `    <name>${escapeXml(title)}</name>`,
+  ...kmlExtendedData(metadata, '    '),
+  ...floats.map(floatRecord).flatMap(({ lat, lng, ...properties }) => [
+    '    <Placemark>',
+    `      <name>${escapeXml(properties.name ?? properties.id ?? '')}</name>`,
+    ...kmlExtendedData(properties, '      '),
+    `      <Point><coordinates>${lng},${lat}</coordinates></Point>`,
+    '    </Placemark>'
+  ]),
+  '  </Document>',
+  '</kml>',
+  ''
+].join('\n');
+
+// File contents of `floats` in one of FLOAT_EXPORT_FORMATS; `options` are
+// passed on to floatsToCsv
+export const serializeFloats = (format, floats, metadata, options) => {
+  switch (format) {
+    case 'csv':
+      return floatsToCsv(floats, metadata, options);
+    case 'geojson':
+      return JSON.stringify(floatsToGeoJSON(floats, metadata), null, 2);
+    case 'kml':
+      return floatsToKml(floats, metadata);
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+};
+
+const PROFILE_COLUMNS = ['pressure', 'depth', 'temperature', 'salinity'];
+
+// The levels of one profile. With `comments`, the float and profile position
+// go into the comment lines along with `metadata`.
+export const profileToCsv = (float, profile, metadata = {}, { comments = false } = {}) => [
+  ...(comments ? csvComments({
+    ...metadata,
+    float_id: float.id,
+    float_name: float.name,
+    cycle: profile.cycle,
+    date: profile.date,
+    lat: profile.lat,
+    lng: profile.lng
+  }) : []),
+  csvRow(PROFILE_COLUMNS),
+  ...profile.levels.map(level => csvRow(PROFILE_COLUMNS.map(column => level[column])))
+].join('\n') + '\n';
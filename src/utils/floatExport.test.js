@@ -0,0 +1,55 @@
+import { describe, expect, it } from 'vitest';
+import { floatsToCsv, floatsToGeoJSON, profileToCsv } from './floatExport';
+
+const float = { id: 2902746, name: 'Bay of Bengal', lat: '-12.5', lng: 88.2, lastSeen: '2024-05-01', temp: '28.4 °C', salinity: 35.1 };
+const metadata = { exported_at: '2024-05-02T00:00:00.000Z', region: 'Indian Ocean' };
+
+describe('floatsToCsv', () => {
+  it('starts with the header row', () => {
+    expect(floatsToCsv([float], metadata)).toBe([
+      'id,name,lat,lng,last_seen,temperature,salinity',
+      '2902746,Bay of Bengal,-12.5,88.2,2024-05-01,28.4,35.1',
+      ''
+    ].join('\n'));
+  });
+
+  it('adds the metadata as comment lines on request', () => {
+    expect(floatsToCsv([], metadata, { comments: true }).split('\n').slice(0, 3)).toEqual([
+      '# exported_at: 2024-05-02T00:00:00.000Z',
+      '# region: Indian Ocean',
+      'id,name,lat,lng,last_seen,temperature,salinity'
+    ]);
+  });
+
+  it('keeps text that starts like a formula from running', () => {
+    const [, row] = floatsToCsv([{ ...float, id: '=HYPERLINK("x")', name: '@SUM(A1)' }]).split('\n');
+    expect(row).toBe(`"'=HYPERLINK(""x"")",'@SUM(A1),-12.5,88.2,2024-05-01,28.4,35.1`);
+  });
+
+  it('guards every part of a comment line', () => {
+    const [line] = floatsToCsv([], { region: 'a,=1+1,-3' }, { comments: true }).split('\n');
+    expect(line).toBe("# region: a,'=1+1,-3");
+  });
+});
+
+describe('floatsToGeoJSON', () => {
+  it('keeps the metadata on the collection', () => {
+    const collection = floatsToGeoJSON([float], metadata);
+    expect(collection.metadata).toEqual(metadata);
+    expect(collection.features[0].geometry.coordinates).toEqual([88.2, -12.5]);
+  });
+});
+
+describe('profileToCsv', () => {
+  const profile = { cycle: 12, date: '2024-05-01', lat: -12.5, lng: 88.2, levels: [{ pressure: 5, depth: 5, temperature: -1.8, salinity: 34 }] };
+
+  it('writes the levels under the header row', () => {
+    expect(profileToCsv(float, profile, metadata)).toBe('pressure,depth,temperature,salinity\n5,5,-1.8,34\n');
+  });
+
+  it('adds the float and position to the comment lines on request', () => {
+    const lines = profileToCsv(float, profile, {}, { comments: true }).split('\n');
+    expect(lines.slice(0, 2)).toEqual(['# float_id: 2902746', '# float_name: Bay of Bengal']);
+    expect(lines).toContain('# lng: 88.2');
+  });
+});
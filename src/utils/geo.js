@@ -0,0 +1,97 @@
+// Polygon helpers for drawn map regions. Rings are [[lat, lng], ...] without
+// the closing point; the API receives them as WKT, which is lng-first.
+
+const round = (value) => Number(value.toFixed(4));
+
+export const ringToWkt = (ring) => {
+  const closed = [...ring, ring[0]];
+  return `POLYGON((${closed.map(([lat, lng]) => `${round(lng)} ${round(lat)}`).join(', ')}))`;
+};
+
+// Outer ring of a WKT polygon, or null when it cannot be read
+export const parseWktPolygon = (wkt) => {
+  const match = /^\s*POLYGON\s*\(\(([^()]+)\)/i.exec(wkt || '');
+  if (!match) return null;
+  const ring = match[1].split(',').map(pair => {
+    const [lng, lat] = pair.trim().split(/\s+/).map(Number);
+    return [lat, lng];
+  });
+  if (ring.some(([lat, lng]) => !Number.isFinite(lat) || !Number.isFinite(lng))) return null;
+  // Drop the closing point
+  const [first, last] = [ring[0], ring[ring.length - 1]];
+  if (ring.length > 1 && first[0] === last[0] && first[1] === last[1]) ring.pop();
+  return ring.length >= 3 ? ring : null;
+};
+
+export const ringBounds = (ring) => ({
+  south: Math.min(...ring.map(([lat]) => lat)),
+  north: Math.max(...ring.map(([lat]) => lat)),
+  west: Math.min(...ring.map(([, lng]) => lng)),
+  east: Math.max(...ring.map(([, lng]) => lng))
+});
+
+// Ray casting; points on the edge may fall either way
+export const pointInPolygon = ([lat, lng], ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [latI, lngI] = ring[i];
+    const [latJ, lngJ] = ring[j];
+    if ((latI > lat) !== (latJ > lat) && lng < ((lngJ - lngI) * (lat - latI)) / (latJ - latI) + lngI) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+// API filters for a drawn region: a box becomes the lat/lon range; a polygon
+// is sent as `polygon` together with its bounding box
+export const regionToFilters = (region) => {
+  const ring = region.latlngs;
+  const { south, north, west, east } = ringBounds(ring);
+  return {
+    lat_min: round(south),
+    lat_max: round(north),
+    lon_min: round(west),
+    lon_max: round(east),
+    polygon: region.type === 'polygon' ? ringToWkt(ring) : undefined
+  };
+};
+
+// The region described by a set of filters, if any
+export const filtersToRegion = (filters) => {
+  const ring = parseWktPolygon(filters.polygon);
+  if (ring) return { type: 'polygon', latlngs: ring };
+
+  const box = [filters.lat_min, filters.lat_max, filters.lon_min, filters.lon_max].map(value => (
+    value === undefined || value === '' ? NaN : Number(value)
+  ));
+  if (box.some(value => !Number.isFinite(value))) return null;
+  const [south, north, west, east] = box;
+  return { type: 'rectangle', latlngs: [[south, west], [north, west], [north, east], [south, east]] };
+};
+
+const openRing = (ring) => {
+  const [first, last] = [ring[0], ring[ring.length - 1]];
+  return ring.length > 1 && first[0] === last[0] && first[1] === last[1] ? ring.slice(0, -1) : ring;
+};
+
+// Outer rings of the polygons in a GeoJSON FeatureCollection, as
+// { feature, ring } with lat-first rings. Holes are ignored.
+export const geojsonPolygonRings = (geojson) => (geojson?.features || []).flatMap(feature => {
+  const geometry = feature.geometry;
+  const polygons = geometry?.type === 'Polygon'
+    ? [geometry.coordinates]
+    : geometry?.type === 'MultiPolygon' ? geometry.coordinates : [];
+  return polygons
+    .map(([outer = []]) => openRing(outer.map(([lng, lat]) => [lat, lng])))
+    .filter(ring => ring.length >= 3)
+    .map(ring => ({ feature, ring }));
+});
+
+// Keep at most `maxPoints` evenly spaced vertices, so a detailed coastline
+// still fits into a query string
+export const thinRing = (ring, maxPoints = 150) => {
+  if (ring.length <= maxPoints) return ring;
+  const step = ring.length / maxPoints;
+  return Array.from({ length: maxPoints }, (_, index) => ring[Math.floor(index * step)]);
+};
@@ -0,0 +1,39 @@
+// Matching for the map search box: floats by WMO number or name, ocean
+// regions by name or alias. Better matches come first: exact, then prefix,
+// then anywhere in the text.
+
+import { OCEAN_REGIONS } from '../config/oceanRegions';
+
+const normalize = (text) => String(text ?? '').trim().toLowerCase();
+
+// 0 for an exact match, 1 for a prefix, 2 anywhere; null without a match
+const matchRank = (texts, query) => {
+  const ranks = texts.map(normalize).map(text => {
+    if (!text || !text.includes(query)) return null;
+    if (text === query) return 0;
+    return text.startsWith(query) || text.includes(` ${query}`) ? 1 : 2;
+  }).filter(rank => rank !== null);
+  return ranks.length ? Math.min(...ranks) : null;
+};
+
+const bestMatches = (items, texts, query, limit) => {
+  const normalized = normalize(query);
+  if (!normalized) return [];
+  return items
+    .map(item => ({ item, rank: matchRank(texts(item), normalized) }))
+    .filter(({ rank }) => rank !== null)
+    .sort((a, b) => a.rank - b.rank)
+    .slice(0, limit)
+    .map(({ item }) => item);
+};
+
+export const matchFloats = (floats, query, limit = 6) => (
+  bestMatches(floats, float => [float.id, float.name], query, limit)
+);
+
+export const matchRegions = (query, limit = 5) => (
+  bestMatches(OCEAN_REGIONS, region => [region.name, ...(region.aliases || [])], query, limit)
+);
+
+// Leaflet bounds of a region
+export const regionBounds = ({ south, west, north, east }) => [[south, west], [north, east]];
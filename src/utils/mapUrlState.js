@@ -0,0 +1,84 @@
+// The Argo map's shareable state in the query string, e.g.
+//   /argo-floats?lat=14.2&lng=88.5&z=6&lat_min=5&lat_max=22&field=salinity&float=2902243
+// Filters keep their API names. Values equal to the defaults are left out,
+// so an untouched map has a clean URL.
+
+import { IDW_DEFAULTS } from './scalarField';
+
+export const MAP_URL_DEFAULTS = {
+  field: 'temperature',
+  opacity: 0.6,
+  idw: IDW_DEFAULTS
+};
+
+const FILTER_KEYS = ['lat_min', 'lat_max', 'lon_min', 'lon_max', 'polygon', 'depth_max', 'start_date', 'end_date'];
+const VIEW_KEYS = ['lat', 'lng', 'z'];
+const SETTING_KEYS = ['opacity', 'idw_power', 'idw_radius', 'idw_max'];
+// Changes to these add a browser history entry; view and slider changes
+// replace the current one
+const HISTORY_KEYS = [...FILTER_KEYS, 'field', 'float', 'cycle'];
+const ALL_KEYS = [...FILTER_KEYS, ...VIEW_KEYS, ...SETTING_KEYS, 'field', 'float', 'cycle'];
+
+const readNumber = (params, key, fallback) => {
+  const value = Number(params.get(key));
+  return params.has(key) && Number.isFinite(value) ? value : fallback;
+};
+
+const FIELDS = ['temperature', 'salinity'];
+
+export const parseMapUrlState = (params) => {
+  const filters = {};
+  FILTER_KEYS.forEach(key => {
+    if (params.get(key)) filters[key] = key === 'depth_max' ? Number(params.get(key)) : params.get(key);
+  });
+
+  const lat = readNumber(params, 'lat', null);
+  const lng = readNumber(params, 'lng', null);
+  const zoom = readNumber(params, 'z', null);
+  const field = params.get('field');
+
+  return {
+    view: lat !== null && lng !== null && zoom !== null ? { center: [lat, lng], zoom } : null,
+    filters,
+    field: field === 'none' ? null : FIELDS.includes(field) ? field : MAP_URL_DEFAULTS.field,
+    opacity: readNumber(params, 'opacity', MAP_URL_DEFAULTS.opacity),
+    idw: {
+      power: readNumber(params, 'idw_power', IDW_DEFAULTS.power),
+      searchRadiusKm: readNumber(params, 'idw_radius', IDW_DEFAULTS.searchRadiusKm),
+      maxDistanceKm: readNumber(params, 'idw_max', IDW_DEFAULTS.maxDistanceKm)
+    },
+    floatId: params.get('float') || null,
+    cycle: readNumber(params, 'cycle', null)
+  };
+};
+
+// `params` with the map keys replaced by `state`; other parameters (such as
+// ?mock=1) are kept
+export const writeMapUrlState = (params, { view, filters, field, opacity, idw, floatId, cycle }) => {
+  const next = new URLSearchParams(params);
+  ALL_KEYS.forEach(key => next.delete(key));
+  const set = (key, value, fallback) => {
+    if (value !== undefined && value !== null && value !== '' && value !== fallback) next.set(key, value);
+  };
+
+  if (view) {
+    set('lat', view.center[0].toFixed(4));
+    set('lng', view.center[1].toFixed(4));
+    set('z', view.zoom);
+  }
+  FILTER_KEYS.forEach(key => set(key, filters[key]));
+  set('field', field === null ? 'none' : field, MAP_URL_DEFAULTS.field);
+  set('opacity', opacity, MAP_URL_DEFAULTS.opacity);
+  set('idw_power', idw.power, IDW_DEFAULTS.power);
+  set('idw_radius', idw.searchRadiusKm, IDW_DEFAULTS.searchRadiusKm);
+  set('idw_max', idw.maxDistanceKm, IDW_DEFAULTS.maxDistanceKm);
+  set('float', floatId);
+  set('cycle', floatId ? cycle : null);
+  return next;
+};
+
+// Whether going from one query string to the other deserves its own entry
+// in the browser history
+export const isHistoryChange = (previous, next) => (
+  HISTORY_KEYS.some(key => previous.get(key) !== next.get(key))
+);
@@ -0,0 +1,696 @@
+// Markdown parser for assistant answers.
+//
+// Parses GitHub-flavored Markdown (headings, paragraphs, nested lists, task
+// lists, fenced code, blockquotes, tables, rules, emphasis, strikethrough,
+// links, autolinks and $inline math$) into a small tree of plain objects that
+// components/MarkdownMessage renders as React elements.
+//
+// The tree never contains HTML: raw tags in the input come out as literal
+// text, and link targets are reduced to http(s)/mailto URLs by sanitizeUrl, so
+// backend output cannot inject markup, scripts or attributes.
+
+const ALLOWED_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+const FENCE_RE = /^ {0,3}(`{3,}|~{3,})\s*([^`\s]*)?.*$/;
+const HEADING_RE = /^ {0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/;
+const RULE_RE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const BLOCKQUOTE_RE = /^ {0,3}>\s?/;
+const LIST_ITEM_RE = /^( *)([-*+]|\d{1,9}[.)])( +|$)(.*)$/;
+const TABLE_DELIMITER_RE = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const TASK_RE = /^\[([ xX])\]\s+/;
+
+const ESCAPABLE = '\\`*_{}[]()#+-.!|~<>$"\'';
+
+// Blocks and inline elements nested deeper than this are kept as plain text,
+// so that hostile input cannot exhaust the stack
+const MAX_NESTING = 32;
+
+// C0 controls and the space, DEL and C1 controls
+const isControlOrSpace = (code) => code <= 0x20 || (code >= 0x7f && code <= 0x9f);
+
+// Reduce a link target to a safe absolute URL, or null when it is not allowed
+export const sanitizeUrl = (url) => {
+  if (typeof url !== 'string') return null;
+
+  // Control characters and whitespace are used to smuggle schemes past filters
+  let candidate = [...url].filter(char => !isControlOrSpace(char.charCodeAt(0))).join('');
+  if (!candidate) return null;
+
+  if (/^www\./i.test(candidate)) {
+    candidate = `https://${candidate}`;
+  }
+
+  try {
+    const parsed = new URL(candidate);
+    if (!ALLOWED_PROTOCOLS.includes(parsed.protocol)) return null;
+    return parsed.href;
+  } catch {
+    // Relative or malformed URLs have no meaning inside a chat bubble
+    return null;
+  }
+};
+
+/* ---------------------------------------------------------------------------
+ * Inline parsing
+ * ------------------------------------------------------------------------- */
+
+// Sticky patterns are matched in place to avoid slicing the text per character
+const CODE_RUN_RE = /`+/y;
+const ANGLE_AUTOLINK_RE = /<((?:https?:\/\/|mailto:)[^\s<>]+)>/iy;
+const BARE_URL_RE = /(?:https?:\/\/|www\.)[^\s<]+/iy;
+
+const matchAt = (pattern, text, index) => {
+  pattern.lastIndex = index;
+  return pattern.exec(text);
+};
+
+const isWhitespace = (char) => !char || /\s/.test(char);
+const isWordChar = (char) => !!char && /[\p{L}\p{N}]/u.test(char);
+
+// Find the closing delimiter for emphasis starting at `from`
+const findClosing = (text, delimiter, from) => {
+  let index = text.indexOf(delimiter, from);
+  while (index !== -1) {
+    const before = text[index - 1];
+    const after = text[index + delimiter.length];
+    const isEscaped = before === '\\';
+    const isSameRun = delimiter.length === 1 && (after === delimiter || before === delimiter);
+    const isIntraword = delimiter[0] === '_' && isWordChar(after);
+    if (!isEscaped && !isSameRun && !isWhitespace(before) && !isIntraword && index > from) {
+      return index;
+    }
+    index = text.indexOf(delimiter, index + 1);
+  }
+  return -1;
+};
+
+// Find the `close` matching the `open` bracket at `start`, honouring nesting
+// and escapes; link labels also skip over code spans
+const findPairEnd = (text, start, [open, close], skipsCode) => {
+  let depth = 0;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (char === '\\') {
+      i++;
+    } else if (char === open) {
+      depth++;
+    } else if (char === close) {
+      depth--;
+      if (depth === 0) return i;
+    } else if (skipsCode && char === '`') {
+      const end = text.indexOf('`', i + 1);
+      if (end !== -1) i = end;
+    }
+  }
+  return -1;
+};
+
+// The same as findPairEnd for every opening bracket in `text` at once (-1 when
+// unmatched). Scanning from each bracket instead takes quadratic time on
+// inputs such as "[[[[…" or "[a]([a]([a](…".
+const matchPairs = (text, [open, close], skipsCode) => {
+  const ends = new Map();
+  const opened = [];
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '\\') {
+      i++;
+    } else if (char === open) {
+      ends.set(i, -1);
+      opened.push(i);
+    } else if (char === close) {
+      if (opened.length) ends.set(opened.pop(), i);
+    } else if (skipsCode && char === '`') {
+      const end = text.indexOf('`', i + 1);
+      if (end !== -1) i = end;
+    }
+  }
+  return ends;
+};
+
+const LABEL_BRACKETS = ['[', ']'];
+const DESTINATION_BRACKETS = ['(', ')'];
+
+// Parse `(url "title")` between `start` and its closing parenthesis `end`
+const parseLinkDestination = (text, start, end) => {
+  if (end === -1) return null;
+  const inner = text.slice(start + 1, end).trim();
+  const match = inner.match(/^<?([^\s>]*)>?(?:\s+["'(](.*)["')])?$/);
+  if (!match) return null;
+  return { url: match[1], title: match[2], end: end + 1 };
+};
+
+// Trim trailing punctuation that is more likely sentence than URL
+const trimAutolink = (url) => {
+  let end = url.length;
+  while (end > 0) {
+    const char = url[end - 1];
+    if ('.,;:!?\'"*_~'.includes(char)) {
+      end--;
+    } else if (char === ')') {
+      const opens = url.slice(0, end).split('(').length - 1;
+      const closes = url.slice(0, end).split(')').length - 1;
+      if (closes > opens) end--;
+      else break;
+    } else {
+      break;
+    }
+  }
+  return url.slice(0, end);
+};
+
+const pushText = (nodes, value) => {
+  if (!value) return;
+  const last = nodes[nodes.length - 1];
+  if (last && last.type === 'text') {
+    last.value += value;
+  } else {
+    nodes.push({ type: 'text', value });
+  }
+};
+
+const linkNode = (url, title, children, fallbackText) => {
+  const href = sanitizeUrl(url);
+  if (!href) {
+    // Unsafe target: keep the visible text, drop the link
+    return children.length ? children : [{ type: 'text', value: fallbackText }];
+  }
+  return [{ type: 'link', href, title, children }];
+};
+
+export const parseInline = (text, depth = 0) => {
+  if (depth >= MAX_NESTING) return text ? [{ type: 'text', value: text }] : [];
+
+  const nodes = [];
+  let buffer = '';
+  let i = 0;
+  // Matching brackets, found on the first link in the text
+  let pairEnds = null;
+  // Where the search for each delimiter's closer last failed. A closer is the
+  // first valid delimiter after the opener, so no later opener can succeed
+  // either; remembering this keeps runs of unclosed delimiters linear.
+  const noCloserFrom = {};
+
+  const flush = () => {
+    pushText(nodes, buffer);
+    buffer = '';
+  };
+
+  while (i < text.length) {
+    const char = text[i];
+
+    // Backslash escapes and hard breaks
+    if (char === '\\') {
+      const next = text[i + 1];
+      if (next === '\n') {
+        flush();
+        nodes.push({ type: 'break' });
+        i += 2;
+        continue;
+      }
+      if (next && ESCAPABLE.includes(next)) {
+        buffer += next;
+        i += 2;
+        continue;
+      }
+    }
+
+    // Line breaks inside a paragraph
+    if (char === '\n') {
+      buffer = buffer.replace(/ +$/, '');
+      flush();
+      nodes.push({ type: 'break' });
+      i++;
+      continue;
+    }
+
+    // Code spans
+    if (char === '`') {
+      const run = matchAt(CODE_RUN_RE, text, i)[0];
+      const closeIndex = text.indexOf(run, i + run.length);
+      if (closeIndex !== -1) {
+        let code = text.slice(i + run.length, closeIndex).replace(/\n/g, ' ');
+        if (/^ .* $/.test(code) && code.trim()) code = code.slice(1, -1);
+        flush();
+        nodes.push({ type: 'code', value: code });
+        i = closeIndex + run.length;
+        continue;
+      }
+      buffer += run;
+      i += run.length;
+      continue;
+    }
+
+    // Inline math for units, e.g. $kg\,m^{-3}$
+    if (char === '$' && !isWhitespace(text[i + 1]) && text[i + 1] !== '$') {
+      const closeIndex = text.indexOf('$', i + 1);
+      if (
+        closeIndex !== -1 &&
+        !text.slice(i + 1, closeIndex).includes('\n') &&
+        !isWhitespace(text[closeIndex - 1]) &&
+        !/\d/.test(text[closeIndex + 1] || '')
+      ) {
+        flush();
+        nodes.push({ type: 'math', value: text.slice(i + 1, closeIndex) });
+        i = closeIndex + 1;
+        continue;
+      }
+    }
+
+    // Autolinks in angle brackets
+    if (char === '<') {
+      const match = matchAt(ANGLE_AUTOLINK_RE, text, i);
+      if (match) {
+        flush();
+        nodes.push(...linkNode(match[1], undefined, [{ type: 'text', value: match[1] }], match[0]));
+        i += match[0].length;
+        continue;
+      }
+    }
+
+    // Bare URLs (GFM autolink extension)
+    if ((char === 'h' || char === 'w') && !isWordChar(text[i - 1])) {
+      const match = matchAt(BARE_URL_RE, text, i);
+      if (match) {
+        const url = trimAutolink(match[0]);
+        flush();
+        nodes.push(...linkNode(url, undefined, [{ type: 'text', value: url }], url));
+        i += url.length;
+        continue;
+      }
+    }
+
+    // Links and images (images are shown as links to keep bubbles compact)
+    if (char === '[' || (char === '!' && text[i + 1] === '[')) {
+      const labelStart = char === '!' ? i + 1 : i;
+      pairEnds ??= {
+        label: matchPairs(text, LABEL_BRACKETS, true),
+        destination: matchPairs(text, DESTINATION_BRACKETS, false)
+      };
+      // A bracket the single pass skipped (after an escape or inside a code
+      // span) is scanned on its own
+      const labelEnd = pairEnds.label.get(labelStart) ?? findPairEnd(text, labelStart, LABEL_BRACKETS, true);
+      const destinationStart = labelEnd + 1;
+      const destination = labelEnd !== -1 && text[destinationStart] === '('
+        ? parseLinkDestination(
+          text,
+          destinationStart,
+          pairEnds.destination.get(destinationStart) ?? findPairEnd(text, destinationStart, DESTINATION_BRACKETS, false)
+        )
+        : null;
+      if (destination) {
+        const label = text.slice(labelStart + 1, labelEnd);
+        const children = parseInline(label || destination.url, depth + 1);
+        flush();
+        nodes.push(...linkNode(destination.url, destination.title, children, label));
+        i = destination.end;
+        continue;
+      }
+    }
+
+    // Strong, emphasis and strikethrough
+    const delimiter = ['**', '__', '~~', '*', '_'].find(candidate => text.startsWith(candidate, i));
+    if (delimiter && !isWhitespace(text[i + delimiter.length])) {
+      const opensIntraword = delimiter[0] === '_' && isWordChar(text[i - 1]);
+      const from = i + delimiter.length;
+      let closeIndex = -1;
+      if (!opensIntraword && from < (noCloserFrom[delimiter] ?? Infinity)) {
+        closeIndex = findClosing(text, delimiter, from);
+        if (closeIndex === -1) noCloserFrom[delimiter] = from;
+      }
+      // In "***text***" the strong delimiter closes after the inner emphasis
+      while (closeIndex !== -1 && delimiter.length === 2 && text[closeIndex + 2] === delimiter[0]) {
+        closeIndex++;
+      }
+      if (closeIndex !== -1) {
+        const type = delimiter === '~~' ? 'delete' : delimiter.length === 2 ? 'strong' : 'emphasis';
+        flush();
+        nodes.push({ type, children: parseInline(text.slice(i + delimiter.length, closeIndex), depth + 1) });
+        i = closeIndex + delimiter.length;
+        continue;
+      }
+      buffer += delimiter;
+      i += delimiter.length;
+      continue;
+    }
+
+    buffer += char;
+    i++;
+  }
+
+  flush();
+  return nodes;
+};
+
+/* ---------------------------------------------------------------------------
+ * Block parsing
+ * ------------------------------------------------------------------------- */
+
+const indentOf = (line) => line.match(/^ */)[0].length;
+
+// Split a table row on unescaped pipes outside code spans
+const splitTableRow = (line) => {
+  let row = line.trim();
+  if (row.startsWith('|')) row = row.slice(1);
+  if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+
+  const cells = [];
+  let cell = '';
+  let inCode = false;
+  for (let i = 0; i < row.length; i++) {
+    const char = row[i];
+    if (char === '\\' && row[i + 1] === '|') {
+      cell += '|';
+      i++;
+    } else if (char === '`') {
+      inCode = !inCode;
+      cell += char;
+    } else if (char === '|' && !inCode) {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+};
+
+const isTableStart = (lines, i) => (
+  lines[i].includes('|') &&
+  i + 1 < lines.length &&
+  TABLE_DELIMITER_RE.test(lines[i + 1]) &&
+  lines[i + 1].includes('-') &&
+  splitTableRow(lines[i]).length === splitTableRow(lines[i + 1]).length
+);
+
+// Only bullets and lists numbered from 1 may interrupt a paragraph, so that
+// sentences such as "2023. A record year" stay part of the text
+const startsList = (line) => {
+  const match = line.match(LIST_ITEM_RE);
+  return !!match && match[4].trim() !== '' && (!/\d/.test(match[2]) || parseInt(match[2], 10) === 1);
+};
+
+// Whether a line starts a block that ends the current paragraph
+const startsBlock = (lines, i) => {
+  const line = lines[i];
+  return (
+    FENCE_RE.test(line) ||
+    HEADING_RE.test(line) ||
+    RULE_RE.test(line) ||
+    BLOCKQUOTE_RE.test(line) ||
+    startsList(line) ||
+    isTableStart(lines, i)
+  );
+};
+
+const parseTable = (lines, start) => {
+  const header = splitTableRow(lines[start]);
+  const align = splitTableRow(lines[start + 1]).map(cell => {
+    const left = cell.startsWith(':');
+    const right = cell.endsWith(':');
+    if (left && right) return 'center';
+    if (right) return 'right';
+    if (left) return 'left';
+    return null;
+  });
+
+  const rows = [];
+  let i = start + 2;
+  while (i < lines.length && lines[i].trim() && lines[i].includes('|') && !startsBlock(lines, i)) {
+    const cells = splitTableRow(lines[i]);
+    rows.push(header.map((_, column) => parseInline(cells[column] || '')));
+    i++;
+  }
+
+  return {
+    block: {
+      type: 'table',
+      align,
+      header: header.map(cell => parseInline(cell)),
+      rows
+    },
+    next: i
+  };
+};
+
+const parseList = (lines, start, depth) => {
+  const first = lines[start].match(LIST_ITEM_RE);
+  const baseIndent = first[1].length;
+  const ordered = /\d/.test(first[2]);
+  const bulletChar = ordered ? first[2].slice(-1) : first[2];
+
+  const items = [];
+  let current = null;
+  let loose = false;
+  let i = start;
+  let previousBlank = false;
+
+  const closeItem = () => {
+    if (current) items.push(current);
+  };
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      previousBlank = true;
+      current?.lines.push('');
+      i++;
+      continue;
+    }
+
+    const indent = indentOf(line);
+    const itemMatch = line.match(LIST_ITEM_RE);
+    // Deeper list markers nest even when under-indented, which is common in
+    // model output ("1. item" followed by "  - detail")
+    const isNested = current && (itemMatch ? indent > baseIndent : indent >= current.contentIndent);
+
+    if (isNested) {
+      if (previousBlank && !itemMatch) loose = true;
+      current.lines.push(line.slice(Math.min(indent, current.contentIndent)));
+      previousBlank = false;
+      i++;
+      continue;
+    }
+
+    if (itemMatch) {
+      const markerOrdered = /\d/.test(itemMatch[2]);
+      const markerChar = markerOrdered ? itemMatch[2].slice(-1) : itemMatch[2];
+      if (indent < baseIndent || markerOrdered !== ordered || markerChar !== bulletChar) break;
+
+      if (previousBlank && current) loose = true;
+      closeItem();
+
+      const spacing = itemMatch[3].length;
+      const markerWidth = itemMatch[2].length + (spacing > 4 || spacing === 0 ? 1 : spacing);
+      let content = itemMatch[4];
+      let checked = null;
+      const task = content.match(TASK_RE);
+      if (task) {
+        checked = task[1].toLowerCase() === 'x';
+        content = content.slice(task[0].length);
+      }
+
+      current = {
+        contentIndent: indent + markerWidth,
+        number: markerOrdered ? parseInt(itemMatch[2], 10) : null,
+        checked,
+        lines: [content]
+      };
+      previousBlank = false;
+      i++;
+      continue;
+    }
+
+    // Lazy continuation of the item's paragraph
+    if (current && !previousBlank && !startsBlock(lines, i)) {
+      current.lines.push(line.trim());
+      i++;
+      continue;
+    }
+
+    break;
+  }
+  closeItem();
+
+  // Trailing blank lines belong to whatever follows the list
+  while (i > start && !lines[i - 1].trim()) i--;
+
+  return {
+    block: {
+      type: 'list',
+      ordered,
+      start: ordered ? items[0].number : null,
+      loose,
+      items: items.map(item => ({
+        checked: item.checked,
+        children: parseBlocks(trimBlankEdges(item.lines), depth + 1)
+      }))
+    },
+    next: i
+  };
+};
+
+const trimBlankEdges = (lines) => {
+  let start = 0;
+  let end = lines.length;
+  while (start < end && !lines[start].trim()) start++;
+  while (end > start && !lines[end - 1].trim()) end--;
+  return lines.slice(start, end);
+};
+
+const parseBlocks = (lines, depth = 0) => {
+  if (depth >= MAX_NESTING) {
+    return [{ type: 'paragraph', children: [{ type: 'text', value: lines.join('\n') }] }];
+  }
+
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    // Fenced code
+    const fence = line.match(FENCE_RE);
+    if (fence) {
+      const marker = fence[1];
+      const fenceIndent = indentOf(line);
+      const code = [];
+      i++;
+      while (i < lines.length) {
+        const closing = lines[i].trim();
+        if (closing.startsWith(marker[0].repeat(marker.length)) && /^([`~])\1*$/.test(closing)) {
+          i++;
+          break;
+        }
+        code.push(lines[i].slice(Math.min(fenceIndent, indentOf(lines[i]))));
+        i++;
+      }
+      blocks.push({ type: 'code', language: fence[2] || '', value: code.join('\n') });
+      continue;
+    }
+
+    const heading = line.match(HEADING_RE);
+    if (heading) {
+      blocks.push({ type: 'heading', depth: heading[1].length, children: parseInline(heading[2] || '') });
+      i++;
+      continue;
+    }
+
+    if (RULE_RE.test(line)) {
+      blocks.push({ type: 'rule' });
+      i++;
+      continue;
+    }
+
+    if (BLOCKQUOTE_RE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && lines[i].trim()) {
+        quoted.push(lines[i].replace(BLOCKQUOTE_RE, ''));
+        i++;
+      }
+      blocks.push({ type: 'blockquote', children: parseBlocks(quoted, depth + 1) });
+      continue;
+    }
+
+    if (isTableStart(lines, i)) {
+      const { block, next } = parseTable(lines, i);
+      blocks.push(block);
+      i = next;
+      continue;
+    }
+
+    if (LIST_ITEM_RE.test(line)) {
+      const { block, next } = parseList(lines, i, depth);
+      blocks.push(block);
+      i = next;
+      continue;
+    }
+
+    // Paragraph: runs until a blank line or the start of another block
+    const paragraph = [line.trim()];
+    i++;
+    while (i < lines.length && lines[i].trim() && !startsBlock(lines, i)) {
+      paragraph.push(lines[i].trim());
+      i++;
+    }
+    blocks.push({ type: 'paragraph', children: parseInline(paragraph.join('\n')) });
+  }
+
+  return blocks;
+};
+
+// Parse a Markdown string into an array of block nodes
+export const parseMarkdown = (markdown) => {
+  if (typeof markdown !== 'string' || !markdown) return [];
+
+  const lines = markdown
+    .replace(/\r\n?/g, '\n')
+    .replace(/\t/g, '    ')
+    .split('\n');
+
+  return parseBlocks(lines);
+};
+
+/* ---------------------------------------------------------------------------
+ * Inline math
+ * ------------------------------------------------------------------------- */
+
+const MATH_SYMBOLS = {
+  '\\circ': '°',
+  '\\degree': '°',
+  '\\times': '×',
+  '\\cdot': '·',
+  '\\pm': '±',
+  '\\mu': 'µ',
+  '\\sigma': 'σ',
+  '\\rho': 'ρ',
+  '\\theta': 'θ',
+  '\\Delta': 'Δ',
+  '\\delta': 'δ',
+  '\\approx': '≈',
+  '\\leq': '≤',
+  '\\geq': '≥',
+  '\\le': '≤',
+  '\\ge': '≥',
+  '\\%': '%',
+  '\\,': '\u2009',
+  '\\;': ' ',
+  '\\ ': ' '
+};
+
+// Turn the small subset of TeX used for units into text, superscript and
+// subscript segments: [{ text, script: null | 'sup' | 'sub' }]
+export const parseMath = (source) => {
+  let text = source.replace(/\\(?:text|mathrm|mathit)\{([^}]*)\}/g, '$1');
+  Object.keys(MATH_SYMBOLS)
+    .sort((a, b) => b.length - a.length)
+    .forEach(symbol => {
+      text = text.split(symbol).join(MATH_SYMBOLS[symbol]);
+    });
+
+  // A raised degree sign is just a degree sign
+  text = text.replace(/\^\{?°\}?/g, '°');
+
+  const segments = [];
+  const pattern = /([\^_])(?:\{([^}]*)\}|(.))/g;
+  let lastIndex = 0;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    if (match.index > lastIndex) {
+      segments.push({ text: text.slice(lastIndex, match.index), script: null });
+    }
+    segments.push({ text: match[2] ?? match[3], script: match[1] === '^' ? 'sup' : 'sub' });
+    lastIndex = pattern.lastIndex;
+  }
+  if (lastIndex < text.length) {
+    segments.push({ text: text.slice(lastIndex), script: null });
+  }
+  return segments;
+};
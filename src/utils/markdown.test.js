@@ -0,0 +1,283 @@
+import { describe, expect, it } from 'vitest';
+import { parseInline, parseMarkdown, parseMath, sanitizeUrl } from './markdown';
+
+const text = (value) => ({ type: 'text', value });
+const paragraph = (...children) => ({ type: 'paragraph', children });
+
+// All text of a node tree, in order
+const textOf = (nodes) => nodes.map(node => node.value ?? textOf(node.children ?? [])).join('');
+
+// Every node of a tree, at any depth
+const allNodes = (nodes) => nodes.flatMap(node => [
+  node,
+  ...allNodes(node.children ?? []),
+  ...allNodes(node.items ?? []),
+  ...allNodes(node.header?.flat() ?? []),
+  ...allNodes(node.rows?.flat(2) ?? [])
+]);
+
+describe('sanitizeUrl', () => {
+  it('keeps http(s) and mailto URLs', () => {
+    expect(sanitizeUrl('https://argo.ucsd.edu/data')).toBe('https://argo.ucsd.edu/data');
+    expect(sanitizeUrl('http://example.org')).toBe('http://example.org/');
+    expect(sanitizeUrl('mailto:argo@example.org')).toBe('mailto:argo@example.org');
+  });
+
+  it('completes www. links to https', () => {
+    expect(sanitizeUrl('www.example.org')).toBe('https://www.example.org/');
+  });
+
+  it.each([
+    'javascript:alert(1)',
+    'JavaScript:alert(1)',
+    'data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==',
+    'vbscript:msgbox(1)',
+    'file:///etc/passwd'
+  ])('rejects %s', (url) => {
+    expect(sanitizeUrl(url)).toBeNull();
+  });
+
+  it.each([
+    'java\tscript:alert(1)',
+    'java\nscript:alert(1)',
+    'java\u0000script:alert(1)',
+    ' \u0001javascript:alert(1)',
+    'java\u007fscript:alert(1)',
+    'java\u0085script:alert(1)'
+  ])('rejects schemes hidden with control characters (%j)', (url) => {
+    expect(sanitizeUrl(url)).toBeNull();
+  });
+
+  it('rejects relative, empty and non-string targets', () => {
+    expect(sanitizeUrl('/api/floats')).toBeNull();
+    expect(sanitizeUrl('')).toBeNull();
+    expect(sanitizeUrl(null)).toBeNull();
+    expect(sanitizeUrl({})).toBeNull();
+  });
+});
+
+describe('parseMarkdown', () => {
+  it('returns no blocks for empty or non-string input', () => {
+    expect(parseMarkdown('')).toEqual([]);
+    expect(parseMarkdown(undefined)).toEqual([]);
+  });
+
+  it('keeps raw HTML as literal text', () => {
+    const source = '<script>alert(1)</script> <img src=x onerror="alert(1)">';
+    expect(parseMarkdown(source)).toEqual([paragraph(text(source))]);
+  });
+
+  it('never links unsafe targets but keeps their label', () => {
+    const blocks = parseMarkdown('[click](javascript:alert(1)) and ![x](data:image/svg+xml,<svg onload=alert(1)>)');
+    expect(allNodes(blocks).filter(node => node.type === 'link')).toEqual([]);
+    expect(textOf(blocks[0].children)).toContain('click');
+  });
+
+  it('parses headings, rules and blockquotes', () => {
+    expect(parseMarkdown('## Salinity ##\n\n---\n\n> quoted **text**')).toEqual([
+      { type: 'heading', depth: 2, children: [text('Salinity')] },
+      { type: 'rule' },
+      {
+        type: 'blockquote',
+        children: [paragraph(text('quoted '), { type: 'strong', children: [text('text')] })]
+      }
+    ]);
+  });
+
+  describe('tables', () => {
+    it('parses alignment, inline content and escaped pipes', () => {
+      const [table] = parseMarkdown([
+        '| Float | Temp (°C) | Note |',
+        '|:------|----------:|:----:|',
+        '| 2902746 | 28.4 | `a|b` |',
+        '| x \\| y | **29.1** |'
+      ].join('\n'));
+
+      expect(table.type).toBe('table');
+      expect(table.align).toEqual(['left', 'right', 'center']);
+      expect(table.header.map(textOf)).toEqual(['Float', 'Temp (°C)', 'Note']);
+      expect(table.rows[0][2]).toEqual([{ type: 'code', value: 'a|b' }]);
+      // Short rows are padded to the header width
+      expect(table.rows[1].map(textOf)).toEqual(['x | y', '29.1', '']);
+      expect(table.rows[1][1]).toEqual([{ type: 'strong', children: [text('29.1')] }]);
+    });
+
+    it('needs a delimiter row with as many cells as the header', () => {
+      expect(parseMarkdown('| a | b |\n|---|')[0].type).toBe('paragraph');
+      expect(parseMarkdown('a | b')[0].type).toBe('paragraph');
+    });
+  });
+
+  describe('lists', () => {
+    it('nests under-indented markers of another kind', () => {
+      const [list] = parseMarkdown('1. one\n  - nested\n    - deeper\n2. two');
+      expect(list).toMatchObject({ type: 'list', ordered: true, start: 1, loose: false });
+      expect(list.items).toHaveLength(2);
+
+      const nested = list.items[0].children[1];
+      expect(nested).toMatchObject({ type: 'list', ordered: false });
+      expect(textOf(nested.items[0].children[0].children)).toBe('nested');
+      expect(nested.items[0].children[1].items[0].children).toEqual([paragraph(text('deeper'))]);
+    });
+
+    it('keeps the start number and task states', () => {
+      expect(parseMarkdown('3. three\n4. four')[0].start).toBe(3);
+      expect(parseMarkdown('- [x] done\n- [ ] todo')[0].items.map(item => item.checked)).toEqual([true, false]);
+    });
+
+    it('marks lists with blank lines between items as loose', () => {
+      expect(parseMarkdown('- a\n\n- b')[0].loose).toBe(true);
+    });
+
+    it('does not start a list inside a paragraph with a year', () => {
+      expect(parseMarkdown('The warmest year was\n2023. A record')).toEqual([
+        paragraph(text('The warmest year was'), { type: 'break' }, text('2023. A record'))
+      ]);
+    });
+  });
+
+  describe('fenced code', () => {
+    it('keeps the language and the code verbatim', () => {
+      expect(parseMarkdown('```python\nx = "<b>**not bold**</b>"\n```')).toEqual([
+        { type: 'code', language: 'python', value: 'x = "<b>**not bold**</b>"' }
+      ]);
+    });
+
+    it('runs an unterminated fence to the end of the message', () => {
+      expect(parseMarkdown('Text\n\n~~~\nline 1\n\nline 2')).toEqual([
+        paragraph(text('Text')),
+        { type: 'code', language: '', value: 'line 1\n\nline 2' }
+      ]);
+    });
+
+    it('only closes on a fence of the same character', () => {
+      expect(parseMarkdown('```\na\n~~~\nb\n```')[0].value).toBe('a\n~~~\nb');
+    });
+  });
+
+  it('keeps very deep nesting as text instead of overflowing the stack', () => {
+    const quotes = parseMarkdown(`${'>'.repeat(5000)} deep`);
+    expect(textOf(allNodes(quotes).filter(node => node.type === 'paragraph'))).toContain('deep');
+
+    const links = `${'['.repeat(5000)}a${'](https://example.org)'.repeat(5000)}`;
+    expect(() => parseMarkdown(links)).not.toThrow();
+  });
+});
+
+describe('parseInline', () => {
+  describe('emphasis', () => {
+    it('parses strong, emphasis, strikethrough and their nesting', () => {
+      expect(parseInline('**b** *i* ~~s~~ ***both***')).toEqual([
+        { type: 'strong', children: [text('b')] },
+        text(' '),
+        { type: 'emphasis', children: [text('i')] },
+        text(' '),
+        { type: 'delete', children: [text('s')] },
+        text(' '),
+        { type: 'strong', children: [{ type: 'emphasis', children: [text('both')] }] }
+      ]);
+    });
+
+    it('leaves intraword underscores alone', () => {
+      expect(parseInline('snake_case_name and __init__')).toEqual([
+        text('snake_case_name and '),
+        { type: 'strong', children: [text('init')] }
+      ]);
+    });
+
+    it('needs delimiters that touch their text', () => {
+      expect(parseInline('2 * 3 * 4')).toEqual([text('2 * 3 * 4')]);
+      expect(parseInline('*a *')).toEqual([text('*a *')]);
+    });
+
+    it('keeps unclosed and escaped delimiters as text', () => {
+      expect(parseInline('**bold')).toEqual([text('**bold')]);
+      expect(parseInline('\\*not emphasis\\*')).toEqual([text('*not emphasis*')]);
+    });
+
+    it('parses long runs of unclosed delimiters in linear time', () => {
+      const started = performance.now();
+      parseInline('*a '.repeat(20000));
+      parseInline('_a '.repeat(20000));
+      parseInline('['.repeat(20000));
+      parseInline('[a]('.repeat(20000));
+      expect(performance.now() - started).toBeLessThan(2000);
+    });
+  });
+
+  describe('links', () => {
+    it('parses titles and parentheses in the target', () => {
+      expect(parseInline('[Argo](https://en.wikipedia.org/wiki/Argo_(oceanography) "Wiki")')).toEqual([
+        {
+          type: 'link',
+          href: 'https://en.wikipedia.org/wiki/Argo_(oceanography)',
+          title: 'Wiki',
+          children: [text('Argo')]
+        }
+      ]);
+    });
+
+    it('parses nested brackets in the label', () => {
+      expect(parseInline('[a [b] c](https://x.org)')[0].children).toEqual([text('a [b] c')]);
+    });
+
+    it('shows images as links', () => {
+      expect(parseInline('![map](https://x.org/map.png)')).toEqual([
+        { type: 'link', href: 'https://x.org/map.png', title: undefined, children: [text('map')] }
+      ]);
+    });
+
+    it('keeps unmatched brackets and targets as text', () => {
+      expect(parseInline('[label] and [open](https://x.org')).toEqual([
+        text('[label] and [open]('),
+        { type: 'link', href: 'https://x.org/', children: [text('https://x.org')] }
+      ]);
+    });
+
+    it('autolinks bare and bracketed URLs without trailing punctuation', () => {
+      expect(parseInline('See www.argo.net. Or (<https://x.org>).')).toEqual([
+        text('See '),
+        { type: 'link', href: 'https://www.argo.net/', children: [text('www.argo.net')] },
+        text('. Or ('),
+        { type: 'link', href: 'https://x.org/', children: [text('https://x.org')] },
+        text(').')
+      ]);
+    });
+
+    it('does not parse links inside code spans', () => {
+      expect(parseInline('`[a](https://x.org)`')).toEqual([{ type: 'code', value: '[a](https://x.org)' }]);
+    });
+  });
+
+  describe('math', () => {
+    it('parses inline math but not prices', () => {
+      expect(parseInline('Density in $kg\\,m^{-3}$ costs $5 or $10')).toEqual([
+        text('Density in '),
+        { type: 'math', value: 'kg\\,m^{-3}' },
+        text(' costs $5 or $10')
+      ]);
+    });
+
+    it('does not span lines or start before a space', () => {
+      expect(parseInline('$ a$')).toEqual([text('$ a$')]);
+      expect(parseInline('$a\nb$')).toEqual([text('$a'), { type: 'break' }, text('b$')]);
+    });
+  });
+});
+
+describe('parseMath', () => {
+  it('splits superscripts and subscripts', () => {
+    expect(parseMath('kg\\,m^{-3}')).toEqual([
+      { text: 'kg m', script: null },
+      { text: '-3', script: 'sup' }
+    ]);
+    expect(parseMath('O_2')).toEqual([
+      { text: 'O', script: null },
+      { text: '2', script: 'sub' }
+    ]);
+  });
+
+  it('replaces symbols and raised degree signs', () => {
+    expect(parseMath('28 \\pm 0.5^\\circ \\text{C}')).toEqual([{ text: '28 ± 0.5° C', script: null }]);
+  });
+});
@@ -0,0 +1,111 @@
+// Alternative answers and edited questions in a chat.
+//
+// Messages stay a flat array; alternatives are stored on the message itself:
+// - A bot message may have `versions` (regenerated answers) and an
+//   `activeVersion`. Its top-level text/data always mirror the active version.
+// - A user message may have `branches` (edited questions) and an
+//   `activeBranch`. Each inactive branch keeps the messages that followed it
+//   in `tail`, so switching branches swaps the rest of the conversation.
+
+const VERSION_FIELDS = ['text', 'data', 'timestamp', 'isError', 'isStopped', 'droppedTurns'];
+
+const pickVersion = (source) => Object.fromEntries(
+  VERSION_FIELDS.filter(field => field in source).map(field => [field, source[field]])
+);
+
+// Apply changes to a message, keeping its active version in sync
+export const applyMessageChanges = (message, changes) => {
+  const next = { ...message, ...changes };
+  if (Array.isArray(next.versions)) {
+    next.versions = next.versions.map((version, index) => (
+      index === next.activeVersion ? { ...version, ...pickVersion(changes) } : version
+    ));
+  }
+  return next;
+};
+
+// Start a new, empty answer version that the next stream fills in
+export const addVersion = (message) => {
+  const versions = message.versions || [pickVersion(message)];
+  const timestamp = new Date().toISOString();
+  return {
+    ...message,
+    text: '',
+    data: undefined,
+    timestamp,
+    isError: false,
+    isStopped: false,
+    droppedTurns: 0,
+    isStreaming: true,
+    versions: [...versions, { text: '', timestamp }],
+    activeVersion: versions.length
+  };
+};
+
+// Restart the active answer version in place (used by retry)
+export const resetActiveVersion = (message) => applyMessageChanges(message, {
+  text: '',
+  data: undefined,
+  timestamp: new Date().toISOString(),
+  isError: false,
+  isStopped: false,
+  droppedTurns: 0,
+  isStreaming: true
+});
+
+export const selectVersion = (message, index) => {
+  if (!message.versions?.[index]) return message;
+  return {
+    ...message,
+    data: undefined,
+    isError: false,
+    isStopped: false,
+    droppedTurns: 0,
+    ...message.versions[index],
+    activeVersion: index
+  };
+};
+
+// Edit the user message at `index`, branching the conversation from there.
+// Returns the new messages array, ending with the edited message.
+export const branchFromMessage = (messages, index, text) => {
+  const message = messages[index];
+  const tail = messages.slice(index + 1);
+  const timestamp = new Date().toISOString();
+
+  const branches = (message.branches || [{ text: message.text, timestamp: message.timestamp }])
+    .map((branch, branchIndex) => (
+      branchIndex === (message.activeBranch ?? 0) ? { ...branch, tail } : branch
+    ));
+
+  return [
+    ...messages.slice(0, index),
+    {
+      ...message,
+      text,
+      timestamp,
+      branches: [...branches, { text, timestamp }],
+      activeBranch: branches.length
+    }
+  ];
+};
+
+// Switch the user message at `index` to another branch and its follow-ups
+export const selectBranch = (messages, index, branchIndex) => {
+  const message = messages[index];
+  const target = message.branches?.[branchIndex];
+  if (!target || branchIndex === message.activeBranch) return messages;
+
+  const tail = messages.slice(index + 1);
+  const branches = message.branches.map((branch, i) => {
+    if (i === message.activeBranch) return { ...branch, tail };
+    if (i === branchIndex) return { text: branch.text, timestamp: branch.timestamp };
+    return branch;
+  });
+
+  return [
+    ...messages.slice(0, index),
+    { ...message, text: target.text, timestamp: target.timestamp, branches, activeBranch: branchIndex },
+    ...(target.tail || [])
+  ];
+};
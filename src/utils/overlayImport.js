@@ -0,0 +1,83 @@
+// Reading user files into map overlays. GeoJSON is parsed here; KML and
+// zipped shapefiles go through @tmcw/togeojson and shpjs, which are only
+// downloaded when such a file is imported.
+
+export const OVERLAY_FILE_ACCEPT = '.geojson,.json,.kml,.zip';
+
+// Overlay colors, handed out in order
+export const OVERLAY_COLORS = ['#0ea5e9', '#f43f5e', '#84cc16', '#a855f7', '#f97316', '#14b8a6', '#eab308', '#64748b'];
+
+export const nextOverlayColor = (overlays) => {
+  const used = new Set(overlays.map(overlay => overlay.color));
+  return OVERLAY_COLORS.find(color => !used.has(color)) || OVERLAY_COLORS[overlays.length % OVERLAY_COLORS.length];
+};
+
+const GEOMETRY_TYPES = ['Point', 'MultiPoint', 'LineString', 'MultiLineString', 'Polygon', 'MultiPolygon', 'GeometryCollection'];
+
+// Any GeoJSON object (or a list of them, as shpjs returns for several layers)
+// as one FeatureCollection
+const toFeatureCollection = (data) => {
+  if (Array.isArray(data)) {
+    return { type: 'FeatureCollection', features: data.flatMap(item => toFeatureCollection(item).features) };
+  }
+  if (data?.type === 'FeatureCollection') {
+    return { type: 'FeatureCollection', features: (data.features || []).filter(feature => feature?.geometry) };
+  }
+  if (data?.type === 'Feature') {
+    return { type: 'FeatureCollection', features: data.geometry ? [data] : [] };
+  }
+  if (GEOMETRY_TYPES.includes(data?.type)) {
+    return { type: 'FeatureCollection', features: [{ type: 'Feature', properties: {}, geometry: data }] };
+  }
+  throw new Error('The file is not GeoJSON.');
+};
+
+const fileExtension = (fileName) => fileName.toLowerCase().split('.').pop();
+
+const readGeoJson = async (file) => {
+  try {
+    return JSON.parse(await file.text());
+  } catch {
+    throw new Error('The file is not valid JSON.');
+  }
+};
+
+const readKml = async (file) => {
+  const document = new DOMParser().parseFromString(await file.text(), 'text/xml');
+  if (document.getElementsByTagName('parsererror').length) {
+    throw new Error('The file is not valid KML.');
+  }
+  const { kml } = await import('@tmcw/togeojson');
+  return kml(document);
+};
+
+const readShapefile = async (file) => {
+  const { parseZip } = await import('shpjs');
+  try {
+    return await parseZip(await file.arrayBuffer());
+  } catch (error) {
+    throw new Error('The zip file does not contain a readable shapefile.', { cause: error });
+  }
+};
+
+const READERS = {
+  geojson: { source: 'geojson', read: readGeoJson },
+  json: { source: 'geojson', read: readGeoJson },
+  kml: { source: 'kml', read: readKml },
+  zip: { source: 'shapefile', read: readShapefile }
+};
+
+// { name, source, geojson } for a dropped or chosen file. Errors carry a
+// message that can be shown to the user.
+export const readOverlayFile = async (file) => {
+  const reader = READERS[fileExtension(file.name)];
+  if (!reader) {
+    throw new Error(`${file.name} is not a GeoJSON, KML or zipped shapefile.`);
+  }
+
+  const geojson = toFeatureCollection(await reader.read(file));
+  if (!geojson.features.length) {
+    throw new Error(`${file.name} does not contain any shapes.`);
+  }
+  return { name: file.name.replace(/\.[^.]+$/, ''), source: reader.source, geojson };
+};
@@ -0,0 +1,30 @@
+// Helpers for the profiles of a float (see getFloatProfiles): picking the
+// one on display and summarizing its levels.
+
+// Index of the profile of `cycle`, or of the latest one when the float has
+// no such cycle (-1 without profiles)
+export const profileIndexForCycle = (profiles, cycle) => {
+  const index = profiles.findIndex(profile => cycle !== null && profile.cycle === cycle);
+  return index >= 0 ? index : profiles.length - 1;
+};
+
+const parameterStats = (levels, parameter) => {
+  const values = levels.map(level => level[parameter]).filter(Number.isFinite);
+  if (!values.length) return null;
+  return {
+    surface: values[0],
+    min: Math.min(...values),
+    max: Math.max(...values),
+    mean: values.reduce((sum, value) => sum + value, 0) / values.length
+  };
+};
+
+// Summary statistics of one profile's levels, shallowest first:
+// { levelCount, maxDepth, temperature, salinity }. A parameter without any
+// values is null.
+export const profileStats = (levels = []) => ({
+  levelCount: levels.length,
+  maxDepth: levels.length ? Math.max(...levels.map(level => level.depth)) : null,
+  temperature: parameterStats(levels, 'temperature'),
+  salinity: parameterStats(levels, 'salinity')
+});
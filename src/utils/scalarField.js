@@ -0,0 +1,75 @@
+// Inverse-distance-weighted (IDW) interpolation of point values, used to
+// draw temperature and salinity as a continuous field. Points are
+// { lat, lng, value }.
+
+const EARTH_RADIUS_KM = 6371;
+const TO_RADIANS = Math.PI / 180;
+
+export const IDW_DEFAULTS = {
+  power: 2,
+  searchRadiusKm: 800,
+  maxDistanceKm: 400
+};
+
+// Points prepared for repeated lookups: radians, finite values only
+export const preparePoints = (points) => points
+  .filter(point => Number.isFinite(point.lat) && Number.isFinite(point.lng) && Number.isFinite(point.value))
+  .map(point => ({ lat: point.lat * TO_RADIANS, lng: point.lng * TO_RADIANS, value: point.value }));
+
+// Equirectangular distance - accurate enough at the radii used here and much
+// cheaper than the haversine formula when run for every grid cell
+const distanceKm = (lat, lng, point) => {
+  let dLng = Math.abs(lng - point.lng);
+  if (dLng > Math.PI) dLng = 2 * Math.PI - dLng;
+  const x = dLng * Math.cos((lat + point.lat) / 2);
+  const y = lat - point.lat;
+  return Math.sqrt(x * x + y * y) * EARTH_RADIUS_KM;
+};
+
+// Interpolated value at { lat, lng } (degrees) from prepared points. Points
+// farther than `searchRadiusKm` are ignored; the result is null when the
+// nearest point is more than `maxDistanceKm` away.
+export const interpolateAt = (prepared, { lat, lng }, options = IDW_DEFAULTS) => {
+  const { power, searchRadiusKm, maxDistanceKm } = { ...IDW_DEFAULTS, ...options };
+  const latRad = lat * TO_RADIANS;
+  const lngRad = lng * TO_RADIANS;
+  // Points farther than this in latitude alone can be skipped
+  const reachLat = Math.max(searchRadiusKm, maxDistanceKm) / EARTH_RADIUS_KM;
+
+  let nearest = Infinity;
+  let weightSum = 0;
+  let valueSum = 0;
+  for (const point of prepared) {
+    if (Math.abs(point.lat - latRad) > reachLat) continue;
+
+    const distance = distanceKm(latRad, lngRad, point);
+    if (distance < 1e-3) return point.value;
+    if (distance < nearest) nearest = distance;
+    if (distance > searchRadiusKm) continue;
+
+    const weight = 1 / distance ** power;
+    weightSum += weight;
+    valueSum += weight * point.value;
+  }
+
+  if (nearest > maxDistanceKm || weightSum === 0) return null;
+  return valueSum / weightSum;
+};
+
+// Interpolate onto a regular lat/lng grid over `bounds` ({ south, west,
+// north, east }) with `columns` x `rows` nodes, corners included. Values are
+// row-major from the south-west corner; NaN where the field is masked.
+export const interpolateGrid = (prepared, bounds, { columns, rows }, options = IDW_DEFAULTS) => {
+  const values = new Float64Array(columns * rows);
+  const latStep = (bounds.north - bounds.south) / (rows - 1);
+  const lngStep = (bounds.east - bounds.west) / (columns - 1);
+
+  for (let row = 0; row < rows; row++) {
+    const lat = bounds.south + row * latStep;
+    for (let column = 0; column < columns; column++) {
+      const value = interpolateAt(prepared, { lat, lng: bounds.west + column * lngStep }, options);
+      values[row * columns + column] = value === null ? NaN : value;
+    }
+  }
+  return { bounds, columns, rows, latStep, lngStep, values };
+};
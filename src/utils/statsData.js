@@ -0,0 +1,32 @@
+// Normalization of `stats` payloads returned by /ask: a list
+// `[{ label, value, unit }]` or a map `{ label: value | { value, unit } }`.
+// Returns a list of stats whose fields can be shown as text, or null when the
+// payload holds neither shape or no usable entry.
+
+const STAT_TEXT_FIELDS = ['label', 'value', 'unit', 'change', 'changeUnit', 'description'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Nested objects are shown as JSON rather than "[object Object]"
+const toText = (value) => (value !== null && typeof value === 'object' ? JSON.stringify(value) : value);
+
+const toStat = (stat) => Object.fromEntries(Object.entries(stat).map(([key, value]) => (
+  STAT_TEXT_FIELDS.includes(key) ? [key, toText(value)] : [key, value]
+)));
+
+export const normalizeStats = (payload) => {
+  const source = payload.stats || payload.statistics || payload.values || [];
+
+  let stats;
+  if (Array.isArray(source)) {
+    stats = source.filter(isPlainObject);
+  } else if (isPlainObject(source)) {
+    stats = Object.entries(source).map(([label, value]) => (
+      isPlainObject(value) ? { label, ...value } : { label, value }
+    ));
+  } else {
+    return null;
+  }
+
+  return stats.length ? stats.map(toStat) : null;
+};
@@ -0,0 +1,40 @@
+import { describe, expect, it } from 'vitest';
+import { normalizeStats } from './statsData';
+
+describe('normalizeStats', () => {
+  it('keeps a list of stats', () => {
+    expect(normalizeStats({ stats: [{ label: 'Mean SST', value: 28.4, unit: '°C' }] })).toEqual([
+      { label: 'Mean SST', value: 28.4, unit: '°C' }
+    ]);
+  });
+
+  it('turns a map into labelled stats', () => {
+    expect(normalizeStats({ statistics: { floats: 42, mean_salinity: { value: 35.1, unit: 'PSU' } } })).toEqual([
+      { label: 'floats', value: 42 },
+      { label: 'mean_salinity', value: 35.1, unit: 'PSU' }
+    ]);
+  });
+
+  it('drops list entries that are not objects', () => {
+    expect(normalizeStats({ stats: [null, 'Mean SST', 7, ['a'], { label: 'Floats', value: 42 }] })).toEqual([
+      { label: 'Floats', value: 42 }
+    ]);
+  });
+
+  it('shows nested objects as JSON', () => {
+    expect(normalizeStats({ stats: [{ label: 'Range', value: { min: 1, max: 2 }, description: ['a'] }] })).toEqual([
+      { label: 'Range', value: '{"min":1,"max":2}', description: '["a"]' }
+    ]);
+  });
+
+  it.each([
+    { stats: 'abc' },
+    { stats: 42 },
+    { stats: [null] },
+    { stats: [] },
+    { statistics: {} },
+    {}
+  ])('returns null for %j', (payload) => {
+    expect(normalizeStats(payload)).toBeNull();
+  });
+});
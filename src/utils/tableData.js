@@ -0,0 +1,24 @@
+// Normalization of `table` payloads returned by /ask.
+// Columns may be strings or { key, label, unit }; rows may be arrays in column
+// order or objects keyed by column. Returns { columns, rows } with object rows,
+// or null when the rows or columns are not lists.
+export const normalizeTable = (payload) => {
+  const rawRows = payload.rows || payload.data || payload.records || [];
+  if (!Array.isArray(rawRows) || (payload.columns && !Array.isArray(payload.columns))) return null;
+
+  const firstObject = rawRows.find(row => row && typeof row === 'object' && !Array.isArray(row));
+
+  const rawColumns = payload.columns || (firstObject ? Object.keys(firstObject) : []);
+  const columns = rawColumns.map((column, index) => (
+    typeof column === 'object' && column !== null
+      ? { key: column.key ?? column.name ?? String(index), label: column.label ?? column.name ?? column.key, unit: column.unit }
+      : { key: String(column), label: String(column) }
+  ));
+
+  const rows = rawRows.map(row => {
+    if (!Array.isArray(row)) return row || {};
+    return Object.fromEntries(columns.map((column, index) => [column.key, row[index]]));
+  });
+
+  return { columns, rows };
+};
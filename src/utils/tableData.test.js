@@ -0,0 +1,27 @@
+import { describe, expect, it } from 'vitest';
+import { normalizeTable } from './tableData';
+
+describe('normalizeTable', () => {
+  it('maps array rows onto the columns', () => {
+    expect(normalizeTable({
+      columns: ['float', { key: 'temp', label: 'Temperature', unit: '°C' }],
+      rows: [[2902746, 28.4], null]
+    })).toEqual({
+      columns: [{ key: 'float', label: 'float' }, { key: 'temp', label: 'Temperature', unit: '°C' }],
+      rows: [{ float: 2902746, temp: 28.4 }, {}]
+    });
+  });
+
+  it('takes the columns from the first object row', () => {
+    expect(normalizeTable({ data: [{ id: 1, psal: 35.1 }] }).columns.map(column => column.key)).toEqual(['id', 'psal']);
+  });
+
+  it.each([
+    { rows: { id: 1 } },
+    { rows: 'id,temp' },
+    { records: 42 },
+    { columns: { id: 'ID' }, rows: [] }
+  ])('returns null for %j', (payload) => {
+    expect(normalizeTable(payload)).toBeNull();
+  });
+});
@@ -0,0 +1,52 @@
+// Helpers for float trajectories: the [{ cycle, date, lat, lng }] positions
+// from /api/floats/:id/trajectory, oldest first.
+
+// Line colors for the tracks on the map, handed out in order
+export const TRACK_COLORS = ['#7c3aed', '#db2777', '#0d9488', '#ea580c', '#4f46e5', '#65a30d', '#be123c', '#0369a1'];
+
+export const positionTime = (position) => {
+  const time = Date.parse(position?.date);
+  return Number.isFinite(time) ? time : null;
+};
+
+// First color not used by one of the current tracks
+export const nextTrackColor = (tracks) => {
+  const used = new Set(tracks.map(track => track.color));
+  return TRACK_COLORS.find(color => !used.has(color)) || TRACK_COLORS[tracks.length % TRACK_COLORS.length];
+};
+
+// Where the float was at `time`, interpolated between the two surrounding
+// positions. Null before the first position; the last one afterwards.
+export const positionAt = (positions, time) => {
+  const timed = positions.filter(position => positionTime(position) !== null);
+  if (!timed.length || time < positionTime(timed[0])) return null;
+
+  for (let index = 1; index < timed.length; index++) {
+    const next = timed[index];
+    const nextTime = positionTime(next);
+    if (time > nextTime) continue;
+
+    const previous = timed[index - 1];
+    const previousTime = positionTime(previous);
+    const mix = nextTime === previousTime ? 1 : (time - previousTime) / (nextTime - previousTime);
+    return {
+      lat: previous.lat + (next.lat - previous.lat) * mix,
+      lng: previous.lng + (next.lng - previous.lng) * mix,
+      cycle: mix < 0.5 ? previous.cycle : next.cycle
+    };
+  }
+  const last = timed[timed.length - 1];
+  return { lat: last.lat, lng: last.lng, cycle: last.cycle };
+};
+
+// Position closest to a clicked { lat, lng }
+export const nearestPosition = (positions, latlng) => positions.reduce((best, position) => {
+  const distance = (position.lat - latlng.lat) ** 2 + (position.lng - latlng.lng) ** 2;
+  return !best || distance < best.distance ? { position, distance } : best;
+}, null)?.position ?? null;
+
+// Time span covered by all the given tracks, or null when none has dates
+export const tracksTimeRange = (tracks) => {
+  const times = tracks.flatMap(track => track.positions.map(positionTime)).filter(time => time !== null);
+  return times.length ? { start: Math.min(...times), end: Math.max(...times) } : null;
+};
@@ -0,0 +1,211 @@
+// Normalization of the `trend_data` payload returned by /ask.
+//
+// The backend has returned trends in a few shapes over time:
+//   { years: [...], salinity: [...], unit: 'PSU' }
+//   { years: [...], temperature: [...], salinity: [...], units: { salinity: 'PSU' } }
+//   { years: [...], regions: { 'Arabian Sea': { temperature: [...] }, ... } }
+//   { x: [...], series: [{ name, parameter, region, unit, values: [...] }] }
+//   [{ year: 2020, temperature: 28.1 }, ...]
+// normalizeTrendData turns all of them into
+//   { xKey, xLabel, rows: [{ [xKey]: x, [seriesKey]: value }], series: [{ key, label, unit, parameter }] }
+// so charts and tables can render any series without knowing its name.
+
+const X_KEYS = ['years', 'year', 'dates', 'date', 'months', 'month', 'labels', 'x', 'time'];
+const META_KEYS = ['unit', 'units', 'source', 'sources', 'title', 'caption', 'metadata', 'region', 'type'];
+
+export const PARAMETER_UNITS = {
+  temperature: '°C',
+  temp: '°C',
+  sst: '°C',
+  salinity: 'PSU',
+  psal: 'PSU',
+  pressure: 'dbar',
+  depth: 'm',
+  oxygen: 'µmol/kg',
+  doxy: 'µmol/kg',
+  chlorophyll: 'mg/m³',
+  chla: 'mg/m³',
+  nitrate: 'µmol/kg',
+  ph: '',
+};
+
+export const SERIES_COLORS = ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#06b6d4', '#ec4899', '#84cc16'];
+
+const toLabel = (key) => key
+  .replace(/[_-]+/g, ' ')
+  .replace(/\b\w/g, char => char.toUpperCase());
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const isNumericArray = (value) => (
+  Array.isArray(value) && value.length > 0 && value.some(item => toNumber(item) !== null)
+);
+
+// Resolve the unit for a parameter from explicit metadata or known parameters
+const resolveUnit = (parameter, trend, seriesUnit, isOnlySeries) => {
+  const payloadUnit = typeof trend.unit === 'string' ? trend.unit : '';
+  if (seriesUnit !== undefined) return seriesUnit;
+  if (trend.units && typeof trend.units === 'object' && trend.units[parameter] !== undefined) {
+    return trend.units[parameter];
+  }
+  // A payload-wide `unit` is unambiguous when there is only one series
+  if (isOnlySeries && payloadUnit) return payloadUnit;
+  const known = PARAMETER_UNITS[parameter?.toLowerCase()];
+  return known !== undefined ? known : payloadUnit;
+};
+
+const findXValues = (trend) => {
+  const key = X_KEYS.find(candidate => Array.isArray(trend[candidate]));
+  return key ? { key, values: trend[key] } : null;
+};
+
+const fromRecords = (records) => {
+  const sample = records.find(record => record && typeof record === 'object') || {};
+  const xKey = X_KEYS.map(key => key.replace(/s$/, '')).find(key => key in sample) ||
+    Object.keys(sample).find(key => toNumber(sample[key]) === null) ||
+    Object.keys(sample)[0];
+
+  const parameters = Object.keys(sample).filter(key => key !== xKey && !META_KEYS.includes(key));
+  const series = parameters
+    .filter(parameter => records.some(record => toNumber(record?.[parameter]) !== null))
+    .map(parameter => ({ key: parameter, parameter, label: toLabel(parameter) }));
+
+  return {
+    xLabel: toLabel(xKey || 'x'),
+    xValues: records.map(record => record?.[xKey]),
+    series: series.map(item => ({ ...item, values: records.map(record => record?.[item.parameter]) }))
+  };
+};
+
+// Entries that are not objects or hold no list of points are skipped
+const fromSeriesList = (trend, xValues) => {
+  const series = trend.series.flatMap((item, index) => {
+    if (!item || typeof item !== 'object') return [];
+    const points = item.values || item.data;
+    if (!Array.isArray(points)) return [];
+
+    const parameter = item.parameter || item.variable || item.name || `series_${index + 1}`;
+    const label = item.label || [item.region, toLabel(item.name || parameter)].filter(Boolean).join(' – ');
+    // Series may carry their own x values as [{ x, y }] points
+    const values = points.map(point => (point && typeof point === 'object' ? point.y ?? point.value : point));
+    return [{ key: `s${index}`, parameter, label, unit: item.unit, values, xValues: points.map(point => point?.x) }];
+  });
+
+  const sharedX = xValues || series.find(item => item.xValues.some(x => x !== undefined))?.xValues || [];
+  return { xValues: sharedX, series };
+};
+
+const fromColumns = (trend, xValues) => {
+  const series = [];
+
+  Object.entries(trend).forEach(([key, value]) => {
+    if (X_KEYS.includes(key) || META_KEYS.includes(key)) return;
+
+    if (isNumericArray(value)) {
+      series.push({ key, parameter: key, label: toLabel(key), values: value });
+      return;
+    }
+
+    // Nested per-region series: { regions: { 'Arabian Sea': { temperature: [...] } } }
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      Object.entries(value).forEach(([region, columns]) => {
+        if (isNumericArray(columns)) {
+          series.push({ key: `${key}_${region}`, parameter: region, label: toLabel(region), values: columns });
+          return;
+        }
+        if (!columns || typeof columns !== 'object') return;
+        Object.entries(columns).forEach(([parameter, values]) => {
+          if (!isNumericArray(values)) return;
+          series.push({
+            key: `${region}_${parameter}`,
+            parameter,
+            label: `${region} – ${toLabel(parameter)}`,
+            values
+          });
+        });
+      });
+    }
+  });
+
+  return { xValues, series };
+};
+
+export const normalizeTrendData = (trend) => {
+  if (!trend) return null;
+
+  let normalized;
+  let xLabel = 'Year';
+  const metadata = Array.isArray(trend) ? {} : trend;
+
+  if (Array.isArray(trend)) {
+    normalized = fromRecords(trend);
+    xLabel = normalized.xLabel;
+  } else if (typeof trend === 'object') {
+    const x = findXValues(trend);
+    if (x) xLabel = toLabel(x.key.replace(/s$/, ''));
+    normalized = Array.isArray(trend.series)
+      ? fromSeriesList(trend, x?.values)
+      : fromColumns(trend, x?.values);
+  } else {
+    return null;
+  }
+
+  const { xValues, series } = normalized;
+  if (!series.length) return null;
+
+  const length = xValues?.length || Math.max(...series.map(item => item.values.length));
+  const xKey = '__x';
+  const rows = Array.from({ length }, (_, index) => {
+    const row = { [xKey]: xValues?.[index] ?? index + 1 };
+    series.forEach(item => {
+      row[item.key] = toNumber(item.values[index]);
+    });
+    return row;
+  });
+
+  return {
+    xKey,
+    xLabel,
+    rows,
+    series: series.map((item, index) => ({
+      key: item.key,
+      label: item.label,
+      parameter: item.parameter,
+      unit: resolveUnit(item.parameter, metadata, item.unit, series.length === 1),
+      color: SERIES_COLORS[index % SERIES_COLORS.length]
+    }))
+  };
+};
+
+// Build a human readable caption from source metadata in the response.
+// Returns null when the backend did not say where the data came from.
+export const getSourceCaption = (...candidates) => {
+  for (const candidate of candidates) {
+    if (!candidate) continue;
+    const source = candidate.source ?? candidate.sources ?? candidate.metadata?.source;
+    if (!source) continue;
+
+    if (typeof source === 'string') return source;
+    if (Array.isArray(source)) {
+      const names = source.map(item => (typeof item === 'string' ? item : item?.name)).filter(Boolean);
+      if (names.length) return names.join(', ');
+      continue;
+    }
+    if (typeof source === 'object') {
+      const parts = [source.name || source.program || source.dataset, source.period || source.range, source.region]
+        .filter(Boolean);
+      if (parts.length) return parts.join(' · ');
+    }
+  }
+  return null;
+};
+
+export const formatValue = (value, unit) => {
+  if (value === null || value === undefined) return '–';
+  const number = Math.abs(value) >= 100 ? value.toFixed(1) : value.toFixed(2);
+  return unit ? `${number} ${unit}` : number;
+};
@@ -0,0 +1,62 @@
+import { describe, expect, it } from 'vitest';
+import { normalizeTrendData } from './trendData';
+
+const seriesSummary = (trend) => trend.series.map(({ label, unit }) => ({ label, unit }));
+
+describe('normalizeTrendData', () => {
+  it('reads parallel columns with a shared x axis', () => {
+    const trend = normalizeTrendData({ years: [2020, 2021], salinity: [35.1, 35.3], unit: 'PSU' });
+    expect(trend.xLabel).toBe('Year');
+    expect(seriesSummary(trend)).toEqual([{ label: 'Salinity', unit: 'PSU' }]);
+    expect(trend.rows).toEqual([{ __x: 2020, salinity: 35.1 }, { __x: 2021, salinity: 35.3 }]);
+  });
+
+  it('reads per-region columns', () => {
+    const trend = normalizeTrendData({ years: [2020], regions: { 'Arabian Sea': { temperature: [28.1] } } });
+    expect(seriesSummary(trend)).toEqual([{ label: 'Arabian Sea – Temperature', unit: '°C' }]);
+  });
+
+  it('reads a list of records', () => {
+    const trend = normalizeTrendData([{ year: 2020, temperature: 28.1 }, { year: 2021, temperature: 28.4 }]);
+    expect(trend.rows.map(row => row[trend.xKey])).toEqual([2020, 2021]);
+    expect(seriesSummary(trend)).toEqual([{ label: 'Temperature', unit: '°C' }]);
+  });
+
+  describe('series lists', () => {
+    it('reads values and { x, y } points', () => {
+      const trend = normalizeTrendData({
+        series: [
+          { name: 'temperature', region: 'Bay of Bengal', values: [{ x: 2020, y: 28.9 }, { x: 2021, y: 29.2 }] },
+          { name: 'salinity', values: [33.1, 33.4] }
+        ]
+      });
+      expect(trend.rows).toEqual([{ __x: 2020, s0: 28.9, s1: 33.1 }, { __x: 2021, s0: 29.2, s1: 33.4 }]);
+      expect(seriesSummary(trend)).toEqual([
+        { label: 'Bay of Bengal – Temperature', unit: '°C' },
+        { label: 'Salinity', unit: 'PSU' }
+      ]);
+    });
+
+    it('skips entries that are not objects or have no list of points', () => {
+      const trend = normalizeTrendData({
+        x: [1, 2],
+        series: [null, 'temperature', { name: 'oxygen', values: 5 }, { name: 'salinity', values: [35, 35.2] }]
+      });
+      expect(trend.series.map(series => series.parameter)).toEqual(['salinity']);
+      expect(trend.rows).toEqual([{ __x: 1, s3: 35 }, { __x: 2, s3: 35.2 }]);
+    });
+
+    it.each([
+      { series: [null] },
+      { series: [{ values: 5 }] },
+      { series: [{ data: 'not a list' }] },
+      { series: [] }
+    ])('returns null when no series is left in %j', (payload) => {
+      expect(normalizeTrendData(payload)).toBeNull();
+    });
+  });
+
+  it.each([null, undefined, 'trend', 42, {}, { title: 'Nothing here' }])('returns null for %j', (payload) => {
+    expect(normalizeTrendData(payload)).toBeNull();
+  });
+});
@@ -1,69 +1,58 @@
-import { defineConfig } from 'vite';
+import { defineConfig, loadEnv } from 'vite';
 import react from '@vitejs/plugin-react';
-import { createRequire } from 'module';
-import { viteCommonjs } from '@originjs/vite-plugin-commonjs';
 import path from 'path';
 
-const require = createRequire(import.meta.url);
-
 // https://vite.dev/config/
-export default defineConfig({
-  base: './', // Changed from '/' to './' for relative paths
-  publicDir: 'public',
-  build: {
-    outDir: 'dist',
-    emptyOutDir: true,
-    chunkSizeWarningLimit: 1000,
-    rollupOptions: {
-      output: {
-        entryFileNames: 'assets/[name]-[hash].js',
-        chunkFileNames: 'assets/[name]-[hash].js',
-        assetFileNames: 'assets/[name]-[hash][extname]',
-        // Ensure proper module loading
-        format: 'esm',
-        exports: 'named',
-        sourcemap: true
+export default defineConfig(({ mode }) => {
+  // The API client reads VITE_API_BASE_URL; in development it defaults to the
+  // /api proxy below, which forwards to VITE_API_PROXY_TARGET.
+  const env = loadEnv(mode, path.resolve('.'), 'VITE_');
+
+  return {
+    base: './', // Changed from '/' to './' for relative paths
+    publicDir: 'public',
+    build: {
+      outDir: 'dist',
+      emptyOutDir: true,
+      sourcemap: true,
+      chunkSizeWarningLimit: 1000,
+      rollupOptions: {
+        output: {
+          entryFileNames: 'assets/[name]-[hash].js',
+          chunkFileNames: 'assets/[name]-[hash].js',
+          assetFileNames: 'assets/[name]-[hash][extname]',
+          // Ensure proper module loading
+          format: 'esm',
+          exports: 'named',
+          sourcemap: true
+        }
       }
-    }
-  },
-  plugins: [
-    react(),
-    viteCommonjs({
-      include: ['leaflet.heat'],
-      exclude: [],
-    }),
-  ],
-  resolve: {
-    alias: {
-      // Ensure React Router and other dependencies are properly resolved
-      'react-router-dom': path.resolve('./node_modules/react-router-dom'),
     },
-  },
-  server: {
-    port: 3000,
-    open: true,
-    proxy: {
-      '/api': {
-        target: 'http://localhost:5000',
-        changeOrigin: true,
-        rewrite: (path) => path.replace(/^\/api/, ''),
-        secure: false,
+    plugins: [react()],
+    resolve: {
+      alias: {
+        // Ensure React Router and other dependencies are properly resolved
+        'react-router-dom': path.resolve('./node_modules/react-router-dom'),
       },
     },
-  },
-  optimizeDeps: {
-    include: [
-      'leaflet',
-      'leaflet.heat',
-      'leaflet.heat/dist/leaflet-heat.js'
-    ],
-    esbuildOptions: {
-      // Ensure we can process the CommonJS module
-      target: 'es2020',
+    server: {
+      port: 3000,
+      open: true,
+      proxy: {
+        '/api': {
+          target: env.VITE_API_PROXY_TARGET || 'http://localhost:5000',
+          changeOrigin: true,
+          rewrite: (path) => path.replace(/^\/api/, ''),
+          secure: false,
+        },
+      },
+    },
+    optimizeDeps: {
+      include: ['leaflet'],
+      esbuildOptions: {
+        // Ensure we can process the CommonJS module
+        target: 'es2020',
+      },
     },
-  },
-  build: {
-    outDir: 'build',
-    sourcemap: true,
-  },
-})
+  };
+});